@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 import { run } from '../src/index.mjs';
 
-run().catch((error) => {
+run(process.argv.slice(2)).catch((error) => {
   const message = error && error.message ? error.message : String(error);
   console.error(message);
   process.exitCode = 1;
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  extractImages,
+  rewriteImageRegistry,
+  formatImageList,
+  buildAirgapManifest,
+  defaultAirgapFileName,
+} from '../airgap.mjs';
+
+const manifests = `---
+kind: DaemonSet
+spec:
+  template:
+    spec:
+      containers:
+        - name: agent
+          image: "ghcr.io/clustercost/agent:1.3.0"
+      initContainers:
+        - image: busybox:1.36 # wait for the API
+---
+kind: Deployment
+spec:
+  template:
+    spec:
+      containers:
+        - name: dashboard
+          image: ghcr.io/clustercost/dashboard:1.1.0
+        - name: sidecar
+          image: ghcr.io/clustercost/agent:1.3.0
+`;
+
+describe('air-gap packaging', () => {
+  it('lists each image once', () => {
+    expect(extractImages(manifests)).toEqual([
+      'busybox:1.36',
+      'ghcr.io/clustercost/agent:1.3.0',
+      'ghcr.io/clustercost/dashboard:1.1.0',
+    ]);
+  });
+
+  it('rewrites images to a mirror registry', () => {
+    expect(rewriteImageRegistry('ghcr.io/clustercost/agent:1.3.0', 'mirror.internal:5000/')).toBe(
+      'mirror.internal:5000/clustercost/agent:1.3.0'
+    );
+    expect(rewriteImageRegistry('busybox:1.36', 'mirror.internal')).toBe(
+      'mirror.internal/busybox:1.36'
+    );
+    expect(rewriteImageRegistry('localhost/agent:dev', 'mirror.internal')).toBe(
+      'mirror.internal/agent:dev'
+    );
+  });
+
+  it('pairs images with their mirror location', () => {
+    expect(formatImageList(['busybox:1.36'])).toBe('busybox:1.36\n');
+    expect(formatImageList(['busybox:1.36'], { registry: 'mirror.internal' })).toBe(
+      'busybox:1.36 mirror.internal/busybox:1.36\n'
+    );
+  });
+
+  it('describes the package contents', () => {
+    const manifest = buildAirgapManifest({
+      createdAt: '2024-05-01T00:00:00.000Z',
+      charts: [{ component: 'agent', version: '0.4.0' }],
+      images: ['busybox:1.36'],
+      registry: 'mirror.internal',
+    });
+    expect(manifest).toEqual({
+      createdAt: '2024-05-01T00:00:00.000Z',
+      charts: [{ component: 'agent', version: '0.4.0' }],
+      images: [{ source: 'busybox:1.36', mirror: 'mirror.internal/busybox:1.36' }],
+    });
+    expect(defaultAirgapFileName(new Date('2024-05-01T12:00:00Z'))).toBe(
+      'clustercost-airgap-20240501.tar.gz'
+    );
+  });
+});
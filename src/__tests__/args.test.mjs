@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseCliArgs, formatUsage, UsageError } from '../args.mjs';
+
+describe('CLI argument parsing', () => {
+  it('falls back to the interactive menu without a command', () => {
+    expect(parseCliArgs([])).toEqual({
+      command: null,
+      help: false,
+      options: {},
+      positionals: [],
+    });
+  });
+
+  it('parses command flags', () => {
+    expect(parseCliArgs(['install', '--namespace', 'team-a', '--yes'])).toEqual({
+      command: 'install',
+      help: false,
+      options: { namespace: 'team-a', yes: true },
+      positionals: [],
+    });
+    expect(parseCliArgs(['port-forward', '-p', '3001']).options).toEqual({ port: '3001' });
+  });
+
+  it('accepts global flags before or after the command', () => {
+    expect(parseCliArgs(['--dry-run', 'install']).options).toEqual({ dryRun: true });
+    expect(parseCliArgs(['uninstall', '--dry-run', '--render-manifests']).options).toEqual({
+      dryRun: true,
+      renderManifests: true,
+    });
+    expect(() => parseCliArgs(['install', '--render-manifests'])).toThrow(UsageError);
+  });
+
+  it('only reads installed release values when render is asked to', () => {
+    expect(parseCliArgs(['render', '--from-release']).options).toEqual({ fromRelease: true });
+    expect(() => parseCliArgs(['render', '--reset-values'])).toThrow(UsageError);
+  });
+
+  it('keeps positionals for commands that take arguments', () => {
+    expect(parseCliArgs(['config', 'set', 'namespace', 'team-a']).positionals).toEqual([
+      'set',
+      'namespace',
+      'team-a',
+    ]);
+  });
+
+  it('accepts global options before the command', () => {
+    expect(parseCliArgs(['--context', 'prod-eu', 'status'])).toMatchObject({
+      command: 'status',
+      options: { context: 'prod-eu' },
+    });
+    expect(parseCliArgs(['--dry-run', 'uninstall', '--yes'])).toMatchObject({
+      command: 'uninstall',
+      options: { dryRun: true, yes: true },
+    });
+  });
+
+  it('recognises help flags', () => {
+    expect(parseCliArgs(['--help']).help).toBe(true);
+    expect(parseCliArgs(['status', '-h'])).toMatchObject({ command: 'status', help: true });
+  });
+
+  it('rejects unknown commands, options and stray arguments', () => {
+    expect(() => parseCliArgs(['deploy'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['status', '--namespace', 'x'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['install', 'extra'])).toThrow('Unexpected argument: extra');
+  });
+});
+
+describe('usage text', () => {
+  it('lists every command', () => {
+    const usage = formatUsage();
+    ['install', 'uninstall', 'port-forward', 'status'].forEach((command) => {
+      expect(usage).toContain(command);
+    });
+  });
+
+  it('lists command options', () => {
+    expect(formatUsage('port-forward')).toContain('-p, --port <port>');
+  });
+});
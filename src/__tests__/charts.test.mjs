@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  splitChartVersion,
+  parseChartSearch,
+  findDeployedChart,
+  toTemplateArgs,
+  describeChartVersion,
+  formatVersionTable,
+  classifyChartRef,
+  resolveChartSources,
+  ociRegistryHost,
+  parseChartMetadata,
+} from '../charts.mjs';
+
+const search = JSON.stringify([
+  { name: 'clustercost/clustercost-agent-k8s', version: '0.4.0', app_version: '1.3.0' },
+  { name: 'clustercost/clustercost-agent-k8s', version: '0.3.0', app_version: '1.2.0' },
+  { name: 'clustercost/clustercost-agent-k8s-extra', version: '9.0.0', app_version: '9' },
+]);
+
+describe('chart versions', () => {
+  it('splits chart names and versions', () => {
+    expect(splitChartVersion('clustercost-agent-k8s-0.4.0-rc.1')).toEqual({
+      name: 'clustercost-agent-k8s',
+      version: '0.4.0-rc.1',
+    });
+    expect(splitChartVersion('custom')).toEqual({ name: 'custom', version: '' });
+  });
+
+  it('keeps only exact chart matches from helm search', () => {
+    expect(parseChartSearch(search, 'clustercost/clustercost-agent-k8s')).toEqual([
+      {
+        chart: 'clustercost/clustercost-agent-k8s',
+        version: '0.4.0',
+        appVersion: '1.3.0',
+        description: '',
+      },
+      {
+        chart: 'clustercost/clustercost-agent-k8s',
+        version: '0.3.0',
+        appVersion: '1.2.0',
+        description: '',
+      },
+    ]);
+    expect(parseChartSearch('')).toEqual([]);
+  });
+
+  it('reads the deployed chart version of a release', () => {
+    const releases = [
+      { name: 'cc-agent', chart: 'clustercost-agent-k8s-0.3.0', app_version: '1.2.0' },
+    ];
+    expect(findDeployedChart(releases, 'cc-agent')).toEqual({
+      version: '0.3.0',
+      appVersion: '1.2.0',
+    });
+    expect(findDeployedChart(releases, 'other')).toBeNull();
+    expect(describeChartVersion({ version: '0.3.0', appVersion: '1.2.0' })).toBe(
+      '0.3.0 (app 1.2.0)'
+    );
+    expect(describeChartVersion(null)).toBe('not installed');
+  });
+
+  it('derives helm template arguments from the upgrade arguments', () => {
+    expect(
+      toTemplateArgs([
+        'upgrade',
+        '--install',
+        'cc-agent',
+        'clustercost/clustercost-agent-k8s',
+        '-n',
+        'cc',
+        '--create-namespace',
+        '--version',
+        '0.4.0',
+        '-f',
+        'values.yaml',
+      ])
+    ).toEqual([
+      'template',
+      'cc-agent',
+      'clustercost/clustercost-agent-k8s',
+      '-n',
+      'cc',
+      '--version',
+      '0.4.0',
+      '-f',
+      'values.yaml',
+    ]);
+    expect(() => toTemplateArgs(['uninstall', 'cc-agent'])).toThrow();
+  });
+
+  it('formats a version table with notes', () => {
+    const entries = parseChartSearch(search, 'clustercost/clustercost-agent-k8s');
+    expect(formatVersionTable(entries, { installed: '0.3.0', pinned: '0.3.0' })).toEqual([
+      'Version  App    Notes',
+      '0.4.0    1.3.0  latest',
+      '0.3.0    1.2.0  installed, pinned',
+    ]);
+    expect(formatVersionTable(entries, { limit: 1 })).toEqual([
+      'Version  App    Notes',
+      '0.4.0    1.3.0  latest',
+      '(1 older versions not shown)',
+    ]);
+  });
+});
+
+describe('chart sources', () => {
+  it('classifies chart references', () => {
+    expect(classifyChartRef('oci://registry.internal/charts/clustercost-agent-k8s')).toBe('oci');
+    expect(classifyChartRef('./charts/clustercost-agent-k8s-0.4.0.tgz')).toBe('archive');
+    expect(classifyChartRef('/opt/charts/agent')).toBe('archive');
+    expect(classifyChartRef('clustercost/clustercost-agent-k8s')).toBe('repo');
+  });
+
+  it('uses the public repository by default', () => {
+    expect(resolveChartSources()).toEqual({
+      agent: { ref: 'clustercost/clustercost-agent-k8s', kind: 'repo' },
+      dashboard: { ref: 'clustercost/clustercost-dashboard', kind: 'repo' },
+      repo: { name: 'clustercost', url: 'https://charts.clustercost.com' },
+    });
+  });
+
+  it('points both charts at a mirror repository or OCI path', () => {
+    const mirror = resolveChartSources({ repoUrl: 'https://charts.internal/clustercost/' });
+    expect(mirror.agent.ref).toBe('clustercost-mirror/clustercost-agent-k8s');
+    expect(mirror.repo).toEqual({
+      name: 'clustercost-mirror',
+      url: 'https://charts.internal/clustercost',
+    });
+
+    const oci = resolveChartSources({ repoUrl: 'oci://registry.internal/charts' });
+    expect(oci.dashboard).toEqual({
+      ref: 'oci://registry.internal/charts/clustercost-dashboard',
+      kind: 'oci',
+    });
+    expect(oci.repo).toBeNull();
+    expect(ociRegistryHost(oci.dashboard.ref)).toBe('registry.internal');
+  });
+
+  it('skips repository setup when every chart is a local archive', () => {
+    const sources = resolveChartSources({
+      agentChart: './agent.tgz',
+      dashboardChart: './dashboard.tgz',
+    });
+    expect(sources.agent.kind).toBe('archive');
+    expect(sources.repo).toBeNull();
+  });
+
+  it('reads chart metadata from helm show chart', () => {
+    const yaml = [
+      'apiVersion: v2',
+      'name: clustercost-dashboard',
+      'version: 1.1.0',
+      'appVersion: "1.1.0"',
+    ].join('\n');
+    expect(parseChartMetadata(yaml)).toEqual({
+      name: 'clustercost-dashboard',
+      version: '1.1.0',
+      appVersion: '1.1.0',
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  resolveConfigPath,
+  createEmptyConfig,
+  loadConfig,
+  saveConfig,
+  getProfile,
+  setProfileValue,
+  removeProfileValue,
+} from '../config.mjs';
+import { UsageError } from '../args.mjs';
+
+describe('config path', () => {
+  it('prefers the CLUSTERCOST_CONFIG override', () => {
+    expect(resolveConfigPath({ CLUSTERCOST_CONFIG: '/tmp/custom.json' })).toBe('/tmp/custom.json');
+  });
+
+  it('falls back to the XDG config directory', () => {
+    expect(resolveConfigPath({ XDG_CONFIG_HOME: '/home/me/.cfg' })).toBe(
+      '/home/me/.cfg/clustercost/config.json'
+    );
+  });
+});
+
+describe('config profiles', () => {
+  it('stores parsed values per context', () => {
+    let config = setProfileValue(createEmptyConfig(), 'prod', 'localPort', '3001');
+    config = setProfileValue(config, 'prod', 'agentValues', 'a.yaml, b.yaml');
+    expect(getProfile(config, 'prod')).toEqual({ localPort: 3001, agentValues: ['a.yaml', 'b.yaml'] });
+    expect(getProfile(config, 'dev')).toEqual({});
+  });
+
+  it('rejects unknown keys and invalid values', () => {
+    expect(() => setProfileValue(createEmptyConfig(), 'prod', 'colour', 'blue')).toThrow(UsageError);
+    expect(() => setProfileValue(createEmptyConfig(), 'prod', 'localPort', '99999')).toThrow(
+      'localPort: Enter a valid TCP port (1-65535).'
+    );
+    expect(() => setProfileValue(createEmptyConfig(), 'prod', 'agentRelease', 'Agent')).toThrow(
+      UsageError
+    );
+  });
+
+  it('removes single keys and whole profiles', () => {
+    let config = setProfileValue(createEmptyConfig(), 'prod', 'namespace', 'team-a');
+    config = setProfileValue(config, 'prod', 'localPort', '3001');
+    config = removeProfileValue(config, 'prod', 'localPort');
+    expect(getProfile(config, 'prod')).toEqual({ namespace: 'team-a' });
+    expect(removeProfileValue(config, 'prod').profiles).toEqual({});
+    expect(() => removeProfileValue(config, 'dev')).toThrow('No profile stored for context dev.');
+  });
+
+  it('round-trips through the config file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'clustercost-config-'));
+    try {
+      const path = join(dir, 'nested', 'config.json');
+      expect(await loadConfig(path)).toEqual(createEmptyConfig());
+
+      const config = setProfileValue(createEmptyConfig(), 'prod', 'namespace', 'team-a');
+      await saveConfig(config, path);
+      expect(await loadConfig(path)).toEqual(config);
+
+      await writeFile(path, '{ not json');
+      await expect(loadConfig(path)).rejects.toThrow('is not valid JSON');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
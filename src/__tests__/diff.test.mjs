@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { splitLines, diffLines, summarizeDiff, formatUnifiedDiff } from '../diff.mjs';
+
+const apply = (ops) => ({
+  before: ops.filter((op) => op.type !== '+').map((op) => op.line),
+  after: ops.filter((op) => op.type !== '-').map((op) => op.line),
+});
+
+describe('line diff', () => {
+  it('splits text without a trailing empty line', () => {
+    expect(splitLines('a\nb\n')).toEqual(['a', 'b']);
+    expect(splitLines('')).toEqual([]);
+  });
+
+  it('finds a minimal edit script', () => {
+    const before = 'a\nb\nc\nd\ne\n';
+    const after = 'a\nc\nd\nx\ne\nf\n';
+    const ops = diffLines(before, after);
+    expect(apply(ops)).toEqual({ before: splitLines(before), after: splitLines(after) });
+    expect(summarizeDiff(ops)).toEqual({ added: 2, removed: 1 });
+  });
+
+  it('handles empty and identical inputs', () => {
+    expect(summarizeDiff(diffLines('', 'a\nb'))).toEqual({ added: 2, removed: 0 });
+    expect(summarizeDiff(diffLines('a\nb', ''))).toEqual({ added: 0, removed: 2 });
+    expect(summarizeDiff(diffLines('a\nb', 'a\nb'))).toEqual({ added: 0, removed: 0 });
+  });
+
+  it('stays correct for larger inputs', () => {
+    const before = Array.from({ length: 500 }, (_, index) => `line ${index}`);
+    const after = before
+      .filter((_, index) => index % 7 !== 0)
+      .map((line, index) => (index % 11 === 0 ? `${line} changed` : line));
+    const ops = diffLines(before.join('\n'), after.join('\n'));
+    expect(apply(ops)).toEqual({ before, after });
+  });
+});
+
+describe('unified diff', () => {
+  it('groups changes into hunks with context', () => {
+    const before = Array.from({ length: 20 }, (_, index) => `l${index + 1}`);
+    const after = [...before];
+    after[1] = 'changed 2';
+    after.splice(15, 1);
+
+    const lines = formatUnifiedDiff(diffLines(before.join('\n'), after.join('\n')), {
+      context: 1,
+      before: 'old',
+      after: 'new',
+    });
+    expect(lines).toEqual([
+      '--- old',
+      '+++ new',
+      '@@ -1,3 +1,3 @@',
+      ' l1',
+      '-l2',
+      '+changed 2',
+      ' l3',
+      '@@ -15,3 +15,2 @@',
+      ' l15',
+      '-l16',
+      ' l17',
+    ]);
+    expect(formatUnifiedDiff(diffLines('a', 'a'))).toEqual([]);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect } from 'vitest';
+import {
+  compareVersions,
+  evaluateHelmVersion,
+  evaluateServerVersion,
+  evaluateMetricsApi,
+  evaluateQuotas,
+  podQuotaUsage,
+  parseQuantity,
+  chartQuotaNeeds,
+  applyResourceOverrides,
+  runPreflightChecks,
+  summarizeChecks,
+} from '../doctor.mjs';
+
+function stubExec(responses) {
+  return async (command, args) => {
+    const key = [command, ...args].join(' ');
+    const match = Object.keys(responses).find((prefix) => key.startsWith(prefix));
+    const response = match ? responses[match] : { fail: true };
+    if (response.fail) {
+      const error = new Error(`Command failed: ${key}`);
+      error.stdout = response.stdout || '';
+      error.stderr = response.stderr || '';
+      throw error;
+    }
+    return { stdout: response.stdout || '' };
+  };
+}
+
+describe('version checks', () => {
+  it('compares semantic versions', () => {
+    expect(compareVersions('v3.14.0', '3.8.0')).toBeGreaterThan(0);
+    expect(compareVersions('3.8', '3.8.0')).toBe(0);
+    expect(compareVersions('v1.22.9', '1.23.0')).toBeLessThan(0);
+  });
+
+  it('requires Helm v3 at the minimum version', () => {
+    expect(evaluateHelmVersion('v3.14.2+gc309b6f').status).toBe('pass');
+    expect(evaluateHelmVersion('v3.6.0+g1').status).toBe('fail');
+    expect(evaluateHelmVersion('v2.17.0').status).toBe('fail');
+  });
+
+  it('reads the Kubernetes server version', () => {
+    expect(evaluateServerVersion({ serverVersion: { gitVersion: 'v1.28.3-eks-1' } })).toMatchObject({
+      status: 'pass',
+      detail: 'v1.28.3',
+    });
+    expect(evaluateServerVersion({ serverVersion: { major: '1', minor: '21+' } }).status).toBe('fail');
+  });
+});
+
+describe('cluster capability checks', () => {
+  it('warns when metrics-server is missing or unavailable', () => {
+    expect(
+      evaluateMetricsApi({ status: { conditions: [{ type: 'Available', status: 'True' }] } }).status
+    ).toBe('pass');
+    expect(evaluateMetricsApi(null)).toMatchObject({ status: 'warn', detail: 'not installed' });
+  });
+
+  it('flags exhausted quotas and limit ranges', () => {
+    const results = evaluateQuotas(
+      'team-a',
+      [
+        { metadata: { name: 'pods' }, status: { hard: { pods: '10' }, used: { pods: '10' } } },
+        { metadata: { name: 'compute' }, status: { hard: { 'limits.cpu': '4' }, used: { 'limits.cpu': '1' } } },
+      ],
+      [{ metadata: { name: 'defaults' }, spec: { limits: [{ type: 'Container', max: { memory: '256Mi' } }] } }]
+    );
+    expect(results.map((result) => result.status)).toEqual(['fail', 'warn', 'warn']);
+    expect(results[1].detail).toContain('pods must declare matching requests/limits');
+    expect(results[2].detail).toBe('Container max memory=256Mi');
+    expect(evaluateQuotas('team-a')).toMatchObject([{ status: 'pass' }]);
+  });
+});
+
+describe('quota headroom', () => {
+  const quota = (hard, used) => ({ metadata: { name: 'compute' }, status: { hard, used } });
+
+  it('parses Kubernetes quantities', () => {
+    expect(parseQuantity('1000m')).toBe(parseQuantity('1'));
+    expect(parseQuantity('1024Mi')).toBe(parseQuantity('1Gi'));
+    expect(parseQuantity('1.5')).toBe(1.5);
+    expect(parseQuantity('2k')).toBe(2000);
+    expect(parseQuantity('1G')).toBe(1e9);
+    expect(parseQuantity('12e3')).toBe(12000);
+    expect(parseQuantity('lots')).toBeNull();
+  });
+
+  it('treats quotas used up in other units as exhausted', () => {
+    const results = evaluateQuotas('team-a', [
+      quota({ 'requests.cpu': '1', 'requests.memory': '1Gi' }, {
+        'requests.cpu': '1000m',
+        'requests.memory': '1024Mi',
+      }),
+      quota({ 'limits.memory': '2Gi' }, { 'limits.memory': '3000Mi' }),
+    ]);
+    expect(results.map((result) => result.status)).toEqual(['fail', 'fail']);
+    expect(results[0].detail).toBe('exhausted in team-a: requests.cpu, requests.memory');
+    expect(results[1].detail).toBe('exhausted in team-a: limits.memory');
+  });
+
+  it('fails when what is left cannot fit the chart pods', () => {
+    const needs = chartQuotaNeeds([
+      { requests: { cpu: '100m', memory: '128Mi' }, limits: { cpu: '500m' } },
+      applyResourceOverrides(null, ['resources.requests.cpu=50m', 'replicaCount=2']),
+    ]);
+    expect(needs).toEqual({
+      pods: 2,
+      'count/pods': 2,
+      'requests.cpu': 0.15,
+      'requests.memory': 128 * 2 ** 20,
+      'limits.cpu': 0.5,
+      cpu: 0.15,
+      memory: 128 * 2 ** 20,
+    });
+
+    const [tight] = evaluateQuotas(
+      'team-a',
+      [quota({ 'requests.cpu': '2', pods: '10' }, { 'requests.cpu': '1950m', pods: '9' })],
+      [],
+      needs
+    );
+    expect(tight).toMatchObject({
+      status: 'fail',
+      detail: 'too little left for ClusterCost: requests.cpu (50m left, 150m needed), pods (1 left, 2 needed)',
+    });
+
+    const [roomy] = evaluateQuotas(
+      'team-a',
+      [quota({ cpu: '4', 'requests.memory': '8Gi' }, { cpu: '1500m', 'requests.memory': '2Gi' })],
+      [],
+      needs
+    );
+    expect(roomy.status).toBe('warn');
+  });
+
+  it('only warns about quotas ClusterCost does not use', () => {
+    const [result] = evaluateQuotas(
+      'team-a',
+      [
+        quota(
+          { 'services.loadbalancers': '0', 'count/jobs.batch': '5', 'requests.nvidia.com/gpu': '1' },
+          { 'count/jobs.batch': '5', 'requests.nvidia.com/gpu': '1' }
+        ),
+      ],
+      [],
+      chartQuotaNeeds([null, null])
+    );
+    expect(result).toMatchObject({
+      status: 'warn',
+      detail:
+        'limits services.loadbalancers, count/jobs.batch, requests.nvidia.com/gpu; exhausted ' +
+        'but not used by ClusterCost: services.loadbalancers, count/jobs.batch, requests.nvidia.com/gpu',
+    });
+
+    const [objects] = evaluateQuotas('team-a', [
+      quota({ services: '4', 'count/secrets': '10' }, { services: '4', 'count/secrets': '3' }),
+    ]);
+    expect(objects).toMatchObject({ status: 'fail', detail: 'exhausted in team-a: services' });
+  });
+
+  it('gives back what the install being upgraded already uses', () => {
+    const pod = { spec: { containers: [{ resources: { requests: { cpu: '100m' } } }] } };
+    const existing = podQuotaUsage([pod, pod]);
+    expect(existing).toMatchObject({ pods: 2, 'requests.cpu': 0.2 });
+
+    const quotas = [
+      quota(
+        { pods: '4', 'requests.cpu': '1', services: '2' },
+        { pods: '4', 'requests.cpu': '900m', services: '2' }
+      ),
+    ];
+    const needs = chartQuotaNeeds([{ requests: { cpu: '100m' } }, { requests: { cpu: '100m' } }]);
+    expect(evaluateQuotas('team-a', quotas, [], needs)[0]).toMatchObject({
+      status: 'fail',
+      detail: 'exhausted in team-a: pods, services; too little left for ClusterCost: requests.cpu (100m left, 200m needed)',
+    });
+    expect(evaluateQuotas('team-a', quotas, [], needs, existing)[0].status).toBe('warn');
+  });
+});
+
+describe('preflight run', () => {
+  it('stops after an unreachable cluster', async () => {
+    const results = await runPreflightChecks(
+      stubExec({
+        'helm version': { stdout: 'v3.14.2' },
+        'kubectl version': {
+          fail: true,
+          stdout: '{"clientVersion":{"gitVersion":"v1.29.0"}}',
+          stderr: 'Unable to connect to the server: dial tcp: i/o timeout',
+        },
+      }),
+      { namespace: 'clustercost' }
+    );
+    expect(results.map((result) => result.id)).toEqual(['helm-version', 'kubectl', 'cluster']);
+    expect(results[2]).toMatchObject({
+      status: 'fail',
+      detail: 'Unable to connect to the server: dial tcp: i/o timeout',
+    });
+  });
+
+  it('reports missing permissions', async () => {
+    const results = await runPreflightChecks(
+      stubExec({
+        'helm version': { stdout: 'v3.14.2' },
+        'kubectl version': {
+          stdout: '{"clientVersion":{"gitVersion":"v1.29.0"},"serverVersion":{"gitVersion":"v1.29.0"}}',
+        },
+        'kubectl auth can-i create namespaces': { fail: true, stdout: 'no' },
+        'kubectl auth can-i': { stdout: 'yes' },
+        'kubectl get apiservice': { stdout: '{"status":{"conditions":[{"type":"Available","status":"True"}]}}' },
+      }),
+      { namespace: 'clustercost' }
+    );
+    const rbac = results.find((result) => result.id === 'rbac');
+    expect(rbac).toMatchObject({ status: 'fail', detail: 'missing: create namespaces' });
+    expect(summarizeChecks(results)).toEqual({ pass: 6, warn: 0, fail: 1 });
+  });
+});
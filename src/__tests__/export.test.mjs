@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CSV_COLUMNS,
+  inferExportFormat,
+  validateLabelKey,
+  validateDateInput,
+  resolveDateRange,
+  buildExportDocument,
+  renderExport,
+  defaultExportFileName,
+} from '../export.mjs';
+
+const breakdown = {
+  groupBy: 'workload',
+  currency: 'USD',
+  items: [
+    { name: 'worker', namespace: 'jobs', cpuCost: 4, memoryCost: 1, cost: 5 },
+    { name: 'api, public', namespace: 'web', cpuCost: 12.5, memoryCost: 2.5, cost: 15 },
+  ],
+};
+const range = { start: '2024-05-01T00:00:00.000Z', end: '2024-05-08T00:00:00.000Z' };
+const generatedAt = new Date('2024-05-08T09:30:00Z');
+
+describe('export options', () => {
+  it('infers the format from the output path', () => {
+    expect(inferExportFormat('costs.CSV')).toBe('csv');
+    expect(inferExportFormat('out/summary.md')).toBe('markdown');
+    expect(inferExportFormat('costs.json')).toBe('json');
+    expect(inferExportFormat('costs.xlsx')).toBeNull();
+    expect(inferExportFormat(undefined)).toBeNull();
+  });
+
+  it('validates label keys and dates', () => {
+    expect(validateLabelKey('team')).toBeUndefined();
+    expect(validateLabelKey('app.kubernetes.io/name')).toBeUndefined();
+    expect(validateLabelKey('bad key')).toMatch(/label key/);
+    expect(validateDateInput('2024-05-01')).toBeUndefined();
+    expect(validateDateInput('2024-05-01T12:00:00Z')).toBeUndefined();
+    expect(validateDateInput('last week')).toMatch(/date/);
+  });
+
+  it('resolves inclusive whole-day ranges in UTC', () => {
+    expect(resolveDateRange({ from: '2024-05-01', to: '2024-05-07' })).toEqual(range);
+    expect(resolveDateRange({}, new Date('2024-05-07T15:00:00Z'))).toEqual(range);
+    expect(resolveDateRange({ days: 1 }, new Date('2024-05-07T15:00:00Z'))).toEqual({
+      start: '2024-05-07T00:00:00.000Z',
+      end: '2024-05-08T00:00:00.000Z',
+    });
+    expect(resolveDateRange({ from: '2024-05-09', to: '2024-05-07' }).error).toMatch(/before/);
+  });
+});
+
+describe('export document', () => {
+  const document = buildExportDocument(breakdown, { ...range, generatedAt });
+
+  it('builds a versioned document sorted by cost', () => {
+    expect(document).toEqual({
+      schemaVersion: 1,
+      generatedAt: '2024-05-08T09:30:00.000Z',
+      groupBy: 'workload',
+      labelKey: null,
+      ...range,
+      currency: 'USD',
+      totalCost: 20,
+      items: [
+        {
+          name: 'api, public',
+          namespace: 'web',
+          cpuCost: 12.5,
+          memoryCost: 2.5,
+          totalCost: 15,
+          share: 0.75,
+        },
+        { name: 'worker', namespace: 'jobs', cpuCost: 4, memoryCost: 1, totalCost: 5, share: 0.25 },
+      ],
+    });
+  });
+
+  it('renders CSV with a fixed header and quoted values', () => {
+    expect(renderExport(document, 'csv').split('\n')).toEqual([
+      CSV_COLUMNS.join(','),
+      `workload,,"api, public",web,${range.start},${range.end},USD,12.5,2.5,15,0.75`,
+      `workload,,worker,jobs,${range.start},${range.end},USD,4,1,5,0.25`,
+      '',
+    ]);
+  });
+
+  it('renders JSON and Markdown', () => {
+    expect(JSON.parse(renderExport(document, 'json'))).toEqual(document);
+    expect(renderExport(document, 'markdown').split('\n')).toEqual([
+      '### ClusterCost by workload',
+      '',
+      `${range.start} – ${range.end}`,
+      '',
+      '| Workload | Namespace | CPU (USD) | Memory (USD) | Total (USD) | Share |',
+      '| --- | --- | ---: | ---: | ---: | ---: |',
+      '| api, public | web | 12.50 | 2.50 | 15.00 | 75.0% |',
+      '| worker | jobs | 4.00 | 1.00 | 5.00 | 25.0% |',
+      '| **Total** |  |  |  | **20.00** | 100% |',
+      '',
+    ]);
+  });
+
+  it('keeps the label key for label groupings', () => {
+    const byLabel = buildExportDocument(
+      { ...breakdown, groupBy: 'label' },
+      { label: 'app.kubernetes.io/team', ...range, generatedAt }
+    );
+    expect(byLabel.labelKey).toBe('app.kubernetes.io/team');
+    expect(renderExport(byLabel, 'markdown')).toContain('| Label value | CPU (USD) |');
+    expect(defaultExportFileName(byLabel, 'csv')).toBe(
+      'clustercost-label-app.kubernetes.io_team-2024-05-01_2024-05-07.csv'
+    );
+    expect(defaultExportFileName(document, 'markdown')).toBe(
+      'clustercost-workload-2024-05-01_2024-05-07.md'
+    );
+  });
+});
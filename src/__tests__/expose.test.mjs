@@ -0,0 +1,296 @@
+import { createHash } from 'node:crypto';
+import { describe, it, expect } from 'vitest';
+import {
+  exposeNames,
+  exposeSelector,
+  parseIngressClasses,
+  defaultIngressClass,
+  isNginxClass,
+  parseIssuers,
+  hashBasicAuthPassword,
+  buildBasicAuthSecret,
+  buildAuthAnnotations,
+  buildDashboardIngress,
+  buildLoadBalancerService,
+  readExternalAddress,
+  buildExposedUrl,
+  listExposureResources,
+} from '../expose.mjs';
+import { validateHostname, validateResourceName, validateSourceRanges } from '../validation.mjs';
+
+const labels = {
+  'app.kubernetes.io/created-by': 'clustercost-cli',
+  'app.kubernetes.io/instance': 'clustercost-dashboard',
+  'app.kubernetes.io/component': 'dashboard-expose',
+};
+
+describe('cluster detection', () => {
+  it('reads IngressClasses and picks the default one', () => {
+    const classes = parseIngressClasses(
+      JSON.stringify({
+        items: [
+          { metadata: { name: 'traefik' }, spec: { controller: 'traefik.io/ingress-controller' } },
+          {
+            metadata: {
+              name: 'nginx',
+              annotations: { 'ingressclass.kubernetes.io/is-default-class': 'true' },
+            },
+            spec: { controller: 'k8s.io/ingress-nginx' },
+          },
+        ],
+      })
+    );
+    expect(classes).toEqual([
+      { name: 'traefik', controller: 'traefik.io/ingress-controller', isDefault: false },
+      { name: 'nginx', controller: 'k8s.io/ingress-nginx', isDefault: true },
+    ]);
+    expect(defaultIngressClass(classes).name).toBe('nginx');
+    expect(defaultIngressClass([classes[0]]).name).toBe('traefik');
+    expect(defaultIngressClass([{ ...classes[1], isDefault: false }, classes[0]])).toBeNull();
+    expect(isNginxClass(classes[1])).toBe(true);
+    expect(parseIngressClasses('')).toEqual([]);
+  });
+
+  it('reads cert-manager issuers and whether they are ready', () => {
+    expect(
+      parseIssuers(
+        JSON.stringify({
+          items: [
+            {
+              kind: 'ClusterIssuer',
+              metadata: { name: 'letsencrypt' },
+              status: { conditions: [{ type: 'Ready', status: 'True' }] },
+            },
+            { kind: 'Issuer', metadata: { name: 'internal-ca' }, status: {} },
+          ],
+        })
+      )
+    ).toEqual([
+      { kind: 'ClusterIssuer', name: 'letsencrypt', ready: true },
+      { kind: 'Issuer', name: 'internal-ca', ready: false },
+    ]);
+  });
+});
+
+describe('dashboard Ingress', () => {
+  const service = { name: 'clustercost-dashboard', port: 80 };
+
+  it('serves the dashboard service on the hostname with a cert-manager certificate', () => {
+    expect(
+      buildDashboardIngress({
+        namespace: 'team-a',
+        release: 'clustercost-dashboard',
+        host: 'cost.example.com',
+        className: 'nginx',
+        service,
+        tls: { issuer: { kind: 'ClusterIssuer', name: 'letsencrypt' } },
+      })
+    ).toEqual({
+      apiVersion: 'networking.k8s.io/v1',
+      kind: 'Ingress',
+      metadata: {
+        name: 'clustercost-dashboard-external',
+        namespace: 'team-a',
+        labels,
+        annotations: { 'cert-manager.io/cluster-issuer': 'letsencrypt' },
+      },
+      spec: {
+        ingressClassName: 'nginx',
+        tls: [{ hosts: ['cost.example.com'], secretName: 'clustercost-dashboard-external-tls' }],
+        rules: [
+          {
+            host: 'cost.example.com',
+            http: {
+              paths: [
+                {
+                  path: '/',
+                  pathType: 'Prefix',
+                  backend: { service: { name: 'clustercost-dashboard', port: { number: 80 } } },
+                },
+              ],
+            },
+          },
+        ],
+      },
+    });
+  });
+
+  it('uses an existing TLS secret and leaves TLS out for plain HTTP', () => {
+    const withSecret = buildDashboardIngress({
+      namespace: 'team-a',
+      release: 'clustercost-dashboard',
+      host: 'cost.example.com',
+      service,
+      tls: { secretName: 'wildcard-tls' },
+    });
+    expect(withSecret.spec.tls[0].secretName).toBe('wildcard-tls');
+    expect(withSecret.metadata.annotations).toBeUndefined();
+    expect(withSecret.spec.ingressClassName).toBeUndefined();
+
+    const plain = buildDashboardIngress({
+      namespace: 'team-a',
+      release: 'clustercost-dashboard',
+      host: 'cost.example.com',
+      service,
+    });
+    expect(plain.spec.tls).toBeUndefined();
+  });
+
+  it('adds ingress-nginx annotations for basic auth and oauth2-proxy', () => {
+    expect(buildAuthAnnotations({ mode: 'basic' }, 'clustercost-dashboard')).toEqual({
+      'nginx.ingress.kubernetes.io/auth-type': 'basic',
+      'nginx.ingress.kubernetes.io/auth-secret': 'clustercost-dashboard-external-basic-auth',
+      'nginx.ingress.kubernetes.io/auth-realm': 'ClusterCost',
+    });
+    expect(
+      buildAuthAnnotations({ mode: 'oauth2-proxy', url: 'https://auth.example.com/' }, 'x')
+    ).toEqual({
+      'nginx.ingress.kubernetes.io/auth-url': 'https://auth.example.com/oauth2/auth',
+      'nginx.ingress.kubernetes.io/auth-signin':
+        'https://auth.example.com/oauth2/start?rd=$scheme://$host$escaped_request_uri',
+    });
+    expect(buildAuthAnnotations({ mode: 'none' }, 'x')).toEqual({});
+  });
+
+  it('stores a salted SHA-1 htpasswd entry for basic auth', () => {
+    const salt = Buffer.from('01234567');
+    const hash = hashBasicAuthPassword('s3cret', salt);
+    const decoded = Buffer.from(hash.slice('{SSHA}'.length), 'base64');
+    expect(hash.startsWith('{SSHA}')).toBe(true);
+    expect(decoded.subarray(20).equals(salt)).toBe(true);
+    expect(decoded.subarray(0, 20)).toEqual(
+      createHash('sha1').update('s3cret').update(salt).digest()
+    );
+
+    const secret = buildBasicAuthSecret({
+      namespace: 'team-a',
+      release: 'clustercost-dashboard',
+      username: 'admin',
+      password: 's3cret',
+      salt,
+    });
+    expect(secret.metadata).toEqual({
+      name: 'clustercost-dashboard-external-basic-auth',
+      namespace: 'team-a',
+      labels,
+    });
+    expect(secret.stringData).toEqual({ auth: `admin:${hash}\n` });
+  });
+});
+
+describe('LoadBalancer service', () => {
+  const service = {
+    metadata: { name: 'clustercost-dashboard' },
+    spec: {
+      selector: { 'app.kubernetes.io/instance': 'clustercost-dashboard' },
+      ports: [{ name: 'http', port: 3000, targetPort: 9090 }],
+    },
+  };
+
+  it('selects the dashboard pods and serves them on port 80', () => {
+    expect(
+      buildLoadBalancerService({
+        namespace: 'team-a',
+        release: 'clustercost-dashboard',
+        service,
+        sourceRanges: ['10.0.0.0/8'],
+      })
+    ).toEqual({
+      apiVersion: 'v1',
+      kind: 'Service',
+      metadata: { name: 'clustercost-dashboard-external', namespace: 'team-a', labels },
+      spec: {
+        type: 'LoadBalancer',
+        selector: { 'app.kubernetes.io/instance': 'clustercost-dashboard' },
+        ports: [{ name: 'http', port: 80, targetPort: 9090, protocol: 'TCP' }],
+        loadBalancerSourceRanges: ['10.0.0.0/8'],
+      },
+    });
+  });
+
+  it('refuses a service without a selector', () => {
+    expect(() =>
+      buildLoadBalancerService({
+        namespace: 'team-a',
+        release: 'clustercost-dashboard',
+        service: { metadata: { name: 'external' }, spec: { ports: [{ port: 80 }] } },
+      })
+    ).toThrow('Service external has no port or selector to expose.');
+  });
+});
+
+describe('exposed URL', () => {
+  it('reads the external address and builds the URL', () => {
+    expect(
+      readExternalAddress({ status: { loadBalancer: { ingress: [{ ip: '1.2.3.4' }] } } })
+    ).toBe('1.2.3.4');
+    expect(readExternalAddress({ status: { loadBalancer: {} } })).toBeNull();
+    expect(buildExposedUrl({ method: 'ingress', host: 'cost.example.com', tls: {} })).toBe(
+      'https://cost.example.com'
+    );
+    expect(buildExposedUrl({ method: 'ingress', host: 'cost.example.com', tls: null })).toBe(
+      'http://cost.example.com'
+    );
+    expect(buildExposedUrl({ method: 'loadbalancer', address: 'lb.example.com' })).toBe(
+      'http://lb.example.com'
+    );
+    expect(buildExposedUrl({ method: 'loadbalancer', address: null })).toBeNull();
+  });
+
+  it('finds the objects of a dashboard release by label', () => {
+    expect(exposeNames('cc')).toEqual({
+      name: 'cc-external',
+      basicAuthSecret: 'cc-external-basic-auth',
+      tlsSecret: 'cc-external-tls',
+    });
+    expect(exposeSelector('cc')).toBe(
+      'app.kubernetes.io/component=dashboard-expose,app.kubernetes.io/instance=cc'
+    );
+  });
+});
+
+describe('exposure lookup', () => {
+  const ingress = (annotations, secretName) => ({
+    kind: 'Ingress',
+    metadata: { name: 'cc-external', annotations },
+    spec: { tls: [{ hosts: ['cost.example.com'], secretName }] },
+  });
+  const list = (...items) => JSON.stringify({ items });
+
+  it('includes the certificate secret cert-manager issued for the Ingress', () => {
+    expect(
+      listExposureResources(
+        list(ingress({ 'cert-manager.io/cluster-issuer': 'letsencrypt' }, 'cc-external-tls')),
+        'cc'
+      ).map((resource) => `${resource.kind}/${resource.name}`)
+    ).toEqual(['Ingress/cc-external', 'Secret/cc-external-tls']);
+  });
+
+  it('leaves TLS secrets alone that were not issued for the Ingress', () => {
+    expect(listExposureResources(list(ingress(undefined, 'cc-external-tls')), 'cc')).toHaveLength(
+      1
+    );
+    expect(
+      listExposureResources(
+        list(ingress({ 'cert-manager.io/issuer': 'internal-ca' }, 'wildcard-tls')),
+        'cc'
+      )
+    ).toHaveLength(1);
+    expect(listExposureResources('', 'cc')).toEqual([]);
+  });
+});
+
+describe('expose validators', () => {
+  it('validates hostnames, names and CIDR ranges', () => {
+    expect(validateHostname('cost.example.com')).toBeUndefined();
+    expect(validateHostname('https://cost.example.com')).toMatch(/without a scheme/);
+    expect(validateHostname('localhost')).toMatch(/fully qualified/);
+    expect(validateResourceName('wildcard-tls')).toBeUndefined();
+    expect(validateResourceName('Wildcard_TLS')).toMatch(/lowercase/);
+    expect(validateSourceRanges('10.0.0.0/8, 2001:db8::/32')).toBeUndefined();
+    expect(validateSourceRanges('')).toBeUndefined();
+    expect(validateSourceRanges('10.0.0.1')).toBe(
+      '"10.0.0.1" is not a CIDR range, e.g. 203.0.113.0/24.'
+    );
+  });
+});
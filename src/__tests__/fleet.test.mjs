@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseContextList,
+  parseAgentUrlMappings,
+  summarizeFleetResults,
+  formatFleetReport,
+} from '../fleet.mjs';
+import { UsageError } from '../args.mjs';
+
+describe('fleet arguments', () => {
+  it('merges comma-separated and repeated contexts', () => {
+    expect(parseContextList(['prod-eu, prod-us', 'staging', 'prod-eu'])).toEqual([
+      'prod-eu',
+      'prod-us',
+      'staging',
+    ]);
+    expect(parseContextList()).toEqual([]);
+  });
+
+  it('parses agent URL mappings', () => {
+    expect(
+      parseAgentUrlMappings(['prod-eu=http://10.0.0.12:8080/', 'arn:aws:eks:x=https://agent.example'])
+    ).toEqual({
+      'prod-eu': 'http://10.0.0.12:8080',
+      'arn:aws:eks:x': 'https://agent.example',
+    });
+    expect(() => parseAgentUrlMappings(['prod-eu'])).toThrow(UsageError);
+    expect(() => parseAgentUrlMappings(['prod-eu=ftp://host'])).toThrow(UsageError);
+  });
+});
+
+describe('fleet report', () => {
+  const results = [
+    { context: 'prod-eu', stage: 'deploy', status: 'deployed', baseUrl: 'http://1.2.3.4:8080', error: null },
+    {
+      context: 'prod-us',
+      stage: 'deploy',
+      status: null,
+      baseUrl: null,
+      error: { commandError: { stderr: 'Error: cluster unreachable\nmore detail' } },
+    },
+  ];
+  const dashboard = { context: 'hub', status: 'deployed', agents: 1, error: null };
+
+  it('reports every cluster and the hub', () => {
+    const lines = formatFleetReport(results, dashboard);
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toContain('agent deployed · http://1.2.3.4:8080');
+    expect(lines[1]).toContain('agent deploy failed: Error: cluster unreachable');
+    expect(lines[1]).not.toContain('more detail');
+    expect(lines[2]).toContain('dashboard deployed · 1 agent(s) registered');
+  });
+
+  it('counts failures across agents and the dashboard', () => {
+    expect(summarizeFleetResults(results, dashboard)).toEqual({ agents: 2, registered: 1, failed: 1 });
+    expect(
+      summarizeFleetResults(results, { ...dashboard, error: new Error('boom') }).failed
+    ).toBe(2);
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applySetOverride,
+  parseHelmInstallArgs,
+  resolveGitopsChartSource,
+  planGitopsFiles,
+} from '../gitops.mjs';
+import { UsageError } from '../args.mjs';
+import { toYaml, toYamlDocuments } from '../yaml.mjs';
+import { DEFAULT_CHART_REPO } from '../charts.mjs';
+
+describe('Helm --set conversion', () => {
+  it('builds nested values with Helm typing', () => {
+    const values = {};
+    applySetOverride(values, 'resources.limits.cpu=500m,replicas=2,debug=true');
+    applySetOverride(values, 'agents[0].name=local,agents[0].port=8080', { string: true });
+    applySetOverride(values, 'note=a\\,b');
+    expect(values).toEqual({
+      resources: { limits: { cpu: '500m' } },
+      replicas: 2,
+      debug: true,
+      agents: [{ name: 'local', port: '8080' }],
+      note: 'a,b',
+    });
+  });
+
+  it('rejects assignments without a key', () => {
+    expect(() => applySetOverride({}, '=x')).toThrow(UsageError);
+  });
+});
+
+describe('install arguments', () => {
+  it('reads the release, chart, version, values files and overrides', () => {
+    expect(
+      parseHelmInstallArgs([
+        'upgrade',
+        '--install',
+        'clustercost-dashboard',
+        'clustercost/clustercost-dashboard',
+        '-n',
+        'team-a',
+        '--version',
+        '1.1.0',
+        '-f',
+        '/tmp/values.yaml',
+        '--set-string',
+        'agents[0].baseUrl=http://agent:8080',
+        '--set',
+        'replicas=2',
+      ])
+    ).toEqual({
+      release: 'clustercost-dashboard',
+      chart: 'clustercost/clustercost-dashboard',
+      namespace: 'team-a',
+      version: '1.1.0',
+      valueFiles: ['/tmp/values.yaml'],
+      values: { agents: [{ baseUrl: 'http://agent:8080' }], replicas: 2 },
+    });
+  });
+
+  it('only accepts upgrade --install arguments', () => {
+    expect(() => parseHelmInstallArgs(['uninstall', 'x'])).toThrow(/helm upgrade --install/);
+  });
+});
+
+describe('chart sources for GitOps', () => {
+  it('maps repository and OCI charts', () => {
+    expect(
+      resolveGitopsChartSource(
+        'agent',
+        { ref: 'clustercost/clustercost-agent-k8s', kind: 'repo' },
+        DEFAULT_CHART_REPO
+      )
+    ).toEqual({
+      type: 'default',
+      url: 'https://charts.clustercost.com',
+      chart: 'clustercost-agent-k8s',
+    });
+    expect(
+      resolveGitopsChartSource('agent', {
+        ref: 'oci://registry.example.com/charts/clustercost-agent-k8s',
+        kind: 'oci',
+      })
+    ).toEqual({
+      type: 'oci',
+      url: 'oci://registry.example.com/charts',
+      chart: 'clustercost-agent-k8s',
+    });
+  });
+
+  it('refuses local archives and repositories without a known URL', () => {
+    expect(() =>
+      resolveGitopsChartSource('agent', { ref: '/charts/agent.tgz', kind: 'archive' })
+    ).toThrow(/--agent-chart: a local chart archive/);
+    expect(() =>
+      resolveGitopsChartSource(
+        'dashboard',
+        { ref: 'internal/clustercost-dashboard', kind: 'repo' },
+        DEFAULT_CHART_REPO
+      )
+    ).toThrow(/--dashboard-chart: the URL of the repository/);
+  });
+});
+
+describe('GitOps file plan', () => {
+  const source = (chart) => ({ type: 'default', url: 'https://charts.clustercost.com', chart });
+  const components = (agentFiles = []) => [
+    {
+      name: 'agent',
+      source: source('clustercost-agent-k8s'),
+      spec: { release: 'clustercost-agent', version: '0.4.0', values: {} },
+      valueFiles: agentFiles,
+    },
+    {
+      name: 'dashboard',
+      source: source('clustercost-dashboard'),
+      spec: { release: 'clustercost-dashboard', version: '1.1.0', values: { replicas: 2 } },
+      valueFiles: [],
+    },
+  ];
+  const settings = {
+    gitRepo: 'https://git.example.com/platform.git',
+    gitPath: 'clusters/prod/clustercost',
+    gitRevision: 'HEAD',
+    argoNamespace: 'argocd',
+    argoProject: 'default',
+  };
+  const fileContent = (plan, path) => plan.files.find((file) => file.path === path)?.content;
+
+  it('writes Argo CD Applications with inline values', () => {
+    const plan = planGitopsFiles({
+      format: 'argocd',
+      namespace: 'team-a',
+      components: components(),
+      settings,
+    });
+    expect(plan.files.map((file) => file.path)).toEqual([
+      'namespace.yaml',
+      'clustercost-agent-application.yaml',
+      'clustercost-dashboard-application.yaml',
+      'kustomization.yaml',
+    ]);
+    expect(fileContent(plan, 'clustercost-dashboard-application.yaml')).toBe(
+      toYaml({
+        apiVersion: 'argoproj.io/v1alpha1',
+        kind: 'Application',
+        metadata: { name: 'clustercost-dashboard', namespace: 'argocd' },
+        spec: {
+          project: 'default',
+          destination: { server: 'https://kubernetes.default.svc', namespace: 'team-a' },
+          source: {
+            repoURL: 'https://charts.clustercost.com',
+            chart: 'clustercost-dashboard',
+            targetRevision: '1.1.0',
+            helm: { releaseName: 'clustercost-dashboard', valuesObject: { replicas: 2 } },
+          },
+          syncPolicy: { automated: { prune: true, selfHeal: true } },
+        },
+      })
+    );
+    expect(plan.notes).toEqual([]);
+  });
+
+  it('reads Argo CD values files from the Git repository', () => {
+    const plan = planGitopsFiles({
+      format: 'argocd',
+      namespace: 'team-a',
+      components: components([{ name: 'values.yaml', content: 'replicas: 1\n' }]),
+      settings,
+    });
+    expect(fileContent(plan, 'values/clustercost-agent/1-values.yaml')).toBe('replicas: 1\n');
+    const application = fileContent(plan, 'clustercost-agent-application.yaml');
+    expect(application).toContain(
+      '$values/clusters/prod/clustercost/values/clustercost-agent/1-values.yaml'
+    );
+    expect(application).toContain('ref: values');
+    expect(fileContent(plan, 'kustomization.yaml')).not.toContain('values/');
+  });
+
+  it('needs --git-repo for Argo CD values files', () => {
+    expect(() =>
+      planGitopsFiles({
+        format: 'argocd',
+        namespace: 'team-a',
+        components: components([{ name: 'values.yaml', content: 'a: 1\n' }]),
+        settings: { ...settings, gitRepo: undefined },
+      })
+    ).toThrow(/--git-repo/);
+  });
+
+  it('writes Flux sources, releases and values ConfigMaps', () => {
+    const plan = planGitopsFiles({
+      format: 'flux',
+      namespace: 'team-a',
+      components: components([{ name: 'values.yaml', content: 'replicas: 1\n' }]),
+      access: { auth: true },
+    });
+    expect(plan.files.map((file) => file.path)).toEqual([
+      'namespace.yaml',
+      'helmrepository.yaml',
+      'clustercost-agent-values.yaml',
+      'clustercost-agent-helmrelease.yaml',
+      'clustercost-dashboard-helmrelease.yaml',
+      'kustomization.yaml',
+    ]);
+    expect(fileContent(plan, 'helmrepository.yaml')).toContain('name: clustercost-repo-auth');
+    expect(fileContent(plan, 'clustercost-agent-values.yaml')).toBe(
+      toYamlDocuments([
+        {
+          apiVersion: 'v1',
+          kind: 'ConfigMap',
+          metadata: { name: 'clustercost-agent-values-1', namespace: 'team-a' },
+          data: { 'values.yaml': 'replicas: 1\n' },
+        },
+      ])
+    );
+    const dashboard = fileContent(plan, 'clustercost-dashboard-helmrelease.yaml');
+    expect(dashboard).toContain('dependsOn:\n    - name: clustercost-agent');
+    expect(dashboard).toContain('version: 1.1.0');
+    expect(fileContent(plan, 'clustercost-agent-helmrelease.yaml')).toContain(
+      'valuesFrom:\n    - kind: ConfigMap\n      name: clustercost-agent-values-1'
+    );
+    expect(plan.notes[0]).toContain('clustercost-repo-auth');
+  });
+
+  it('adds one Flux HelmRepository per distinct repository', () => {
+    const [agent, dashboard] = components();
+    const plan = planGitopsFiles({
+      format: 'flux',
+      namespace: 'team-a',
+      components: [
+        agent,
+        {
+          ...dashboard,
+          source: { type: 'oci', url: 'oci://ghcr.io/acme', chart: 'clustercost-dashboard' },
+        },
+      ],
+    });
+    const repositories = fileContent(plan, 'helmrepository.yaml');
+    expect(repositories).toContain('name: clustercost-agent');
+    expect(repositories).toContain('name: clustercost-dashboard');
+    expect(repositories).toContain('type: oci');
+    expect(repositories.split('---\n')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  chartFullname,
+  releaseComponent,
+  groupInstalls,
+  selectInstall,
+  describeInstall,
+} from '../installs.mjs';
+
+const release = (name, namespace, chart) => ({
+  name,
+  namespace,
+  revision: '1',
+  status: 'deployed',
+  chart,
+  app_version: '1.3.0',
+});
+
+const releases = [
+  release('stg-dashboard', 'tenants', 'clustercost-dashboard-1.1.0'),
+  release('clustercost-agent', 'prod', 'clustercost-agent-k8s-0.4.0'),
+  release('stg-agent', 'tenants', 'clustercost-agent-k8s-0.4.0'),
+  release('clustercost-dashboard', 'prod', 'clustercost-dashboard-1.1.0'),
+  release('qa-agent', 'tenants', 'clustercost-agent-k8s-0.3.0'),
+  release('nginx', 'web', 'nginx-1.0.0'),
+];
+
+describe('install detection', () => {
+  it('derives resource names like the Helm fullname helper', () => {
+    expect(chartFullname('clustercost-dashboard', 'clustercost-dashboard')).toBe(
+      'clustercost-dashboard'
+    );
+    expect(chartFullname('stg', 'clustercost-agent-k8s')).toBe('stg-clustercost-agent-k8s');
+    expect(chartFullname('a'.repeat(60), 'clustercost-agent-k8s')).toBe(`${'a'.repeat(60)}-cl`);
+  });
+
+  it('recognises ClusterCost releases by chart name', () => {
+    expect(releaseComponent(releases[0])).toBe('dashboard');
+    expect(releaseComponent(releases[1])).toBe('agent');
+    expect(releaseComponent(releases[5])).toBeNull();
+  });
+
+  it('groups releases into installs per namespace', () => {
+    const installs = groupInstalls(releases);
+    expect(installs.map(describeInstall)).toEqual([
+      'prod (clustercost-agent, clustercost-dashboard)',
+      'tenants (qa-agent)',
+      'tenants (stg-agent, stg-dashboard)',
+    ]);
+    expect(installs[0].agent).toMatchObject({
+      release: 'clustercost-agent',
+      namespace: 'prod',
+      chartVersion: '0.4.0',
+      appVersion: '1.3.0',
+    });
+  });
+
+  it('pairs custom release names that share no prefix when alone in a namespace', () => {
+    const installs = groupInstalls([
+      release('cost-a', 'finops', 'clustercost-agent-k8s-0.4.0'),
+      release('cost-ui', 'finops', 'clustercost-dashboard-1.1.0'),
+    ]);
+    expect(installs.map(describeInstall)).toEqual(['finops (cost-a, cost-ui)']);
+  });
+
+  it('prefers the requested namespace, then the requested release names', () => {
+    const installs = groupInstalls(releases);
+    expect(selectInstall(installs).namespace).toBe('prod');
+    expect(selectInstall(installs, { namespace: 'tenants' }).agent.release).toBe('qa-agent');
+    expect(
+      selectInstall(installs, { namespace: 'tenants', releases: { agent: 'stg-agent' } }).dashboard
+        .release
+    ).toBe('stg-dashboard');
+    expect(selectInstall(installs, { namespace: 'missing' }).namespace).toBe('prod');
+    expect(selectInstall([], { namespace: 'prod' })).toBeNull();
+  });
+});
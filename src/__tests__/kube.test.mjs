@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { withKubeTarget, parseContextNames } from '../kube.mjs';
+
+describe('kube target flags', () => {
+  const target = { context: 'prod-eu', kubeconfig: '/tmp/kubeconfig' };
+
+  it('prepends the context and kubeconfig for kubectl and helm', () => {
+    expect(withKubeTarget('kubectl', ['get', 'pods'], target)).toEqual([
+      '--kubeconfig',
+      '/tmp/kubeconfig',
+      '--context',
+      'prod-eu',
+      'get',
+      'pods',
+    ]);
+    expect(withKubeTarget('helm', ['list', '-A'], target)).toEqual([
+      '--kubeconfig',
+      '/tmp/kubeconfig',
+      '--kube-context',
+      'prod-eu',
+      'list',
+      '-A',
+    ]);
+  });
+
+  it('leaves other commands and explicit flags alone', () => {
+    expect(withKubeTarget('which', ['helm'], target)).toEqual(['helm']);
+    expect(withKubeTarget('helm', ['list', '--kube-context', 'hub'], target)).toEqual([
+      '--kubeconfig',
+      '/tmp/kubeconfig',
+      'list',
+      '--kube-context',
+      'hub',
+    ]);
+    expect(withKubeTarget('kubectl', ['get', 'ns'])).toEqual(['get', 'ns']);
+  });
+
+  it('parses context names', () => {
+    expect(parseContextNames('kind-dev\n prod-eu \n\n')).toEqual(['kind-dev', 'prod-eu']);
+    expect(parseContextNames('')).toEqual([]);
+  });
+});
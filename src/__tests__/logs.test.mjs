@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import chalk from 'chalk';
+import {
+  selectLogPods,
+  buildLogsArgs,
+  parseLogLine,
+  createLogPrefixer,
+  buildLogFilter,
+  validateLogFilter,
+  validateTail,
+  prettyPrintJsonLog,
+} from '../logs.mjs';
+
+const INSTANCE_LABEL = 'app.kubernetes.io/instance';
+const selector = 'app.kubernetes.io/instance in (clustercost-agent,clustercost-dashboard)';
+
+function withoutColors(fn) {
+  const level = chalk.level;
+  chalk.level = 0;
+  try {
+    return fn();
+  } finally {
+    chalk.level = level;
+  }
+}
+
+describe('log pods', () => {
+  it('keeps the pods of the selected releases, grouped by release', () => {
+    const pod = (name, release, containers = ['main']) => ({
+      metadata: { name, labels: { [INSTANCE_LABEL]: release } },
+      spec: { containers: containers.map((container) => ({ name: container })) },
+    });
+    expect(
+      selectLogPods(
+        [
+          pod('clustercost-dashboard-7c6b', 'clustercost-dashboard'),
+          pod('clustercost-agent-b', 'clustercost-agent', ['agent', 'exporter']),
+          pod('nginx-1', 'nginx'),
+          pod('clustercost-agent-a', 'clustercost-agent', ['agent', 'exporter']),
+        ],
+        ['clustercost-agent', 'clustercost-dashboard'],
+        INSTANCE_LABEL
+      )
+    ).toEqual([
+      {
+        name: 'clustercost-agent-a',
+        release: 'clustercost-agent',
+        containers: ['agent', 'exporter'],
+      },
+      {
+        name: 'clustercost-agent-b',
+        release: 'clustercost-agent',
+        containers: ['agent', 'exporter'],
+      },
+      {
+        name: 'clustercost-dashboard-7c6b',
+        release: 'clustercost-dashboard',
+        containers: ['main'],
+      },
+    ]);
+  });
+});
+
+describe('kubectl logs arguments', () => {
+  const pods = [
+    { name: 'a', containers: ['agent', 'exporter'] },
+    { name: 'b', containers: ['agent', 'exporter'] },
+    { name: 'c', containers: ['dashboard'] },
+  ];
+
+  it('follows every container of every replica', () => {
+    expect(
+      buildLogsArgs({ namespace: 'team-a', selector, pods, follow: true, since: '10m', tail: -1 })
+    ).toEqual([
+      'logs',
+      '-n',
+      'team-a',
+      '-l',
+      selector,
+      '--prefix',
+      '--all-containers',
+      '--tail=-1',
+      '--since=10m',
+      '--follow',
+      '--max-log-requests=5',
+    ]);
+    const many = [...pods, ...pods].map((pod, index) => ({ ...pod, name: `${pod.name}${index}` }));
+    expect(
+      buildLogsArgs({ namespace: 'x', selector, pods: many, follow: true, tail: 100 })
+    ).toContain('--max-log-requests=10');
+  });
+
+  it('gives a bare --since a unit', () => {
+    expect(buildLogsArgs({ namespace: 'x', selector, pods, since: '90', tail: -1 })).toContain(
+      '--since=90s'
+    );
+    expect(buildLogsArgs({ namespace: 'x', selector, pods, since: ' 1h', tail: -1 })).toContain(
+      '--since=1h'
+    );
+  });
+
+  it('reads the previous containers without following', () => {
+    expect(
+      buildLogsArgs({ namespace: 'team-a', selector, pods, previous: true, tail: 100 }).slice(6)
+    ).toEqual(['--all-containers', '--tail=100', '--previous']);
+  });
+});
+
+describe('log lines', () => {
+  it('splits the kubectl prefix from the message', () => {
+    expect(parseLogLine('[pod/clustercost-agent-a/agent] scraped 3 nodes')).toEqual({
+      pod: 'clustercost-agent-a',
+      container: 'agent',
+      message: 'scraped 3 nodes',
+    });
+    expect(parseLogLine('plain line')).toEqual({
+      pod: null,
+      container: null,
+      message: 'plain line',
+    });
+  });
+
+  it('pads pod names and names the container only for multi-container pods', () => {
+    const prefix = withoutColors(() =>
+      createLogPrefixer([
+        { name: 'clustercost-agent-a', containers: ['agent', 'exporter'] },
+        { name: 'clustercost-dashboard-7c6b', containers: ['dashboard'] },
+      ])
+    );
+    withoutColors(() => {
+      expect(prefix('clustercost-agent-a', 'exporter')).toBe('clustercost-agent-a/exporter | ');
+      expect(prefix('clustercost-dashboard-7c6b', 'dashboard')).toBe(
+        'clustercost-dashboard-7c6b   | '
+      );
+      expect(prefix(null, null)).toBe('');
+    });
+  });
+
+  it('gives each pod its own color', () => {
+    const level = chalk.level;
+    chalk.level = 1;
+    try {
+      const prefix = createLogPrefixer([
+        { name: 'a', containers: ['agent'] },
+        { name: 'b', containers: ['agent'] },
+      ]);
+      expect(prefix('a', 'agent')).toContain('\u001b[36ma\u001b[39m');
+      expect(prefix('b', 'agent')).toContain('\u001b[35mb\u001b[39m');
+    } finally {
+      chalk.level = level;
+    }
+  });
+
+  it('filters like grep and rejects invalid expressions', () => {
+    expect(buildLogFilter('error|timeout').test('request timeout')).toBe(true);
+    expect(buildLogFilter('ERROR').test('error')).toBe(false);
+    expect(buildLogFilter('ERROR', { ignoreCase: true }).test('error')).toBe(true);
+    expect(buildLogFilter(undefined).test('anything')).toBe(true);
+    expect(validateLogFilter('cost(s)?')).toBeUndefined();
+    expect(validateLogFilter('(')).toMatch(/^Not a valid regular expression/);
+    expect(validateTail('20')).toBeUndefined();
+    expect(validateTail('-1')).toBe('Use a whole number of lines.');
+  });
+
+  it('pretty-prints JSON log lines', () => {
+    withoutColors(() => {
+      expect(
+        prettyPrintJsonLog(
+          '{"time":"2026-10-19T08:00:01Z","level":"info","msg":"scraped nodes","nodes":3,"labels":{"zone":"a"}}'
+        )
+      ).toBe('2026-10-19T08:00:01Z INFO  scraped nodes nodes=3 labels="{\\"zone\\":\\"a\\"}"');
+      expect(
+        prettyPrintJsonLog(
+          '{"severity":"ERROR","message":"lookup failed","err":"timeout after 5s"}'
+        )
+      ).toBe('ERROR lookup failed err="timeout after 5s"');
+      expect(prettyPrintJsonLog('GET /api/costs 200')).toBe('GET /api/costs 200');
+      expect(prettyPrintJsonLog('{not json')).toBe('{not json');
+      expect(prettyPrintJsonLog('[1,2]')).toBe('[1,2]');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateOutputFormat,
+  requestsJsonOutput,
+  serializeError,
+  buildOutputDocument,
+} from '../output.mjs';
+import { OUTPUT_FORMAT_COMMANDS, UsageError } from '../args.mjs';
+
+describe('output format', () => {
+  it('accepts text and json only', () => {
+    expect(validateOutputFormat('json')).toBeUndefined();
+    expect(validateOutputFormat('text')).toBeUndefined();
+    expect(validateOutputFormat('yaml')).toBe('Use one of: text, json.');
+  });
+
+  it('spots a JSON request in raw arguments', () => {
+    expect(requestsJsonOutput(['status', '--output', 'json'])).toBe(true);
+    expect(requestsJsonOutput(['status', '--output=json'])).toBe(true);
+    expect(requestsJsonOutput(['export', '--output', 'costs.json'])).toBe(false);
+  });
+
+  it('is offered where --output is not a file path', () => {
+    expect(OUTPUT_FORMAT_COMMANDS).toEqual(['install', 'uninstall', 'watch', 'status', 'debug']);
+  });
+});
+
+describe('JSON document', () => {
+  const startedAt = new Date('2024-05-01T10:00:00.000Z');
+  const finishedAt = new Date('2024-05-01T10:00:02.500Z');
+
+  it('carries the command outcome, state, result and steps', () => {
+    const steps = [{ label: 'Deploying ClusterCost agent', status: 'succeeded', durationMs: 900 }];
+    expect(
+      buildOutputDocument({
+        command: 'install',
+        startedAt,
+        finishedAt,
+        dryRun: false,
+        context: 'kind-dev',
+        state: { agent: null, dashboard: null, installs: [] },
+        result: { namespace: 'clustercost', ready: true },
+        steps,
+      })
+    ).toEqual({
+      schemaVersion: 1,
+      command: 'install',
+      ok: true,
+      exitCode: 0,
+      dryRun: false,
+      context: 'kind-dev',
+      startedAt: '2024-05-01T10:00:00.000Z',
+      durationMs: 2500,
+      state: { agent: null, dashboard: null, installs: [] },
+      result: { namespace: 'clustercost', ready: true },
+      steps,
+      error: null,
+    });
+  });
+
+  it('reports a failing exit code as not ok', () => {
+    const document = buildOutputDocument({ command: 'status', exitCode: 1, startedAt, finishedAt });
+    expect(document).toMatchObject({ ok: false, exitCode: 1, error: null });
+  });
+});
+
+describe('error serialization', () => {
+  it('includes the failed step, command, exit code and stderr', () => {
+    const commandError = new Error('Command failed: helm upgrade --install clustercost-agent');
+    commandError.command = 'helm upgrade --install clustercost-agent';
+    commandError.code = 1;
+    commandError.stderr = 'Error: UPGRADE FAILED: timed out';
+    const error = new Error('Step failed: Deploying ClusterCost agent');
+    error.name = 'StepError';
+    error.step = 'Deploying ClusterCost agent';
+    error.commandError = commandError;
+
+    expect(serializeError(error)).toEqual({
+      type: 'StepError',
+      message: 'Step failed: Deploying ClusterCost agent',
+      step: 'Deploying ClusterCost agent',
+      command: 'helm upgrade --install clustercost-agent',
+      exitCode: 1,
+      stderr: 'Error: UPGRADE FAILED: timed out',
+      cause: 'Command failed: helm upgrade --install clustercost-agent',
+    });
+  });
+
+  it('keeps errors without a command short', () => {
+    expect(serializeError(new UsageError('Unknown command: deploy'))).toEqual({
+      type: 'UsageError',
+      message: 'Unknown command: deploy',
+    });
+    expect(serializeError(null)).toBeNull();
+  });
+
+  it('leaves the exit code empty when the command could not start', () => {
+    const commandError = Object.assign(new Error('spawn helm ENOENT'), { code: 'ENOENT' });
+    const error = Object.assign(new Error('Step failed: Checking helm'), {
+      name: 'StepError',
+      step: 'Checking helm',
+      commandError,
+    });
+    expect(serializeError(error)).toMatchObject({ command: null, exitCode: null, stderr: '' });
+  });
+});
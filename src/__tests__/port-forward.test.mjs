@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { createServer } from 'node:net';
+import { createServer as createHttpServer } from 'node:http';
+import {
+  isPortAvailable,
+  findAvailablePort,
+  nextBackoffDelay,
+  browserCommand,
+  probeHttp,
+} from '../port-forward.mjs';
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+describe('local port selection', () => {
+  it('detects a port that is already taken and skips to the next free one', async () => {
+    const server = createServer();
+    const port = await listen(server);
+    try {
+      expect(await isPortAvailable(port)).toBe(false);
+      const freePort = await findAvailablePort(port);
+      expect(freePort).toBeGreaterThan(port);
+      expect(await isPortAvailable(freePort)).toBe(true);
+    } finally {
+      await close(server);
+    }
+  });
+});
+
+describe('reconnect backoff', () => {
+  it('doubles the delay up to the maximum', () => {
+    expect([1, 2, 3, 4].map((attempt) => nextBackoffDelay(attempt))).toEqual([
+      1000, 2000, 4000, 8000,
+    ]);
+    expect(nextBackoffDelay(10)).toBe(30000);
+  });
+});
+
+describe('browser launch', () => {
+  it('uses the platform opener', () => {
+    expect(browserCommand('http://localhost:3000', 'darwin')).toEqual({
+      command: 'open',
+      args: ['http://localhost:3000'],
+    });
+    expect(browserCommand('http://localhost:3000', 'linux').command).toBe('xdg-open');
+    expect(browserCommand('http://localhost:3000', 'win32').args).toContain('start');
+  });
+});
+
+describe('tunnel health probe', () => {
+  it('treats any HTTP response as healthy', async () => {
+    const server = createHttpServer((request, response) => {
+      response.statusCode = 404;
+      response.end();
+    });
+    const port = await listen(server);
+    try {
+      expect(await probeHttp(port)).toBe(true);
+    } finally {
+      await close(server);
+    }
+  });
+
+  it('reports a closed port as unhealthy', async () => {
+    const server = createServer();
+    const port = await listen(server);
+    await close(server);
+    expect(await probeHttp(port, { timeout: 500 })).toBe(false);
+  });
+});
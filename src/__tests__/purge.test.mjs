@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  leftoverSelectors,
+  parseResourceList,
+  uniqueResources,
+  resourceRef,
+  belongsToReleases,
+  assessNamespace,
+  formatPurgeSummary,
+} from '../purge.mjs';
+
+const releases = ['clustercost-agent', 'clustercost-dashboard'];
+const resource = (kind, name, labels = {}) => ({ kind, name, namespace: 'team-a', labels });
+
+describe('uninstall purge', () => {
+  it('selects leftovers by release and chart labels', () => {
+    expect(leftoverSelectors(releases)).toEqual({
+      release: 'app.kubernetes.io/instance in (clustercost-agent,clustercost-dashboard)',
+      chart: 'app.kubernetes.io/name in (clustercost-agent-k8s,clustercost-dashboard)',
+    });
+  });
+
+  it('parses and de-duplicates kubectl lists', () => {
+    const stdout = JSON.stringify({
+      items: [
+        { kind: 'ClusterRole', metadata: { name: 'clustercost-agent' } },
+        { kind: 'ClusterRole', metadata: { name: 'clustercost-agent' } },
+      ],
+    });
+    const resources = uniqueResources(parseResourceList(stdout));
+    expect(resources).toEqual([
+      { kind: 'ClusterRole', name: 'clustercost-agent', namespace: null, labels: {} },
+    ]);
+    expect(resources.map(resourceRef)).toEqual(['clusterrole/clustercost-agent']);
+    expect(parseResourceList('')).toEqual([]);
+  });
+
+  it('recognises release objects and StatefulSet claims', () => {
+    const labelled = resource('Pod', 'agent-x', {
+      'app.kubernetes.io/instance': 'clustercost-agent',
+    });
+    expect(belongsToReleases(labelled, releases)).toBe(true);
+    expect(
+      belongsToReleases(resource('PersistentVolumeClaim', 'data-clustercost-agent-0'), releases)
+    ).toBe(true);
+    expect(belongsToReleases(resource('Pod', 'postgres-0'), releases)).toBe(false);
+    expect(
+      belongsToReleases(resource('PersistentVolumeClaim', 'clustercost-agent-backup'), releases)
+    ).toBe(false);
+  });
+
+  it('keeps the claims of another install side by side', () => {
+    const staging = ['clustercost-agent-staging', 'clustercost-dashboard-staging'];
+    const labelled = resource('PersistentVolumeClaim', 'data-clustercost-agent-staging-0', {
+      'app.kubernetes.io/instance': 'clustercost-agent-staging',
+    });
+    const unlabelled = resource('PersistentVolumeClaim', 'data-clustercost-agent-staging-0');
+    const ours = resource('PersistentVolumeClaim', 'data-clustercost-agent-0');
+
+    expect(belongsToReleases(labelled, releases, staging)).toBe(false);
+    expect(belongsToReleases(labelled, staging, releases)).toBe(true);
+    expect(belongsToReleases(unlabelled, releases, staging)).toBe(false);
+    expect(belongsToReleases(unlabelled, staging, releases)).toBe(true);
+    expect(belongsToReleases(ours, releases, staging)).toBe(true);
+    expect(belongsToReleases(ours, staging, releases)).toBe(false);
+    expect(
+      belongsToReleases(
+        resource('PersistentVolumeClaim', 'data-staging-clustercost-agent-k8s-0'),
+        ['staging'],
+        releases
+      )
+    ).toBe(true);
+  });
+
+  it('only treats namespaces the CLI created and ClusterCost alone uses as safe', () => {
+    const created = {
+      name: 'team-a',
+      labels: { 'app.kubernetes.io/created-by': 'clustercost-cli' },
+    };
+    const claim = resource('PersistentVolumeClaim', 'data-clustercost-agent-0');
+    expect(assessNamespace(created, [claim], releases)).toMatchObject({ safe: true, reason: null });
+    expect(
+      assessNamespace(created, [claim, resource('Pod', 'postgres-0')], releases)
+    ).toMatchObject({
+      safe: false,
+      reason: '1 other resource still in it',
+    });
+    expect(assessNamespace({ name: 'team-a' }, [], releases).reason).toBe(
+      'not created by the ClusterCost CLI'
+    );
+    expect(assessNamespace({ ...created, name: 'default' }, [], releases)).toMatchObject({
+      protected: true,
+      reason: 'system namespace',
+    });
+  });
+
+  it('summarises removed and kept objects', () => {
+    const lines = formatPurgeSummary(
+      ['clusterrole/clustercost-agent'],
+      [{ item: 'namespace/team-a', reason: 'declined' }]
+    );
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toContain('clusterrole/clustercost-agent');
+    expect(lines[1]).toContain('namespace/team-a');
+    expect(lines[1]).toContain('declined');
+    expect(formatPurgeSummary([], [])).toHaveLength(1);
+  });
+});
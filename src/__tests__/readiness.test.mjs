@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDuration,
+  validateDuration,
+  workloadReadiness,
+  diagnosePod,
+  selectPodEvents,
+  formatReadinessTable,
+} from '../readiness.mjs';
+
+describe('rollout timeout', () => {
+  it('parses durations in seconds', () => {
+    expect(parseDuration('90')).toBe(90);
+    expect(parseDuration('90s')).toBe(90);
+    expect(parseDuration('5m')).toBe(300);
+    expect(parseDuration('1h')).toBe(3600);
+    expect(parseDuration('0s')).toBeNull();
+    expect(validateDuration('soon')).toBe('Use a positive duration such as 90s, 5m or 1h.');
+  });
+});
+
+describe('workload readiness', () => {
+  it('reads deployments and daemonsets', () => {
+    expect(
+      workloadReadiness({ kind: 'Deployment', spec: { replicas: 2 }, status: { readyReplicas: 1 } })
+    ).toEqual({ ready: 1, desired: 2 });
+    expect(
+      workloadReadiness({ kind: 'DaemonSet', status: { numberReady: 3, desiredNumberScheduled: 3 } })
+    ).toEqual({ ready: 3, desired: 3 });
+  });
+});
+
+describe('pod diagnostics', () => {
+  it('reports image pull and crash loop problems', () => {
+    const diagnosis = diagnosePod({
+      metadata: { name: 'agent-1' },
+      status: {
+        phase: 'Running',
+        containerStatuses: [
+          {
+            name: 'agent',
+            ready: false,
+            state: { waiting: { reason: 'ImagePullBackOff', message: 'Back-off pulling image' } },
+          },
+          {
+            name: 'sidecar',
+            ready: false,
+            restartCount: 5,
+            state: { running: {} },
+            lastState: { terminated: { reason: 'Error', exitCode: 1 } },
+          },
+        ],
+      },
+    });
+    expect(diagnosis.ready).toBe(false);
+    expect(diagnosis.problems).toEqual([
+      'agent: ImagePullBackOff - Back-off pulling image',
+      'sidecar: last exit Error (code 1, 5 restarts)',
+    ]);
+  });
+
+  it('reports unschedulable pending pods', () => {
+    const diagnosis = diagnosePod({
+      metadata: { name: 'dashboard-1' },
+      status: {
+        phase: 'Pending',
+        conditions: [
+          {
+            type: 'PodScheduled',
+            status: 'False',
+            reason: 'Unschedulable',
+            message: '0/3 nodes are available: 3 Insufficient memory.',
+          },
+        ],
+      },
+    });
+    expect(diagnosis.problems).toEqual([
+      'Pending: Unschedulable - 0/3 nodes are available: 3 Insufficient memory.',
+    ]);
+  });
+
+  it('keeps the latest warning events for a pod', () => {
+    const events = [
+      { type: 'Warning', reason: 'BackOff', message: 'later', lastTimestamp: '2024-01-02', involvedObject: { kind: 'Pod', name: 'a' } },
+      { type: 'Warning', reason: 'Failed', message: 'earlier', lastTimestamp: '2024-01-01', involvedObject: { kind: 'Pod', name: 'a' } },
+      { type: 'Normal', reason: 'Pulled', message: 'ok', involvedObject: { kind: 'Pod', name: 'a' } },
+      { type: 'Warning', reason: 'Failed', message: 'other pod', involvedObject: { kind: 'Pod', name: 'b' } },
+    ];
+    expect(selectPodEvents(events, 'a')).toEqual(['Failed: earlier', 'BackOff: later']);
+  });
+});
+
+describe('readiness table', () => {
+  it('aligns columns', () => {
+    const lines = formatReadinessTable([
+      { component: 'agent', target: 'daemonset.apps/agent', ready: '1/1', ok: true, status: 'ready' },
+      { component: 'agent API', target: 'http://agent:8080', ok: false, status: 'unreachable' },
+    ]);
+    expect(lines[0]).toBe('Component  Workload              Ready  Status');
+    expect(lines[1]).toBe('agent      daemonset.apps/agent  1/1    ready');
+    expect(lines[2]).toContain('—      unreachable');
+  });
+});
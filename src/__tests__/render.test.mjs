@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toRenderArgs,
+  splitManifestDocuments,
+  planRenderFiles,
+  joinRenderedFiles,
+} from '../render.mjs';
+
+const agentManifest = [
+  '---',
+  '# Source: clustercost-agent-k8s/templates/serviceaccount.yaml',
+  'apiVersion: v1',
+  'kind: ServiceAccount',
+  'metadata:',
+  '  labels:',
+  '    name: ignored',
+  '  name: clustercost-agent',
+  '---',
+  '# Source: clustercost-agent-k8s/templates/daemonset.yaml',
+  'apiVersion: apps/v1',
+  'kind: DaemonSet',
+  'metadata:',
+  '  name: "clustercost-agent"',
+  'spec:',
+  '  template:',
+  '    metadata:',
+  '      name: pod',
+  '',
+].join('\n');
+
+describe('render arguments', () => {
+  it('turns the install arguments into helm template with CRDs and without tests', () => {
+    expect(
+      toRenderArgs([
+        'upgrade',
+        '--install',
+        'clustercost-agent',
+        'clustercost/clustercost-agent-k8s',
+        '-n',
+        'team-a',
+        '--create-namespace',
+        '--set',
+        'replicas=2',
+      ])
+    ).toEqual([
+      'template',
+      'clustercost-agent',
+      'clustercost/clustercost-agent-k8s',
+      '-n',
+      'team-a',
+      '--set',
+      'replicas=2',
+      '--include-crds',
+      '--skip-tests',
+    ]);
+  });
+});
+
+describe('rendered manifests', () => {
+  it('splits documents and reads their kind and name', () => {
+    const documents = splitManifestDocuments(`${agentManifest}---\n# Source: empty.yaml\n`);
+    expect(documents.map(({ kind, name }) => ({ kind, name }))).toEqual([
+      { kind: 'ServiceAccount', name: 'clustercost-agent' },
+      { kind: 'DaemonSet', name: 'clustercost-agent' },
+    ]);
+    expect(documents[0].content).toMatch(/^# Source: .*serviceaccount.yaml\n/);
+    expect(documents[1].content.endsWith('      name: pod\n')).toBe(true);
+  });
+
+  it('writes one file per release with the Namespace first', () => {
+    const files = planRenderFiles({
+      namespace: 'team-a',
+      releases: [
+        { release: 'clustercost-agent', manifest: agentManifest },
+        { release: 'clustercost-dashboard', manifest: 'kind: Deployment\nspec: {}\n' },
+      ],
+    });
+    expect(files.map((file) => file.path)).toEqual([
+      'namespace.yaml',
+      'clustercost-agent.yaml',
+      'clustercost-dashboard.yaml',
+    ]);
+    expect(files[1].content.split('---\n')).toHaveLength(2);
+
+    const stream = joinRenderedFiles(files);
+    expect(stream.startsWith('apiVersion: v1\nkind: Namespace\nmetadata:\n  name: team-a\n')).toBe(
+      true
+    );
+    expect(stream.split('---\n')).toHaveLength(4);
+  });
+
+  it('writes one file per resource and a kustomization that sets the namespace', () => {
+    const files = planRenderFiles({
+      namespace: 'team-a',
+      releases: [
+        {
+          release: 'clustercost-dashboard',
+          manifest: 'kind: ConfigMap\n---\nkind: ConfigMap\n---\nfoo: bar\n',
+        },
+      ],
+      split: true,
+      kustomization: true,
+    });
+    expect(files.map((file) => file.path)).toEqual([
+      'namespace.yaml',
+      'clustercost-dashboard/configmap.yaml',
+      'clustercost-dashboard/configmap-2.yaml',
+      'clustercost-dashboard/resource-3.yaml',
+      'kustomization.yaml',
+    ]);
+    expect(files[4].content).toBe(
+      [
+        'apiVersion: kustomize.config.k8s.io/v1beta1',
+        'kind: Kustomization',
+        'namespace: team-a',
+        'resources:',
+        '  - namespace.yaml',
+        '  - clustercost-dashboard/configmap.yaml',
+        '  - clustercost-dashboard/configmap-2.yaml',
+        '  - clustercost-dashboard/resource-3.yaml',
+        '',
+      ].join('\n')
+    );
+  });
+});
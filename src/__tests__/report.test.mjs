@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import {
+  buildCostsUrl,
+  fetchCostBreakdown,
+  normalizeCostPayload,
+  validateWindow,
+} from '../agent-api.mjs';
+import { sortCostItems, formatCostTable } from '../report.mjs';
+
+describe('agent cost API', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      requests.push(request.url);
+      if (request.url.includes('groupBy=node')) {
+        response.statusCode = 500;
+        response.end();
+        return;
+      }
+      response.setHeader('content-type', 'application/json');
+      response.end(
+        JSON.stringify({
+          window: '7d',
+          currency: 'EUR',
+          items: [
+            { name: 'payments', cpuCost: 10, memoryCost: 2.5 },
+            { name: 'web', cost: 30, cpuCost: 20, memoryCost: 10 },
+          ],
+        })
+      );
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('builds the costs URL', () => {
+    expect(buildCostsUrl('http://agent:8080/', { groupBy: 'namespace', window: '24h' })).toBe(
+      'http://agent:8080/api/v1/costs?groupBy=namespace&window=24h'
+    );
+  });
+
+  it('passes label and date range filters', () => {
+    expect(
+      buildCostsUrl('http://agent:8080', {
+        groupBy: 'label',
+        label: 'team',
+        start: '2024-05-01T00:00:00.000Z',
+        end: '2024-05-08T00:00:00.000Z',
+      })
+    ).toBe(
+      'http://agent:8080/api/v1/costs?groupBy=label&label=team' +
+        '&start=2024-05-01T00%3A00%3A00.000Z&end=2024-05-08T00%3A00%3A00.000Z'
+    );
+  });
+
+  it('fetches and normalizes a breakdown from the agent', async () => {
+    const breakdown = await fetchCostBreakdown(baseUrl, { groupBy: 'namespace', window: '7d' });
+    expect(requests.at(-1)).toBe('/api/v1/costs?groupBy=namespace&window=7d');
+    expect(breakdown).toEqual({
+      groupBy: 'namespace',
+      window: '7d',
+      currency: 'EUR',
+      items: [
+        { name: 'payments', namespace: null, cpuCost: 10, memoryCost: 2.5, cost: 12.5 },
+        { name: 'web', namespace: null, cpuCost: 20, memoryCost: 10, cost: 30 },
+      ],
+    });
+  });
+
+  it('surfaces agent errors', async () => {
+    await expect(fetchCostBreakdown(baseUrl, { groupBy: 'node', window: '7d' })).rejects.toThrow(
+      'ClusterCost agent answered 500'
+    );
+  });
+
+  it('validates time windows', () => {
+    expect(validateWindow('24h')).toBeUndefined();
+    expect(validateWindow('7d')).toBeUndefined();
+    expect(validateWindow('week')).toBe('Use a window such as 1h, 24h or 7d.');
+  });
+});
+
+describe('cost table', () => {
+  const breakdown = normalizeCostPayload(
+    {
+      currency: 'USD',
+      items: [
+        { name: 'api', namespace: 'web', cost: 20, cpuCost: 15, memoryCost: 5 },
+        { name: 'worker', namespace: 'jobs', cost: 5, cpuCost: 4, memoryCost: 1 },
+        { name: 'cron', namespace: 'jobs', cost: 15, cpuCost: 10, memoryCost: 5 },
+      ],
+    },
+    { groupBy: 'workload' }
+  );
+
+  it('sorts by cost or name', () => {
+    expect(sortCostItems(breakdown.items).map((item) => item.name)).toEqual([
+      'api',
+      'cron',
+      'worker',
+    ]);
+    expect(sortCostItems(breakdown.items, 'name').map((item) => item.name)).toEqual([
+      'api',
+      'cron',
+      'worker',
+    ]);
+  });
+
+  it('renders top-N rows with a remainder and total', () => {
+    expect(formatCostTable(breakdown, { top: 2 })).toEqual([
+      'Workload      CPU  Memory   Total  Share',
+      'web/api    $15.00   $5.00  $20.00  50.0%',
+      'jobs/cron  $10.00   $5.00  $15.00  37.5%',
+      '(1 more)                    $5.00  12.5%',
+      'Total                      $40.00   100%',
+    ]);
+  });
+
+  it('explains an empty breakdown', () => {
+    expect(formatCostTable({ groupBy: 'node', currency: 'USD', items: [] })).toEqual([
+      'No cost data by node for this window.',
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { UsageError } from '../args.mjs';
+import {
+  parseHelmHistory,
+  rollbackCandidates,
+  currentRevision,
+  parseRevisionTargets,
+  formatHistoryTable,
+  formatUpdated,
+} from '../rollback.mjs';
+
+const historyJson = JSON.stringify([
+  {
+    revision: 1,
+    updated: '2024-05-01T10:12:03.123+00:00',
+    status: 'superseded',
+    chart: 'clustercost-agent-k8s-0.3.0',
+    app_version: '1.2.0',
+    description: 'Install complete',
+  },
+  {
+    revision: 2,
+    updated: '2024-05-03T08:00:00+00:00',
+    status: 'failed',
+    chart: 'clustercost-agent-k8s-0.4.0-rc.1',
+    app_version: '1.3.0',
+    description: 'Upgrade failed',
+  },
+  {
+    revision: 3,
+    updated: '2024-05-03T08:05:00+00:00',
+    status: 'deployed',
+    chart: 'clustercost-agent-k8s-0.3.0',
+    app_version: '1.2.0',
+    description: 'Rollback to 1',
+  },
+]);
+
+describe('helm history', () => {
+  const history = parseHelmHistory(historyJson);
+
+  it('parses revisions newest first with chart and app versions', () => {
+    expect(history[0]).toEqual({
+      revision: 3,
+      updated: '2024-05-03T08:05:00+00:00',
+      status: 'deployed',
+      chart: 'clustercost-agent-k8s',
+      chartVersion: '0.3.0',
+      appVersion: '1.2.0',
+      description: 'Rollback to 1',
+    });
+    expect(history[1].chartVersion).toBe('0.4.0-rc.1');
+    expect(parseHelmHistory('')).toEqual([]);
+  });
+
+  it('finds the deployed revision and the rollback candidates', () => {
+    expect(currentRevision(history)).toBe(3);
+    expect(rollbackCandidates(history).map((entry) => entry.revision)).toEqual([2, 1]);
+    expect(currentRevision([])).toBeNull();
+  });
+
+  it('formats a table that marks the current revision', () => {
+    expect(formatHistoryTable(history)).toEqual([
+      'Revision  Chart       App    Status      Updated           Description',
+      '3*        0.3.0       1.2.0  deployed    2024-05-03 08:05  Rollback to 1',
+      '2         0.4.0-rc.1  1.3.0  failed      2024-05-03 08:00  Upgrade failed',
+      '1         0.3.0       1.2.0  superseded  2024-05-01 10:12  Install complete',
+    ]);
+    expect(formatUpdated('2024-05-01 10:12:03.123456 +0000 UTC')).toBe('2024-05-01 10:12');
+  });
+});
+
+describe('revision targets', () => {
+  it('accepts a bare revision for a single release', () => {
+    expect(parseRevisionTargets(['2'], ['agent'])).toEqual({ agent: 2 });
+  });
+
+  it('accepts per-component revisions', () => {
+    expect(parseRevisionTargets(['agent=2', 'dashboard=5'])).toEqual({ agent: 2, dashboard: 5 });
+    expect(parseRevisionTargets(undefined)).toEqual({});
+  });
+
+  it('rejects ambiguous or invalid revisions', () => {
+    expect(() => parseRevisionTargets(['2'])).toThrow(/pick one release with --component/);
+    expect(() => parseRevisionTargets(['agent=0'])).toThrow(UsageError);
+    expect(() => parseRevisionTargets(['agent=two'])).toThrow(UsageError);
+    expect(() => parseRevisionTargets(['dashboard=2'], ['agent'])).toThrow(
+      'component must be one of agent'
+    );
+  });
+});
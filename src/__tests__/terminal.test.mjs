@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { isTruthyEnv, detectTerminalMode, createPlainSpinner } from '../terminal.mjs';
+
+const tty = { isTTY: true };
+const pipe = { isTTY: false };
+
+describe('terminal mode', () => {
+  it('keeps the rich UI on an interactive terminal', () => {
+    expect(detectTerminalMode({ env: {}, stdout: tty, stdin: tty })).toEqual({
+      plain: false,
+      reasons: [],
+      canPrompt: true,
+    });
+  });
+
+  it('switches to plain output for --plain, CI, NO_COLOR and piped stdout', () => {
+    expect(detectTerminalMode({ plain: true, env: {}, stdout: tty, stdin: tty })).toMatchObject({
+      plain: true,
+      reasons: ['--plain'],
+      canPrompt: true,
+    });
+    expect(detectTerminalMode({ env: { NO_COLOR: '1' }, stdout: tty, stdin: tty })).toMatchObject({
+      plain: true,
+      reasons: ['NO_COLOR'],
+      canPrompt: true,
+    });
+    expect(detectTerminalMode({ env: { CI: 'true' }, stdout: tty, stdin: tty })).toMatchObject({
+      plain: true,
+      reasons: ['CI'],
+      canPrompt: false,
+    });
+    expect(detectTerminalMode({ env: {}, stdout: pipe, stdin: tty })).toMatchObject({
+      plain: true,
+      reasons: ['stdout is not a terminal'],
+      canPrompt: false,
+    });
+  });
+
+  it('cannot prompt without a terminal on stdin', () => {
+    expect(detectTerminalMode({ env: {}, stdout: tty, stdin: pipe }).canPrompt).toBe(false);
+  });
+
+  it('ignores empty NO_COLOR and disabled CI values', () => {
+    expect(
+      detectTerminalMode({ env: { NO_COLOR: '', CI: 'false' }, stdout: tty, stdin: tty })
+    ).toMatchObject({ plain: false, canPrompt: true });
+    expect(isTruthyEnv('0')).toBe(false);
+    expect(isTruthyEnv('1')).toBe(true);
+    expect(isTruthyEnv(undefined)).toBe(false);
+  });
+});
+
+describe('plain spinner', () => {
+  it('logs one line per state change', () => {
+    const lines = [];
+    let clock = 1000;
+    const spinner = createPlainSpinner('Deploying ClusterCost agent', {
+      write: (line) => lines.push(line),
+      now: () => clock,
+    }).start();
+    clock += 2500;
+    spinner.succeed('ClusterCost agent deployed');
+    spinner.fail();
+    spinner.info('Deploying ClusterCost agent (planned)');
+
+    expect(lines).toEqual([
+      'start: Deploying ClusterCost agent',
+      'done: ClusterCost agent deployed (2.5s)',
+      'fail: Deploying ClusterCost agent (2.5s)',
+      'info: Deploying ClusterCost agent (planned)',
+    ]);
+  });
+});
@@ -4,6 +4,8 @@ import {
   validateServiceName,
   validatePort,
   buildDashboardHelmArgs,
+  buildAgentHelmArgs,
+  formatCommand,
 } from '../index.mjs';
 
 describe('input validators', () => {
@@ -47,4 +49,76 @@ describe('dashboard Helm args', () => {
     expect(args).toContain('agents[0].name=local-cluster');
     expect(args).toContain('agents[0].type=k8s');
   });
+
+  it('registers every fleet agent, even in the default namespace', () => {
+    const args = buildDashboardHelmArgs('clustercost', {}, {
+      agents: [
+        { name: 'prod-eu', type: 'k8s', baseUrl: 'http://10.0.0.12:8080' },
+        { name: 'prod-us', type: 'k8s', baseUrl: 'http://10.0.1.12:8080' },
+      ],
+    });
+    expect(args).toContain('agents[0].name=prod-eu');
+    expect(args).toContain('agents[1].baseUrl=http://10.0.1.12:8080');
+  });
+
+  it('places values files first and user overrides last', () => {
+    const args = buildDashboardHelmArgs('team-a', { files: ['dash.yaml'], set: ['replicas=2'] });
+    expect(args.indexOf('dash.yaml')).toBeLessThan(args.indexOf('agents[0].name=local-cluster'));
+    expect(args.slice(-2)).toEqual(['--set', 'replicas=2']);
+  });
+});
+
+describe('agent Helm args', () => {
+  it('installs the agent chart into the namespace', () => {
+    expect(buildAgentHelmArgs('team-a')).toEqual([
+      'upgrade',
+      '--install',
+      'clustercost-agent',
+      'clustercost/clustercost-agent-k8s',
+      '-n',
+      'team-a',
+      '--create-namespace',
+    ]);
+  });
+
+  it('pins chart versions and custom release names', () => {
+    const agentArgs = buildAgentHelmArgs('clustercost', {}, { release: 'cc-agent', version: '1.2.3' });
+    expect(agentArgs.slice(0, 3)).toEqual(['upgrade', '--install', 'cc-agent']);
+    expect(agentArgs).toEqual(expect.arrayContaining(['--version', '1.2.3']));
+
+    const dashboardArgs = buildDashboardHelmArgs('clustercost', {}, { agentRelease: 'cc-agent' });
+    expect(dashboardArgs).toContain(
+      'agents[0].baseUrl=http://cc-agent-clustercost-agent-k8s.clustercost.svc.cluster.local:8080'
+    );
+  });
+
+  it('appends custom values', () => {
+    const args = buildAgentHelmArgs('team-a', { files: ['agent.yaml'], set: ['image.tag=1.2'] });
+    expect(args.slice(-4)).toEqual(['-f', 'agent.yaml', '--set', 'image.tag=1.2']);
+  });
+
+  it('installs from another chart source', () => {
+    const args = buildAgentHelmArgs('team-a', {}, {
+      chart: 'oci://registry.internal/charts/clustercost-agent-k8s',
+      version: '0.4.0',
+      sourceArgs: ['--ca-file', '/etc/ssl/internal.pem'],
+    });
+    expect(args[3]).toBe('oci://registry.internal/charts/clustercost-agent-k8s');
+    expect(args.slice(-4)).toEqual(['--version', '0.4.0', '--ca-file', '/etc/ssl/internal.pem']);
+  });
+});
+
+describe('dry-run command formatting', () => {
+  it('leaves plain arguments unquoted', () => {
+    expect(formatCommand('kubectl', ['create', 'namespace', 'team-a'])).toBe(
+      'kubectl create namespace team-a'
+    );
+  });
+
+  it('quotes arguments the shell would interpret', () => {
+    expect(formatCommand('helm', ['--set-string', 'agents[0].name=local cluster'])).toBe(
+      "helm --set-string 'agents[0].name=local cluster'"
+    );
+    expect(formatCommand('echo', ["it's"])).toBe("echo 'it'\\''s'");
+  });
 });
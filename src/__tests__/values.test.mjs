@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createChartValues,
+  validateSetOverride,
+  buildValuesArgs,
+  hasPreviousValues,
+  describeChartValues,
+  buildAgentListArgs,
+} from '../values.mjs';
+
+describe('Helm value overrides', () => {
+  it('validates key=value overrides', () => {
+    expect(validateSetOverride('resources.limits.cpu=500m')).toBeUndefined();
+    expect(validateSetOverride('image.tag=')).toBeUndefined();
+    expect(validateSetOverride('')).toBe('Override cannot be empty.');
+    expect(validateSetOverride('=value')).toBe(
+      'Use the form key=value (e.g. resources.limits.cpu=500m).'
+    );
+    expect(validateSetOverride('node selector=a')).toBe('Override keys cannot contain spaces.');
+  });
+
+  it('builds values files before --set overrides', () => {
+    expect(buildValuesArgs({ files: ['a.yaml', 'b.yaml'], set: ['x=1'] })).toEqual([
+      '-f',
+      'a.yaml',
+      '-f',
+      'b.yaml',
+      '--set',
+      'x=1',
+    ]);
+    expect(buildValuesArgs()).toEqual([]);
+  });
+
+  it('describes previous values and pending overrides', () => {
+    const chartValues = createChartValues({
+      files: ['prod.yaml'],
+      set: ['image.tag=1.2.3'],
+      previous: { replicas: 2 },
+    });
+    expect(hasPreviousValues(chartValues)).toBe(true);
+    const description = describeChartValues(chartValues);
+    expect(description).toContain('"replicas": 2');
+    expect(description).toContain('Values files: prod.yaml');
+    expect(description).toContain('Overrides: image.tag=1.2.3');
+    expect(hasPreviousValues(createChartValues({ previous: {} }))).toBe(false);
+  });
+});
+
+describe('dashboard agent list', () => {
+  it('writes one entry per agent and escapes commas', () => {
+    expect(
+      buildAgentListArgs([
+        { baseUrl: 'http://a:8080', name: 'prod', type: 'k8s' },
+        { baseUrl: 'http://b:8080', name: 'eu,west', type: 'k8s' },
+      ])
+    ).toEqual([
+      '--set-string',
+      'agents[0].baseUrl=http://a:8080',
+      '--set-string',
+      'agents[0].name=prod',
+      '--set-string',
+      'agents[0].type=k8s',
+      '--set-string',
+      'agents[1].baseUrl=http://b:8080',
+      '--set-string',
+      'agents[1].name=eu\\,west',
+      '--set-string',
+      'agents[1].type=k8s',
+    ]);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import chalk from 'chalk';
+import {
+  podStatus,
+  imageTag,
+  formatAge,
+  summarizePod,
+  parsePodMetrics,
+  isSnapshotHealthy,
+  formatWatchScreen,
+} from '../watch.mjs';
+
+const INSTANCE_LABEL = 'app.kubernetes.io/instance';
+
+function pod({ name = 'clustercost-agent-5d9f', phase = 'Running', containers = [{}], ...rest }) {
+  return {
+    metadata: {
+      name,
+      creationTimestamp: '2026-10-19T08:00:00Z',
+      labels: { [INSTANCE_LABEL]: 'clustercost-agent' },
+      ...rest.metadata,
+    },
+    spec: { containers: [{ name: 'agent', image: 'ghcr.io/clustercost/agent:1.4.2' }] },
+    status: {
+      phase,
+      containerStatuses: containers.map((status) => ({
+        ready: true,
+        restartCount: 0,
+        state: { running: {} },
+        ...status,
+      })),
+    },
+  };
+}
+
+describe('pod summary', () => {
+  it('reports the status kubectl would show', () => {
+    expect(podStatus(pod({}))).toBe('Running');
+    expect(
+      podStatus(pod({ containers: [{ state: { waiting: { reason: 'CrashLoopBackOff' } } }] }))
+    ).toBe('CrashLoopBackOff');
+    expect(
+      podStatus(
+        pod({ phase: 'Failed', containers: [{ state: { terminated: { reason: 'OOMKilled' } } }] })
+      )
+    ).toBe('OOMKilled');
+    expect(podStatus(pod({ metadata: { deletionTimestamp: '2026-10-19T09:00:00Z' } }))).toBe(
+      'Terminating'
+    );
+    expect(podStatus({})).toBe('Unknown');
+  });
+
+  it('reads image tags and formats ages like kubectl', () => {
+    expect(imageTag('ghcr.io/clustercost/agent:1.4.2')).toBe('1.4.2');
+    expect(imageTag('registry.local:5000/clustercost/agent')).toBe('latest');
+    expect(imageTag('ghcr.io/clustercost/agent@sha256:0123456789abcdef')).toBe(
+      'sha256:0123456789ab'
+    );
+    expect(formatAge(45_000)).toBe('45s');
+    expect(formatAge(5 * 60_000)).toBe('5m');
+    expect(formatAge(150 * 60_000)).toBe('2h30m');
+    expect(formatAge(30 * 3_600_000)).toBe('30h');
+    expect(formatAge(72 * 3_600_000)).toBe('3d');
+  });
+
+  it('sums restarts, counts ready containers and flags unhealthy pods', () => {
+    const now = Date.parse('2026-10-19T09:30:00Z');
+    expect(summarizePod(pod({ containers: [{ restartCount: 2 }] }), INSTANCE_LABEL, now)).toEqual({
+      name: 'clustercost-agent-5d9f',
+      release: 'clustercost-agent',
+      status: 'Running',
+      ready: '1/1',
+      healthy: true,
+      restarts: 2,
+      age: '1h30m',
+      images: '1.4.2',
+    });
+    const notReady = summarizePod(pod({ containers: [{ ready: false }] }), INSTANCE_LABEL, now);
+    expect(notReady.ready).toBe('0/1');
+    expect(notReady.healthy).toBe(false);
+  });
+
+  it('parses kubectl top output', () => {
+    expect(
+      parsePodMetrics(
+        'clustercost-agent-5d9f   12m   48Mi\nclustercost-dashboard-7c6b   3m   20Mi\n'
+      )
+    ).toEqual({
+      'clustercost-agent-5d9f': { cpu: '12m', memory: '48Mi' },
+      'clustercost-dashboard-7c6b': { cpu: '3m', memory: '20Mi' },
+    });
+    expect(parsePodMetrics('')).toEqual({});
+  });
+});
+
+describe('status screen', () => {
+  const releases = {
+    agent: {
+      release: 'clustercost-agent',
+      revision: 3,
+      status: 'deployed',
+      chartVersion: '0.4.0',
+      appVersion: '1.4.2',
+    },
+    dashboard: null,
+  };
+  const pods = [summarizePod(pod({}), INSTANCE_LABEL, Date.parse('2026-10-19T08:00:30Z'))];
+
+  it('is healthy only when both releases are deployed and every pod is ready', () => {
+    expect(isSnapshotHealthy({ releases, pods })).toBe(false);
+    const dashboard = { ...releases.agent, release: 'clustercost-dashboard' };
+    expect(isSnapshotHealthy({ releases: { ...releases, dashboard }, pods })).toBe(true);
+    expect(isSnapshotHealthy({ releases: { ...releases, dashboard }, pods: [] })).toBe(false);
+  });
+
+  it('lists releases and pods with their usage', () => {
+    const level = chalk.level;
+    chalk.level = 0;
+    try {
+      const lines = formatWatchScreen({
+        namespace: 'clustercost',
+        context: 'kind-dev',
+        releases,
+        pods,
+        metrics: { 'clustercost-agent-5d9f': { cpu: '12m', memory: '48Mi' } },
+        takenAt: new Date('2026-10-19T08:00:30Z'),
+        footer: 'Refreshing every 5s · press q to quit',
+      });
+      expect(lines).toEqual([
+        'ClusterCost status · ns clustercost · kind-dev · 08:00:30 UTC',
+        '',
+        'Component  Release            Revision  Status         Chart  App',
+        'agent      clustercost-agent  3         deployed       0.4.0  1.4.2',
+        'dashboard  —                  —         not installed  —      —',
+        '',
+        'Pod                     Release            Status   Ready  Restarts  Age  Image  CPU  Memory',
+        'clustercost-agent-5d9f  clustercost-agent  Running  1/1    0         30s  1.4.2  12m  48Mi',
+        '',
+        'Refreshing every 5s · press q to quit',
+      ]);
+
+      const withoutMetrics = formatWatchScreen({
+        namespace: 'clustercost',
+        releases,
+        pods: [],
+        metrics: null,
+        takenAt: new Date('2026-10-19T08:00:30Z'),
+      });
+      expect(withoutMetrics).toContain('No ClusterCost pods found.');
+      expect(withoutMetrics.at(-1)).toBe('CPU and memory need metrics-server; it did not answer.');
+    } finally {
+      chalk.level = level;
+    }
+  });
+});
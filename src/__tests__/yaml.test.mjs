@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { toYaml, toYamlDocuments } from '../yaml.mjs';
+
+describe('YAML writer', () => {
+  it('writes nested maps and lists in block style', () => {
+    expect(
+      toYaml({
+        metadata: { name: 'clustercost', labels: {} },
+        resources: ['namespace.yaml', 'agent.yaml'],
+        agents: [{ name: 'local', port: 8080 }],
+        matrix: [[1, 2]],
+        empty: [],
+        enabled: true,
+        missing: null,
+      })
+    ).toBe(
+      [
+        'metadata:',
+        '  name: clustercost',
+        '  labels: {}',
+        'resources:',
+        '  - namespace.yaml',
+        '  - agent.yaml',
+        'agents:',
+        '  - name: local',
+        '    port: 8080',
+        'matrix:',
+        '  - - 1',
+        '    - 2',
+        'empty: []',
+        'enabled: true',
+        'missing: null',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('quotes strings YAML would read as another type or structure', () => {
+    expect(
+      toYaml({ a: 'yes', b: '1.10', c: '*', d: 'key: value', e: '', f: '0.4.0', y: 'x' })
+    ).toBe('a: "yes"\nb: "1.10"\nc: "*"\nd: "key: value"\ne: ""\nf: 0.4.0\n"y": x\n');
+  });
+
+  it('quotes strings a YAML reader would reject or retype', () => {
+    const values = {
+      schedule: '@daily',
+      format: '%x',
+      item: '- x',
+      dash: '-',
+      command: '`date`',
+      date: '2024-01-01',
+      time: '2024-01-01 10:00:00',
+      hex: '+0x1f',
+      base60: '1:20',
+      float: '9.',
+      negative: '-.inf',
+      flag: '-x',
+      mail: 'ops@example.com',
+    };
+    const text = toYaml({ values });
+    expect(text).toContain('  schedule: "@daily"\n');
+    expect(text).toContain('  date: "2024-01-01"\n');
+    expect(text).toContain('  flag: -x\n');
+    expect(text).toContain('  mail: ops@example.com\n');
+    expect(yaml.load(text)).toEqual({ values });
+  });
+
+  it('round-trips nested values', () => {
+    const document = {
+      spec: {
+        source: { helm: { valuesObject: { image: { tag: '1.10' }, cron: '@hourly', on: 'on' } } },
+        list: ['- a', '%b', 2024, true, null, 'multi\nline\n'],
+      },
+    };
+    expect(yaml.load(toYaml(document))).toEqual(document);
+  });
+
+  it('writes multi-line strings as literal blocks', () => {
+    expect(toYaml({ data: { 'values.yaml': 'a: 1\nb:\n  c: 2\n' } })).toBe(
+      'data:\n  values.yaml: |\n    a: 1\n    b:\n      c: 2\n'
+    );
+    expect(toYaml({ note: 'one\ntwo' })).toBe('note: |-\n  one\n  two\n');
+    expect(toYaml({ note: '  indented\nline' })).toBe('note: "  indented\\nline"\n');
+  });
+
+  it('separates documents', () => {
+    expect(toYamlDocuments([{ kind: 'A' }, { kind: 'B' }])).toBe('kind: A\n---\nkind: B\n');
+  });
+});
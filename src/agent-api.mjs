@@ -0,0 +1,66 @@
+export const AGENT_COSTS_PATH = '/api/v1/costs';
+export const COST_GROUPS = ['namespace', 'workload', 'node'];
+
+const WINDOW_PATTERN = /^\d+(m|h|d)$/;
+
+export function validateWindow(value) {
+  return WINDOW_PATTERN.test(String(value ?? '').trim())
+    ? undefined
+    : 'Use a window such as 1h, 24h or 7d.';
+}
+
+export function buildCostsUrl(baseUrl, { groupBy, window, label, start, end } = {}) {
+  const url = new URL(AGENT_COSTS_PATH, `${baseUrl.replace(/\/+$/, '')}/`);
+  url.searchParams.set('groupBy', groupBy);
+  const filters = { label, window, start, end };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+}
+
+export async function fetchCostBreakdown(baseUrl, query, { timeout = 10000 } = {}) {
+  const url = buildCostsUrl(baseUrl, query);
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { accept: 'application/json' },
+      signal: AbortSignal.timeout(timeout),
+    });
+  } catch (error) {
+    throw new Error(
+      `Could not reach the ClusterCost agent at ${url}: ${error.cause?.message || error.message}`
+    );
+  }
+
+  if (!response.ok) {
+    throw new Error(`ClusterCost agent answered ${response.status} for ${url}`);
+  }
+
+  return normalizeCostPayload(await response.json(), query);
+}
+
+export function normalizeCostPayload(payload, { groupBy, window, label } = {}) {
+  const rawItems = Array.isArray(payload) ? payload : payload?.items || payload?.data || [];
+  return {
+    groupBy,
+    window: payload?.window || window || null,
+    currency: payload?.currency || 'USD',
+    items: rawItems.map((item) => ({
+      name: String(item.name ?? item[groupBy] ?? (label && item.labels?.[label]) ?? 'unknown'),
+      namespace: item.namespace ?? null,
+      cpuCost: toNumber(item.cpuCost),
+      memoryCost: toNumber(item.memoryCost),
+      cost: toNumber(
+        item.cost ?? item.totalCost ?? toNumber(item.cpuCost) + toNumber(item.memoryCost)
+      ),
+    })),
+  };
+}
+
+function toNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : 0;
+}
@@ -0,0 +1,44 @@
+export const AIRGAP_MANIFEST = 'manifest.json';
+export const AIRGAP_IMAGE_LIST = 'images.txt';
+
+export function extractImages(manifests) {
+  const images = new Set();
+  const pattern = /^\s*(?:-\s*)?image:\s*["']?([^"'\s#]+)["']?\s*(?:#.*)?$/gm;
+  let match = pattern.exec(manifests || '');
+  while (match) {
+    images.add(match[1]);
+    match = pattern.exec(manifests);
+  }
+  return [...images].sort();
+}
+
+// "ghcr.io/clustercost/agent:1.3.0" -> "registry.internal/clustercost/agent:1.3.0". The
+// first path segment is only treated as a registry when it looks like a host.
+export function rewriteImageRegistry(image, registry) {
+  const [first, ...rest] = image.split('/');
+  const hasRegistry = rest.length > 0 && (/[.:]/.test(first) || first === 'localhost');
+  const path = hasRegistry ? rest.join('/') : image;
+  return `${registry.replace(/\/+$/, '')}/${path}`;
+}
+
+export function formatImageList(images, { registry = null } = {}) {
+  const lines = images.map((image) =>
+    registry ? `${image} ${rewriteImageRegistry(image, registry)}` : image
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+export function buildAirgapManifest({ charts, images, registry = null, ...details }) {
+  return {
+    ...details,
+    charts,
+    images: images.map((image) => ({
+      source: image,
+      ...(registry ? { mirror: rewriteImageRegistry(image, registry) } : {}),
+    })),
+  };
+}
+
+export function defaultAirgapFileName(now = new Date()) {
+  return `clustercost-airgap-${now.toISOString().slice(0, 10).replace(/-/g, '')}.tar.gz`;
+}
@@ -0,0 +1,804 @@
+import { parseArgs } from 'node:util';
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const HELP_OPTION = {
+  type: 'boolean',
+  short: 'h',
+  description: 'Show help for the command',
+};
+
+export const GLOBAL_OPTIONS = {
+  'dry-run': {
+    type: 'boolean',
+    description: 'Print the kubectl and helm commands that would change the cluster instead of running them',
+  },
+  'render-manifests': {
+    type: 'boolean',
+    description: 'With --dry-run, also show the manifests rendered by "helm upgrade --dry-run --debug"',
+  },
+  context: {
+    type: 'string',
+    value: '<name>',
+    description: 'Kube context for every kubectl and helm call (the kubeconfig is never changed)',
+  },
+  kubeconfig: {
+    type: 'string',
+    value: '<path>',
+    description: 'Kubeconfig file to use instead of $KUBECONFIG or ~/.kube/config',
+  },
+  plain: {
+    type: 'boolean',
+    description: 'No colors, animations or spinners (also on for CI, NO_COLOR and non-terminal output)',
+  },
+  'log-file': {
+    type: 'string',
+    value: '<path>',
+    description: 'Audit log to append to and read history from (default: ~/.local/state/clustercost/audit.jsonl)',
+  },
+  help: HELP_OPTION,
+};
+
+const NAMESPACE_OPTION = {
+  type: 'string',
+  short: 'n',
+  value: '<name>',
+  description: 'Namespace to act on (defaults to the detected install or "clustercost")',
+};
+
+const YES_OPTION = {
+  type: 'boolean',
+  short: 'y',
+  description: 'Assume "yes" for confirmations (needed to reinstall, roll back, expose or remove)',
+};
+
+const RELEASE_OPTIONS = {
+  'agent-release': {
+    type: 'string',
+    value: '<name>',
+    description: 'Helm release name of the agent (default: detected or clustercost-agent)',
+  },
+  'dashboard-release': {
+    type: 'string',
+    value: '<name>',
+    description: 'Helm release name of the dashboard (default: detected or clustercost-dashboard)',
+  },
+};
+
+const VALUE_OVERRIDE_OPTIONS = {
+  'agent-values': {
+    type: 'string',
+    multiple: true,
+    value: '<file>',
+    description: 'Helm values file for the agent chart (repeatable)',
+  },
+  'agent-set': {
+    type: 'string',
+    multiple: true,
+    value: '<key=value>',
+    description: 'Helm value override for the agent chart (repeatable)',
+  },
+  'dashboard-values': {
+    type: 'string',
+    multiple: true,
+    value: '<file>',
+    description: 'Helm values file for the dashboard chart (repeatable)',
+  },
+  'dashboard-set': {
+    type: 'string',
+    multiple: true,
+    value: '<key=value>',
+    description: 'Helm value override for the dashboard chart (repeatable)',
+  },
+};
+
+const VALUES_OPTIONS = {
+  ...VALUE_OVERRIDE_OPTIONS,
+  'reset-values': {
+    type: 'boolean',
+    description: 'Do not carry over the values applied to the existing releases',
+  },
+};
+
+const CHART_SOURCE_OPTIONS = {
+  'agent-chart': {
+    type: 'string',
+    value: '<ref>',
+    description: 'Agent chart to use: a local .tgz, an oci:// reference or <repo>/<chart>',
+  },
+  'dashboard-chart': {
+    type: 'string',
+    value: '<ref>',
+    description: 'Dashboard chart to use: a local .tgz, an oci:// reference or <repo>/<chart>',
+  },
+  'repo-url': {
+    type: 'string',
+    value: '<url>',
+    description: 'Mirror of the ClusterCost charts: an http(s) Helm repository or an oci:// path',
+  },
+  'repo-username': {
+    type: 'string',
+    value: '<user>',
+    description: 'Username for the chart mirror (password from CLUSTERCOST_REPO_PASSWORD)',
+  },
+  'ca-file': {
+    type: 'string',
+    value: '<path>',
+    description: 'CA bundle used to verify the chart mirror',
+  },
+};
+
+// Not global: export, package and support-bundle already use --output for a file path.
+const OUTPUT_OPTION = {
+  type: 'string',
+  value: '<format>',
+  description: 'text or json; json prints one JSON document on stdout and nothing else',
+};
+
+const IMAGE_REGISTRY_OPTION = {
+  type: 'string',
+  value: '<registry>',
+  description: 'Pull every ClusterCost image from this registry (sets global.imageRegistry)',
+};
+
+export const COMMANDS = {
+  install: {
+    summary: 'Install or upgrade the ClusterCost agent and dashboard',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      yes: YES_OPTION,
+      ...VALUES_OPTIONS,
+      timeout: {
+        type: 'string',
+        value: '<duration>',
+        description: 'How long to wait for the rollouts to become ready (default: 5m)',
+      },
+      'skip-verify': {
+        type: 'boolean',
+        description: 'Do not wait for rollouts or check that the dashboard reaches the agent',
+      },
+      'skip-preflight': {
+        type: 'boolean',
+        description: 'Do not run the doctor checks before installing',
+      },
+      'agent-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Agent chart version to install (default: profile pin or latest)',
+      },
+      'dashboard-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Dashboard chart version to install (default: profile pin or latest)',
+      },
+      preview: {
+        type: 'boolean',
+        description: 'Show the version change and manifest/values diff, then stop',
+      },
+      ...CHART_SOURCE_OPTIONS,
+      'image-registry': IMAGE_REGISTRY_OPTION,
+      output: OUTPUT_OPTION,
+    },
+  },
+  gitops: {
+    summary: 'Write Argo CD or Flux manifests for the install instead of running Helm',
+    options: {
+      format: {
+        type: 'string',
+        short: 'f',
+        value: '<format>',
+        description: 'argocd (Applications) or flux (HelmRepository + HelmRelease)',
+      },
+      'output-dir': {
+        type: 'string',
+        short: 'o',
+        value: '<dir>',
+        description: 'Directory to write the manifests to (default: clustercost-gitops)',
+      },
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      ...VALUES_OPTIONS,
+      'agent-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Agent chart version to pin (default: profile pin or latest)',
+      },
+      'dashboard-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Dashboard chart version to pin (default: profile pin or latest)',
+      },
+      ...CHART_SOURCE_OPTIONS,
+      'image-registry': IMAGE_REGISTRY_OPTION,
+      'git-repo': {
+        type: 'string',
+        value: '<url>',
+        description: 'Argo CD: Git repository the manifests are committed to (for values files)',
+      },
+      'git-path': {
+        type: 'string',
+        value: '<path>',
+        description: 'Argo CD: path of the output directory in that repository (default: as given)',
+      },
+      'argocd-namespace': {
+        type: 'string',
+        value: '<name>',
+        description: 'Argo CD: namespace of the Applications (default: argocd)',
+      },
+      'argocd-project': {
+        type: 'string',
+        value: '<name>',
+        description: 'Argo CD: project of the Applications (default: default)',
+      },
+    },
+  },
+  render: {
+    summary: 'Print the manifests "helm template" renders for the install, without installing',
+    options: {
+      'output-dir': {
+        type: 'string',
+        short: 'o',
+        value: '<dir>',
+        description: 'Write the manifests to this directory instead of stdout',
+      },
+      split: {
+        type: 'boolean',
+        description: 'With --output-dir, write one file per resource instead of one per release',
+      },
+      kustomization: {
+        type: 'boolean',
+        description: 'With --output-dir, also write a kustomization.yaml listing the files',
+      },
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      ...VALUE_OVERRIDE_OPTIONS,
+      'from-release': {
+        type: 'boolean',
+        description: 'Also apply the values of the releases installed in the cluster',
+      },
+      'agent-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Agent chart version to render (default: profile pin or latest)',
+      },
+      'dashboard-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Dashboard chart version to render (default: profile pin or latest)',
+      },
+      ...CHART_SOURCE_OPTIONS,
+      'image-registry': IMAGE_REGISTRY_OPTION,
+    },
+  },
+  versions: {
+    summary: 'List available chart versions for the agent and dashboard',
+    options: {
+      limit: {
+        type: 'string',
+        value: '<n>',
+        description: 'Number of versions to show per chart (default: 10)',
+      },
+      ...CHART_SOURCE_OPTIONS,
+    },
+  },
+  package: {
+    summary: 'Bundle the charts and the list of images they need for air-gapped installs',
+    options: {
+      output: {
+        type: 'string',
+        short: 'o',
+        value: '<path>',
+        description: 'Archive to write (default: clustercost-airgap-<date>.tar.gz)',
+      },
+      'agent-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Agent chart version to package (default: profile pin or latest)',
+      },
+      'dashboard-version': {
+        type: 'string',
+        value: '<version>',
+        description: 'Dashboard chart version to package (default: profile pin or latest)',
+      },
+      ...CHART_SOURCE_OPTIONS,
+      'image-registry': {
+        ...IMAGE_REGISTRY_OPTION,
+        description: 'Also list where each image should be pushed in this registry',
+      },
+    },
+  },
+  uninstall: {
+    summary: 'Remove the ClusterCost agent and dashboard',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      yes: YES_OPTION,
+      purge: {
+        type: 'boolean',
+        description: 'Also delete leftover PVCs, cluster-scoped RBAC/CRDs and the namespace',
+      },
+      output: OUTPUT_OPTION,
+    },
+  },
+  rollback: {
+    summary: 'Roll the agent and/or dashboard back to an earlier Helm revision',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      component: {
+        type: 'string',
+        value: '<name>',
+        description: 'Release to roll back: agent, dashboard or all (default: all)',
+      },
+      revision: {
+        type: 'string',
+        multiple: true,
+        value: '<n|component=n>',
+        description: 'Target revision; use agent=<n> and dashboard=<n> for both (repeatable)',
+      },
+      yes: YES_OPTION,
+      timeout: {
+        type: 'string',
+        value: '<duration>',
+        description: 'How long to wait for the rollouts to become ready (default: 5m)',
+      },
+      'skip-verify': {
+        type: 'boolean',
+        description: 'Do not wait for rollouts or check that the dashboard reaches the agent',
+      },
+    },
+  },
+  'port-forward': {
+    summary: 'Open a port-forward to the dashboard service',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      service: {
+        type: 'string',
+        value: '<name>',
+        description: 'Dashboard service name (default: derived from the dashboard release)',
+      },
+      port: {
+        type: 'string',
+        short: 'p',
+        value: '<port>',
+        description: 'Local port to bind; the next free port is used if it is taken (default: 3000)',
+      },
+      open: {
+        type: 'boolean',
+        description: 'Open the dashboard in the default browser once the tunnel is up',
+      },
+    },
+  },
+  expose: {
+    summary: 'Make the dashboard reachable through an Ingress or a LoadBalancer service',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      service: {
+        type: 'string',
+        value: '<name>',
+        description: 'Dashboard service name (default: derived from the dashboard release)',
+      },
+      method: {
+        type: 'string',
+        value: '<method>',
+        description: 'ingress or loadbalancer',
+      },
+      host: {
+        type: 'string',
+        value: '<hostname>',
+        description: 'Ingress: hostname the dashboard is served on',
+      },
+      'ingress-class': {
+        type: 'string',
+        value: '<name>',
+        description: 'Ingress: IngressClass to use (default: the cluster default)',
+      },
+      'tls-secret': {
+        type: 'string',
+        value: '<name>',
+        description: 'Ingress: existing TLS secret with the certificate for the hostname',
+      },
+      'cluster-issuer': {
+        type: 'string',
+        value: '<name>',
+        description: 'Ingress: cert-manager ClusterIssuer that issues the certificate',
+      },
+      issuer: {
+        type: 'string',
+        value: '<name>',
+        description: 'Ingress: cert-manager Issuer in the namespace that issues the certificate',
+      },
+      auth: {
+        type: 'string',
+        value: '<mode>',
+        description: 'Ingress: none, basic or oauth2-proxy (ingress-nginx annotations)',
+      },
+      'basic-auth-user': {
+        type: 'string',
+        value: '<user>',
+        description: 'Basic auth user (password from CLUSTERCOST_BASIC_AUTH_PASSWORD)',
+      },
+      'oauth2-proxy-url': {
+        type: 'string',
+        value: '<url>',
+        description: 'External URL of your oauth2-proxy, e.g. https://auth.example.com',
+      },
+      'source-ranges': {
+        type: 'string',
+        value: '<cidrs>',
+        description: 'LoadBalancer: comma-separated client CIDRs allowed to connect',
+      },
+      yes: YES_OPTION,
+    },
+  },
+  unexpose: {
+    summary: 'Remove the Ingress or LoadBalancer service created by "expose"',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      yes: YES_OPTION,
+    },
+  },
+  watch: {
+    summary: 'Show a live view of the ClusterCost pods and Helm releases (q to quit)',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      once: {
+        type: 'boolean',
+        description: 'Print a single snapshot and exit (exit code 1 when something is not ready)',
+      },
+      interval: {
+        type: 'string',
+        value: '<duration>',
+        description: 'Time between refreshes (default: 5s)',
+      },
+      output: OUTPUT_OPTION,
+    },
+  },
+  logs: {
+    summary: 'Stream the logs of every agent and dashboard pod, prefixed with the pod name',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      component: {
+        type: 'string',
+        value: '<name>',
+        description: 'Whose logs to show: agent, dashboard or all (default: all)',
+      },
+      since: {
+        type: 'string',
+        value: '<duration>',
+        description: 'Only show lines newer than this, e.g. 10m or 1h',
+      },
+      tail: {
+        type: 'string',
+        value: '<lines>',
+        description: 'Existing lines to show per container (default: 100, or all with --since)',
+      },
+      previous: {
+        type: 'boolean',
+        description: 'Show the logs of the previous, crashed container instead of following',
+      },
+      'no-follow': {
+        type: 'boolean',
+        description: 'Print the existing logs and exit instead of following new lines',
+      },
+      grep: {
+        type: 'string',
+        value: '<regex>',
+        description: 'Only show lines whose message matches this regular expression',
+      },
+      'ignore-case': {
+        type: 'boolean',
+        description: 'Match --grep without regard to case',
+      },
+      pretty: {
+        type: 'boolean',
+        description: 'Print JSON log lines as time, level, message and key=value fields',
+      },
+    },
+  },
+  status: {
+    summary: 'Show detected ClusterCost installs (exit code 1 when incomplete)',
+    options: {
+      output: OUTPUT_OPTION,
+    },
+  },
+  debug: {
+    summary: 'Print the kube context, namespaces, Helm version and releases for bug reports',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      output: OUTPUT_OPTION,
+    },
+  },
+  fleet: {
+    summary: 'Install agents into several kube contexts and one dashboard in a hub context',
+    options: {
+      contexts: {
+        type: 'string',
+        multiple: true,
+        value: '<a,b,...>',
+        description: 'Kube contexts that get an agent (comma-separated or repeatable)',
+      },
+      hub: {
+        type: 'string',
+        value: '<context>',
+        description: 'Kube context that hosts the dashboard (default: the current context)',
+      },
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      'agent-url': {
+        type: 'string',
+        multiple: true,
+        value: '<context=url>',
+        description: 'Agent URL the dashboard should use for a remote context (repeatable)',
+      },
+      ...VALUES_OPTIONS,
+      ...CHART_SOURCE_OPTIONS,
+      'image-registry': IMAGE_REGISTRY_OPTION,
+    },
+  },
+  report: {
+    summary: 'Print a cost breakdown fetched from the installed agent',
+    options: {
+      namespace: {
+        ...NAMESPACE_OPTION,
+        description: 'Namespace of the agent (defaults to the detected install)',
+      },
+      ...RELEASE_OPTIONS,
+      by: {
+        type: 'string',
+        multiple: true,
+        value: '<group>',
+        description: 'namespace, workload or node; comma-separated or repeatable (default: all)',
+      },
+      sort: {
+        type: 'string',
+        value: '<key>',
+        description: 'Sort rows by cost or name (default: cost)',
+      },
+      top: {
+        type: 'string',
+        value: '<n>',
+        description: 'Only show the N most expensive rows per group (default: 10)',
+      },
+      window: {
+        type: 'string',
+        value: '<window>',
+        description: 'Time window such as 1h, 24h or 7d (default: 24h)',
+      },
+      'agent-url': {
+        type: 'string',
+        value: '<url>',
+        description: 'Query this agent URL directly instead of opening a port-forward',
+      },
+    },
+  },
+  export: {
+    summary: 'Export cost allocations from the installed agent to CSV, JSON or Markdown',
+    options: {
+      namespace: {
+        ...NAMESPACE_OPTION,
+        description: 'Namespace of the agent (defaults to the detected install)',
+      },
+      ...RELEASE_OPTIONS,
+      format: {
+        type: 'string',
+        short: 'f',
+        value: '<format>',
+        description: 'csv, json or markdown (default: from the output extension, else csv)',
+      },
+      'group-by': {
+        type: 'string',
+        value: '<group>',
+        description: 'namespace, label or workload (default: namespace)',
+      },
+      label: {
+        type: 'string',
+        value: '<key>',
+        description: 'Label key to group by, e.g. team (implies --group-by label)',
+      },
+      from: {
+        type: 'string',
+        value: '<date>',
+        description: 'Start of the range, YYYY-MM-DD or ISO timestamp (default: 7 days before --to)',
+      },
+      to: {
+        type: 'string',
+        value: '<date>',
+        description: 'Last day of the range, inclusive (default: today)',
+      },
+      output: {
+        type: 'string',
+        short: 'o',
+        value: '<path>',
+        description: 'File to write (default: clustercost-<group>-<first-day>_<last-day>.<ext>)',
+      },
+      'agent-url': {
+        type: 'string',
+        value: '<url>',
+        description: 'Query this agent URL directly instead of opening a port-forward',
+      },
+    },
+  },
+  'support-bundle': {
+    summary: 'Collect redacted diagnostics into a tar.gz to attach to bug reports',
+    options: {
+      namespace: NAMESPACE_OPTION,
+      ...RELEASE_OPTIONS,
+      output: {
+        type: 'string',
+        short: 'o',
+        value: '<path>',
+        description: 'Archive to write (default: clustercost-support-<timestamp>.tar.gz)',
+      },
+    },
+  },
+  doctor: {
+    summary: 'Check tools, cluster access, permissions and capacity before installing',
+    options: {
+      namespace: NAMESPACE_OPTION,
+    },
+  },
+  history: {
+    summary: 'Show past operations from the local audit log (filter by kube context with --context)',
+    options: {
+      namespace: {
+        ...NAMESPACE_OPTION,
+        description: 'Only show commands that targeted this namespace',
+      },
+      action: {
+        type: 'string',
+        value: '<command>',
+        description: 'Only show runs of this clustercost command, e.g. install or uninstall',
+      },
+      since: {
+        type: 'string',
+        value: '<when>',
+        description: 'Only show entries newer than a duration (30m, 24h, 7d) or a date',
+      },
+      failed: {
+        type: 'boolean',
+        description: 'Only show commands that failed',
+      },
+      changes: {
+        type: 'boolean',
+        description: 'Only show commands that changed the cluster',
+      },
+      limit: {
+        type: 'string',
+        value: '<n>',
+        description: 'Number of most recent operations to show (default: 20)',
+      },
+    },
+  },
+  config: {
+    summary: 'List, set or remove per-context configuration profiles',
+    arguments: '[list | path | set <key> <value> | remove [key]]',
+    options: {},
+  },
+};
+
+export const OUTPUT_FORMAT_COMMANDS = Object.keys(COMMANDS).filter(
+  (name) => COMMANDS[name].options.output === OUTPUT_OPTION
+);
+
+export function parseCliArgs(argv = []) {
+  const commandIndex = findCommandIndex(argv);
+  const command = commandIndex === -1 ? null : argv[commandIndex];
+
+  if (command && !COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const definitions = { ...GLOBAL_OPTIONS, ...(command ? COMMANDS[command].options : {}) };
+  const parseOptions = Object.fromEntries(
+    Object.entries(definitions).map(([name, { type, short, multiple }]) => [
+      name,
+      { type, ...(short ? { short } : {}), ...(multiple ? { multiple } : {}) },
+    ])
+  );
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: command ? argv.filter((_, index) => index !== commandIndex) : argv,
+      options: parseOptions,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    if (typeof error.code === 'string' && error.code.startsWith('ERR_PARSE_ARGS')) {
+      throw new UsageError(error.message);
+    }
+    throw error;
+  }
+
+  if (parsed.positionals.length > 0 && !(command && COMMANDS[command].arguments)) {
+    throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+  }
+
+  const { help = false, ...values } = parsed.values;
+  const options = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [toCamelCase(name), value])
+  );
+
+  if (options.renderManifests && !options.dryRun) {
+    throw new UsageError('--render-manifests can only be used together with --dry-run.');
+  }
+
+  return { command, help, options, positionals: parsed.positionals };
+}
+
+// Global options may come before the command, as in "clustercost --context prod status",
+// so the value of a global string option is not mistaken for the command.
+function findCommandIndex(argv) {
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith('-')) {
+      return index;
+    }
+    const option = arg.startsWith('--') ? GLOBAL_OPTIONS[arg.slice(2)] : null;
+    if (option?.type === 'string') {
+      index += 1;
+    }
+  }
+  return -1;
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+export function formatUsage(command = null) {
+  if (command && COMMANDS[command]) {
+    const { summary, options, arguments: commandArguments } = COMMANDS[command];
+    const commandOptions = Object.keys(options).length
+      ? ['Options:', ...formatOptionLines(options), '']
+      : [];
+    return [
+      `Usage: clustercost ${command}${commandArguments ? ` ${commandArguments}` : ''} [options]`,
+      '',
+      summary,
+      '',
+      ...commandOptions,
+      'Global options:',
+      ...formatOptionLines(GLOBAL_OPTIONS),
+    ].join('\n');
+  }
+
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return [
+    'Usage: clustercost [command] [options]',
+    '',
+    'Run without a command to open the interactive menu.',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(
+      ([name, { summary }]) => `  ${name.padEnd(width)}  ${summary}`
+    ),
+    '',
+    'Global options:',
+    ...formatOptionLines(GLOBAL_OPTIONS),
+    '',
+    'Run "clustercost <command> --help" for command options.',
+  ].join('\n');
+}
+
+function formatOptionLines(options) {
+  const entries = Object.entries(options).map(([name, definition]) => {
+    const flag = definition.short ? `-${definition.short}, --${name}` : `    --${name}`;
+    return [definition.value ? `${flag} ${definition.value}` : flag, definition.description];
+  });
+  const width = Math.max(...entries.map(([flag]) => flag.length));
+  return entries.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`);
+}
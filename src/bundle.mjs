@@ -0,0 +1,253 @@
+import { gzipSync } from 'node:zlib';
+
+export const BUNDLE_MANIFEST = 'manifest.json';
+export const LOG_TAIL_LINES = 2000;
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY =
+  /(pass(word|wd)?|secret|token|api[-_]?key|private[-_]?key|access[-_]?key|credentials?|auth(orization)?|bearer|cookie|session)/i;
+
+// Patterns for secrets that show up inside free text such as logs and describe output.
+const INLINE_SECRETS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, `$1 ${REDACTED}`],
+  [/\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, REDACTED],
+  [/(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+@/gi, `$1${REDACTED}@`],
+];
+
+export function redactText(text) {
+  const inline = INLINE_SECRETS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    String(text ?? '')
+  );
+
+  // Kubernetes env entries put the secret on the line after "- name: API_TOKEN".
+  let sensitiveEnvName = false;
+  return inline
+    .split('\n')
+    .map((line) => {
+      const envValue = sensitiveEnvName && /^(\s*value:\s*)\S/.exec(line);
+      sensitiveEnvName = /^\s*-?\s*name:\s*["']?([\w.-]+)/.test(line)
+        ? isSensitiveKey(/name:\s*["']?([\w.-]+)/.exec(line)[1])
+        : false;
+      return envValue ? `${envValue[1]}${REDACTED}` : redactKeyValueLine(line);
+    })
+    .join('\n');
+}
+
+function isSensitiveKey(key) {
+  // References such as secretName or tokenRef point at a secret rather than holding one.
+  return SENSITIVE_KEY.test(key) && !/(name|ref|path|file)$/i.test(key);
+}
+
+function redactKeyValueLine(line) {
+  // YAML "key: value", env "KEY=value" and JSON "\"key\": \"value\"" shapes.
+  const yaml = /^(\s*-?\s*"?([\w.-]+)"?\s*:\s*)(\S.*)$/.exec(line);
+  if (yaml && isSensitiveKey(yaml[2]) && !/^[|>][-+]?$/.test(yaml[3].trim())) {
+    return `${yaml[1]}${REDACTED}`;
+  }
+  return line
+    .replace(/("([\w.-]+)"\s*:\s*)"(?:[^"\\]|\\.)*"/g, (match, prefix, key) =>
+      isSensitiveKey(key) ? `${prefix}"${REDACTED}"` : match
+    )
+    .replace(/\b([\w.-]+)=([^\s&,;"']+)/g, (match, key) =>
+      isSensitiveKey(key) ? `${key}=${REDACTED}` : match
+    );
+}
+
+// Helm manifests include rendered Secrets; every value under data/stringData is dropped.
+export function redactManifests(yaml) {
+  return String(yaml ?? '')
+    .split(/^(?=---\s*$)/m)
+    .map((document) =>
+      /^kind:\s*Secret\s*$/m.test(document) ? redactSecretData(document) : document
+    )
+    .map(redactText)
+    .join('');
+}
+
+function redactSecretData(document) {
+  let dataIndent = null;
+  return document
+    .split('\n')
+    .map((line) => {
+      const indent = line.length - line.trimStart().length;
+      if (dataIndent !== null && line.trim() && indent > dataIndent) {
+        const key = /^(\s*[^:\s]+:)/.exec(line);
+        return key ? `${key[1]} ${REDACTED}` : null;
+      }
+      dataIndent = /^\s*(data|stringData):\s*$/.test(line) ? indent : null;
+      return line;
+    })
+    .filter((line) => line !== null)
+    .join('\n');
+}
+
+export function selectReleasePods(pods, releases, instanceLabel) {
+  return (pods || [])
+    .filter((pod) => releases.includes(pod.metadata?.labels?.[instanceLabel]))
+    .map((pod) => ({
+      name: pod.metadata.name,
+      containers: [
+        ...(pod.spec?.initContainers || []).map((container) => container.name),
+        ...(pod.spec?.containers || []).map((container) => container.name),
+      ],
+    }));
+}
+
+export function planBundleCollection({ namespace, releases, pods = [] }) {
+  const kubectl = (...args) => ({ command: 'kubectl', args });
+  const helm = (...args) => ({ command: 'helm', args });
+
+  return [
+    { path: 'versions/kubectl.txt', ...kubectl('version') },
+    { path: 'versions/helm.txt', ...helm('version') },
+    { path: 'cluster/context.txt', ...kubectl('config', 'current-context') },
+    { path: 'cluster/nodes.txt', ...kubectl('get', 'nodes', '-o', 'wide') },
+    { path: 'cluster/node-usage.txt', ...kubectl('top', 'nodes') },
+    ...releases.flatMap((release) => [
+      {
+        path: `helm/${release}/values.yaml`,
+        redact: 'text',
+        ...helm('get', 'values', release, '-n', namespace),
+      },
+      {
+        path: `helm/${release}/manifest.yaml`,
+        redact: 'manifests',
+        ...helm('get', 'manifest', release, '-n', namespace),
+      },
+      { path: `helm/${release}/history.txt`, ...helm('history', release, '-n', namespace) },
+    ]),
+    { path: 'namespace/resources.txt', ...kubectl('get', 'all', '-n', namespace, '-o', 'wide') },
+    {
+      path: 'namespace/events.txt',
+      ...kubectl('get', 'events', '-n', namespace, '--sort-by=.lastTimestamp'),
+    },
+    ...['pods', 'deployments', 'daemonsets', 'services'].map((kind) => ({
+      path: `namespace/describe-${kind}.txt`,
+      redact: 'text',
+      ...kubectl('describe', kind, '-n', namespace),
+    })),
+    ...pods.flatMap((pod) =>
+      pod.containers.flatMap((container) => {
+        const args = ['logs', pod.name, '-n', namespace, '-c', container];
+        return [
+          {
+            path: `logs/${pod.name}/${container}.log`,
+            redact: 'text',
+            ...kubectl(...args, `--tail=${LOG_TAIL_LINES}`),
+          },
+          {
+            path: `logs/${pod.name}/${container}.previous.log`,
+            redact: 'text',
+            optional: true,
+            ...kubectl(...args, '--previous', `--tail=${LOG_TAIL_LINES}`),
+          },
+        ];
+      })
+    ),
+  ];
+}
+
+export async function collectBundleFiles(exec, plan) {
+  const files = [];
+  const manifest = [];
+
+  for (const item of plan) {
+    const source = [item.command, ...item.args].join(' ');
+    try {
+      const { stdout = '' } = await exec(item.command, item.args);
+      const content = redactContent(stdout, item.redact);
+      files.push({ path: item.path, content: `${content}\n` });
+      manifest.push({
+        path: item.path,
+        source,
+        status: 'collected',
+        redacted: content !== stdout,
+        bytes: Buffer.byteLength(`${content}\n`),
+      });
+    } catch (error) {
+      manifest.push({
+        path: item.path,
+        source,
+        status: item.optional ? 'skipped' : 'failed',
+        error: redactText(firstLine(error.stderr) || error.message),
+      });
+    }
+  }
+
+  return { files, manifest };
+}
+
+function redactContent(text, mode) {
+  if (mode === 'manifests') {
+    return redactManifests(text);
+  }
+  return mode === 'text' ? redactText(text) : text;
+}
+
+export function buildBundleManifest(entries, details = {}) {
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  return {
+    ...details,
+    summary: {
+      collected: count('collected'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+    },
+    files: entries,
+  };
+}
+
+export function createTarGz(files, { root = '', mtime = new Date() } = {}) {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const blocks = files.flatMap(({ path, content }) => {
+    const data = Buffer.from(content);
+    const header = tarHeader(root ? `${root}/${path}` : path, data.length, seconds);
+    const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+    return [header, data, padding];
+  });
+  return gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+function tarHeader(path, size, mtime) {
+  const header = Buffer.alloc(512);
+  const [prefix, name] = splitTarPath(path);
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.fill(' ', 148, 156);
+  header.write('0', 156, 1, 'utf8');
+  header.write('ustar\u000000', 257, 8, 'utf8');
+  header.write(prefix, 345, 155, 'utf8');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'utf8');
+  return header;
+}
+
+function splitTarPath(path) {
+  if (Buffer.byteLength(path) <= 100) {
+    return ['', path];
+  }
+  const parts = path.split('/');
+  for (let index = 1; index < parts.length; index += 1) {
+    const prefix = parts.slice(0, index).join('/');
+    const name = parts.slice(index).join('/');
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+      return [prefix, name];
+    }
+  }
+  throw new Error(`Path too long for a tar archive: ${path}`);
+}
+
+function writeOctal(buffer, value, offset, length) {
+  buffer.write(`${value.toString(8).padStart(length - 1, '0')}\u0000`, offset, length, 'utf8');
+}
+
+function firstLine(value) {
+  return (value || '').split('\n')[0];
+}
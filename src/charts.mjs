@@ -0,0 +1,127 @@
+import chalk from 'chalk';
+
+export function splitChartVersion(chart = '') {
+  const match = /^(.*)-(v?\d+\.\d+\.\d+[^\s]*)$/.exec(chart || '');
+  return match ? { name: match[1], version: match[2] } : { name: chart || '', version: '' };
+}
+
+export function parseChartSearch(stdout, chart) {
+  const entries = stdout && stdout.trim() ? JSON.parse(stdout) : [];
+  return entries
+    .filter((entry) => !chart || entry.name === chart)
+    .map((entry) => ({
+      chart: entry.name,
+      version: entry.version,
+      appVersion: entry.app_version || '',
+      description: entry.description || '',
+    }));
+}
+
+export function findDeployedChart(releases, releaseName) {
+  const match = (releases || []).find((release) => release.name === releaseName);
+  if (!match) {
+    return null;
+  }
+  return {
+    version: splitChartVersion(match.chart).version,
+    appVersion: match.app_version || '',
+  };
+}
+
+// Turns "helm upgrade --install <release> <chart> ..." into the matching "helm template"
+// invocation so the target manifests are rendered with exactly the deploy arguments.
+export function toTemplateArgs(upgradeArgs) {
+  const [command, install, release, chart, ...rest] = upgradeArgs;
+  if (command !== 'upgrade' || install !== '--install') {
+    throw new Error(`Expected "helm upgrade --install" arguments, got: ${upgradeArgs.join(' ')}`);
+  }
+  return ['template', release, chart, ...rest.filter((arg) => arg !== '--create-namespace')];
+}
+
+export function describeChartVersion(info) {
+  if (!info?.version) {
+    return 'not installed';
+  }
+  return info.appVersion ? `${info.version} (app ${info.appVersion})` : info.version;
+}
+
+export function formatVersionTable(
+  entries,
+  { installed = null, pinned = null, limit = null } = {}
+) {
+  const shown = limit ? entries.slice(0, limit) : entries;
+  const header = ['Version', 'App', 'Notes'];
+  const cells = shown.map((entry, index) => [
+    entry.version,
+    entry.appVersion || '—',
+    [
+      index === 0 ? 'latest' : null,
+      entry.version === installed ? 'installed' : null,
+      entry.version === pinned ? 'pinned' : null,
+    ]
+      .filter(Boolean)
+      .join(', '),
+  ]);
+  const widths = header.map((title, index) =>
+    Math.max(title.length, ...cells.map((cell) => cell[index].length))
+  );
+  const formatLine = (cell) =>
+    cell
+      .map((value, index) => value.padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+
+  const lines = [chalk.gray(formatLine(header)), ...cells.map(formatLine)];
+  if (shown.length < entries.length) {
+    lines.push(chalk.gray(`(${entries.length - shown.length} older versions not shown)`));
+  }
+  return lines;
+}
+
+export const DEFAULT_CHART_REPO = { name: 'clustercost', url: 'https://charts.clustercost.com' };
+export const MIRROR_REPO_NAME = 'clustercost-mirror';
+export const CHART_NAMES = { agent: 'clustercost-agent-k8s', dashboard: 'clustercost-dashboard' };
+
+export function classifyChartRef(ref) {
+  if (/^oci:\/\//.test(ref)) {
+    return 'oci';
+  }
+  if (/\.(tgz|tar\.gz)$/.test(ref) || /^(\.{1,2}|~)?\//.test(ref)) {
+    return 'archive';
+  }
+  return 'repo';
+}
+
+// Works out where each chart comes from: the public repository, a mirror repository
+// (--repo-url), an OCI registry or a local archive. `repo` is the Helm repository the
+// CLI has to add and update, or null when every chart is pulled from elsewhere.
+export function resolveChartSources({ agentChart, dashboardChart, repoUrl } = {}) {
+  const base = repoUrl ? repoUrl.trim().replace(/\/+$/, '') : null;
+  const managedRepo =
+    base && !base.startsWith('oci://') ? { name: MIRROR_REPO_NAME, url: base } : DEFAULT_CHART_REPO;
+
+  const defaultRef = (name) =>
+    base?.startsWith('oci://') ? `${base}/${name}` : `${managedRepo.name}/${name}`;
+  const source = (ref) => ({ ref, kind: classifyChartRef(ref) });
+
+  const charts = {
+    agent: source(agentChart?.trim() || defaultRef(CHART_NAMES.agent)),
+    dashboard: source(dashboardChart?.trim() || defaultRef(CHART_NAMES.dashboard)),
+  };
+  const usesManagedRepo = Object.values(charts).some(
+    ({ ref, kind }) => kind === 'repo' && ref.startsWith(`${managedRepo.name}/`)
+  );
+  return { ...charts, repo: usesManagedRepo ? managedRepo : null };
+}
+
+export function ociRegistryHost(ref) {
+  return /^oci:\/\/([^/]+)/.exec(ref)?.[1] || null;
+}
+
+export function parseChartMetadata(yaml) {
+  const field = (name) => {
+    const match = new RegExp(`^${name}:\\s*["']?([^"'\\s]+)["']?\\s*$`, 'm').exec(yaml || '');
+    return match ? match[1] : '';
+  };
+  return { name: field('name'), version: field('version'), appVersion: field('appVersion') };
+}
@@ -0,0 +1,198 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { UsageError } from './args.mjs';
+import {
+  validateNamespace,
+  validateServiceName,
+  validatePort,
+  validateReleaseName,
+  validateChartVersion,
+  validateChartReference,
+  validateRepositoryUrl,
+  validateImageRegistry,
+} from './validation.mjs';
+
+export const CONFIG_ENV_VAR = 'CLUSTERCOST_CONFIG';
+
+const CONFIG_VERSION = 1;
+
+const asTrimmed = (value) => value.trim();
+const asList = (value) =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+export const PROFILE_KEYS = {
+  namespace: {
+    description: 'Namespace used by install, port-forward and uninstall',
+    validate: validateNamespace,
+    parse: asTrimmed,
+  },
+  dashboardService: {
+    description: 'Dashboard service name for port-forward',
+    validate: validateServiceName,
+    parse: asTrimmed,
+  },
+  localPort: {
+    description: 'Preferred local port for port-forward',
+    validate: validatePort,
+    parse: (value) => Number(value.trim()),
+  },
+  agentRelease: {
+    description: 'Helm release name of the agent',
+    validate: validateReleaseName,
+    parse: asTrimmed,
+  },
+  dashboardRelease: {
+    description: 'Helm release name of the dashboard',
+    validate: validateReleaseName,
+    parse: asTrimmed,
+  },
+  agentValues: {
+    description: 'Comma-separated values files for the agent chart',
+    validate: (value) => (asList(value ?? '').length ? undefined : 'List at least one file.'),
+    parse: asList,
+  },
+  dashboardValues: {
+    description: 'Comma-separated values files for the dashboard chart',
+    validate: (value) => (asList(value ?? '').length ? undefined : 'List at least one file.'),
+    parse: asList,
+  },
+  agentChartVersion: {
+    description: 'Agent chart version to install',
+    validate: validateChartVersion,
+    parse: asTrimmed,
+  },
+  dashboardChartVersion: {
+    description: 'Dashboard chart version to install',
+    validate: validateChartVersion,
+    parse: asTrimmed,
+  },
+  agentChart: {
+    description: 'Agent chart reference (local .tgz, oci:// or repo/chart)',
+    validate: validateChartReference,
+    parse: asTrimmed,
+  },
+  dashboardChart: {
+    description: 'Dashboard chart reference (local .tgz, oci:// or repo/chart)',
+    validate: validateChartReference,
+    parse: asTrimmed,
+  },
+  chartRepoUrl: {
+    description: 'Helm repository or oci:// path mirroring the ClusterCost charts',
+    validate: validateRepositoryUrl,
+    parse: asTrimmed,
+  },
+  repoUsername: {
+    description: 'Username for the chart mirror',
+    validate: (value) => (value && value.trim() ? undefined : 'Username cannot be empty.'),
+    parse: asTrimmed,
+  },
+  caFile: {
+    description: 'CA bundle used to verify the chart mirror',
+    validate: (value) => (value && value.trim() ? undefined : 'CA file path cannot be empty.'),
+    parse: asTrimmed,
+  },
+  imageRegistry: {
+    description: 'Registry every ClusterCost image is pulled from',
+    validate: validateImageRegistry,
+    parse: asTrimmed,
+  },
+};
+
+export function resolveConfigPath(env = process.env) {
+  if (env[CONFIG_ENV_VAR]) {
+    return env[CONFIG_ENV_VAR];
+  }
+  const base = env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(base, 'clustercost', 'config.json');
+}
+
+export function createEmptyConfig() {
+  return { version: CONFIG_VERSION, profiles: {} };
+}
+
+export async function loadConfig(path = resolveConfigPath()) {
+  let raw;
+  try {
+    raw = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createEmptyConfig();
+    }
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error(`Config file ${path} is not valid JSON.`);
+  }
+
+  return {
+    ...createEmptyConfig(),
+    ...parsed,
+    profiles: parsed?.profiles && typeof parsed.profiles === 'object' ? parsed.profiles : {},
+  };
+}
+
+export async function saveConfig(config, path = resolveConfigPath()) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, `${JSON.stringify(config, null, 2)}\n`);
+}
+
+export function getProfile(config, context) {
+  return (context && config.profiles[context]) || {};
+}
+
+export function parseProfileValue(key, rawValue) {
+  const definition = PROFILE_KEYS[key];
+  if (!definition) {
+    throw new UsageError(
+      `Unknown config key: ${key}. Valid keys: ${Object.keys(PROFILE_KEYS).join(', ')}`
+    );
+  }
+  const problem = definition.validate(rawValue);
+  if (problem) {
+    throw new UsageError(`${key}: ${problem}`);
+  }
+  return definition.parse(rawValue);
+}
+
+export function setProfileValue(config, context, key, rawValue) {
+  const value = parseProfileValue(key, rawValue);
+  return {
+    ...config,
+    profiles: {
+      ...config.profiles,
+      [context]: { ...getProfile(config, context), [key]: value },
+    },
+  };
+}
+
+export function removeProfileValue(config, context, key = null) {
+  if (!config.profiles[context]) {
+    throw new UsageError(`No profile stored for context ${context}.`);
+  }
+
+  const profiles = { ...config.profiles };
+  if (key === null) {
+    delete profiles[context];
+  } else {
+    if (!PROFILE_KEYS[key]) {
+      throw new UsageError(`Unknown config key: ${key}`);
+    }
+    const profile = { ...profiles[context] };
+    delete profile[key];
+    if (Object.keys(profile).length === 0) {
+      delete profiles[context];
+    } else {
+      profiles[context] = profile;
+    }
+  }
+
+  return { ...config, profiles };
+}
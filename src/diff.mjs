@@ -0,0 +1,144 @@
+import chalk from 'chalk';
+
+// Beyond this many edits the inputs have little in common; the diff falls back to
+// replacing the whole changed block instead of searching for a minimal edit script.
+const MAX_EDIT_DISTANCE = 4000;
+
+export function splitLines(text) {
+  const lines = String(text ?? '').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const equal = (line) => ({ type: ' ', line });
+  const middle = myers(a.slice(start, endA), b.slice(start, endB)) || [
+    ...a.slice(start, endA).map((line) => ({ type: '-', line })),
+    ...b.slice(start, endB).map((line) => ({ type: '+', line })),
+  ];
+
+  return [...a.slice(0, start).map(equal), ...middle, ...a.slice(endA).map(equal)];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const previous = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+    const previousX = previous(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        ops.push({ type: '+', line: b[y - 1] });
+      } else {
+        ops.push({ type: '-', line: a[x - 1] });
+      }
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return ops.reverse();
+}
+
+export function summarizeDiff(ops) {
+  return {
+    added: ops.filter((op) => op.type === '+').length,
+    removed: ops.filter((op) => op.type === '-').length,
+  };
+}
+
+export function formatUnifiedDiff(ops, { context = 3, before = 'current', after = 'target' } = {}) {
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter((i) => i >= 0);
+  if (changed.length === 0) {
+    return [];
+  }
+
+  const hunks = [];
+  changed.forEach((index) => {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.max(last.to, to);
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  const lines = [chalk.red(`--- ${before}`), chalk.green(`+++ ${after}`)];
+  hunks.forEach(({ from, to }) => {
+    const oldStart = ops.slice(0, from).filter((op) => op.type !== '+').length + 1;
+    const newStart = ops.slice(0, from).filter((op) => op.type !== '-').length + 1;
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter((op) => op.type !== '+').length;
+    const newCount = slice.filter((op) => op.type !== '-').length;
+    lines.push(chalk.cyan(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`));
+    slice.forEach((op) => {
+      const line = `${op.type}${op.line}`;
+      if (op.type === '+') {
+        lines.push(chalk.green(line));
+      } else if (op.type === '-') {
+        lines.push(chalk.red(line));
+      } else {
+        lines.push(chalk.dim(line));
+      }
+    });
+  });
+  return lines;
+}
@@ -0,0 +1,492 @@
+import chalk from 'chalk';
+
+export const HELM_MIN_VERSION = '3.8.0';
+export const KUBERNETES_MIN_VERSION = '1.23.0';
+
+const NAMESPACED_PERMISSIONS = [
+  ['create', 'deployments.apps'],
+  ['create', 'daemonsets.apps'],
+  ['create', 'services'],
+  ['create', 'serviceaccounts'],
+  ['create', 'configmaps'],
+  ['create', 'secrets'],
+];
+
+const CLUSTER_PERMISSIONS = [
+  ['create', 'clusterroles.rbac.authorization.k8s.io'],
+  ['create', 'clusterrolebindings.rbac.authorization.k8s.io'],
+];
+
+export function parseVersion(value) {
+  const match = /v?(\d+)\.(\d+)(?:\.(\d+))?/.exec(String(value ?? ''));
+  if (!match) {
+    return null;
+  }
+  return [Number(match[1]), Number(match[2]), Number(match[3] || 0)];
+}
+
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let index = 0; index < 3; index += 1) {
+    if (left[index] !== right[index]) {
+      return left[index] - right[index];
+    }
+  }
+  return 0;
+}
+
+export function formatVersion(parts) {
+  return `v${parts.join('.')}`;
+}
+
+export function evaluateHelmVersion(output) {
+  const parsed = parseVersion(output);
+  if (!parsed) {
+    return check(
+      'helm-version',
+      'Helm version',
+      'warn',
+      'could not parse "helm version" output',
+      'Verify that "helm version --short" works.'
+    );
+  }
+  const version = formatVersion(parsed);
+  if (parsed[0] !== 3 || compareVersions(version, HELM_MIN_VERSION) < 0) {
+    return check(
+      'helm-version',
+      'Helm version',
+      'fail',
+      `${version} found, v${HELM_MIN_VERSION} or newer (v3) required`,
+      'Upgrade Helm: https://helm.sh/docs/intro/install/'
+    );
+  }
+  return check('helm-version', 'Helm version', 'pass', version);
+}
+
+export function evaluateServerVersion(versionJson) {
+  const server = versionJson?.serverVersion;
+  const parsed = parseVersion(
+    server?.gitVersion || `${server?.major}.${String(server?.minor ?? '').replace(/\D/g, '')}`
+  );
+  if (!parsed) {
+    return check(
+      'kubernetes-version',
+      'Kubernetes version',
+      'warn',
+      'server version unknown',
+      'Check that "kubectl version" reports a server version.'
+    );
+  }
+  const version = formatVersion(parsed);
+  if (compareVersions(version, KUBERNETES_MIN_VERSION) < 0) {
+    return check(
+      'kubernetes-version',
+      'Kubernetes version',
+      'fail',
+      `${version} found, v${KUBERNETES_MIN_VERSION} or newer required`,
+      'Upgrade the cluster or install into a newer one.'
+    );
+  }
+  return check('kubernetes-version', 'Kubernetes version', 'pass', version);
+}
+
+export function evaluateMetricsApi(apiService) {
+  const available = (apiService?.status?.conditions || []).find(
+    (condition) => condition.type === 'Available'
+  );
+  if (available?.status === 'True') {
+    return check('metrics-server', 'metrics-server', 'pass', 'metrics.k8s.io is available');
+  }
+  return check(
+    'metrics-server',
+    'metrics-server',
+    'warn',
+    apiService
+      ? `metrics.k8s.io is not available (${available?.reason || 'unknown'})`
+      : 'not installed',
+    'Usage-based efficiency data needs metrics-server: https://github.com/kubernetes-sigs/metrics-server'
+  );
+}
+
+const QUANTITY_SUFFIXES = {
+  n: 1e-9,
+  u: 1e-6,
+  m: 1e-3,
+  '': 1,
+  k: 1e3,
+  M: 1e6,
+  G: 1e9,
+  T: 1e12,
+  P: 1e15,
+  E: 1e18,
+  Ki: 2 ** 10,
+  Mi: 2 ** 20,
+  Gi: 2 ** 30,
+  Ti: 2 ** 40,
+  Pi: 2 ** 50,
+  Ei: 2 ** 60,
+};
+const CHART_RESOURCE_KEYS = ['requests.cpu', 'requests.memory', 'limits.cpu', 'limits.memory'];
+// Quota keys the charts take from: compute, pods, and the objects they create. A quota
+// on anything else (load balancers, jobs, GPUs, storage classes) only warns.
+const CONSUMED_QUOTA =
+  /^(cpu|memory|(requests|limits)\.(cpu|memory)|(count\/)?(pods|services|configmaps|secrets))$/;
+const OBJECT_QUOTA = /^(count\/)?(services|configmaps|secrets)$/;
+
+// Kubernetes quantities ("500m", "1.5", "256Mi", "1G", "2e3") as plain numbers, so "1000m"
+// and "1", or "1024Mi" and "1Gi", compare as equal.
+export function parseQuantity(value) {
+  const match =
+    /^([+-]?(?:\d+\.?\d*|\.\d+))(?:([eE][+-]?\d+)|(Ki|Mi|Gi|Ti|Pi|Ei|[numkMGTPE]))?$/.exec(
+      String(value ?? '').trim()
+    );
+  if (!match) {
+    return null;
+  }
+  const number = Number(`${match[1]}${match[2] || ''}`);
+  return roundQuantity(number * QUANTITY_SUFFIXES[match[3] || '']);
+}
+
+// Rounds to nano units, the finest a quantity can express, so that sums like 100m + 50m
+// compare equal to 150m.
+function roundQuantity(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+function formatQuantity(resource, value) {
+  if (/cpu$/.test(resource)) {
+    return `${Math.round(value * 1000)}m`;
+  }
+  if (/memory$|storage$/.test(resource)) {
+    return `${Math.round(value / 2 ** 20)}Mi`;
+  }
+  return String(Math.round(value));
+}
+
+/**
+ * What installing both charts takes out of a namespace quota: one pod per chart plus the
+ * requests and limits each chart sets. `charts` holds the "resources" value of each chart
+ * (null when it could not be read); a quota on "cpu" or "memory" counts requests.
+ */
+export function chartQuotaNeeds(charts) {
+  const needs = { pods: charts.length, 'count/pods': charts.length };
+  charts.forEach((resources) => {
+    CHART_RESOURCE_KEYS.forEach((key) => {
+      const [kind, resource] = key.split('.');
+      const value = parseQuantity(resources?.[kind]?.[resource]);
+      if (value !== null) {
+        needs[key] = roundQuantity((needs[key] || 0) + value);
+      }
+    });
+  });
+  ['cpu', 'memory'].forEach((resource) => {
+    if (needs[`requests.${resource}`] !== undefined) {
+      needs[resource] = needs[`requests.${resource}`];
+    }
+  });
+  return needs;
+}
+
+// What the pods of an existing install hold of the quota, so an upgrade, which replaces
+// them, does not count them against itself.
+export function podQuotaUsage(pods = []) {
+  const usage = chartQuotaNeeds(
+    pods.flatMap((pod) => (pod.spec?.containers || []).map((container) => container.resources))
+  );
+  return { ...usage, pods: pods.length, 'count/pods': pods.length };
+}
+
+// Applies "--agent-set resources.requests.cpu=250m"-style overrides to a chart's
+// "resources" value.
+export function applyResourceOverrides(resources, set = []) {
+  let merged = resources;
+  set.forEach((override) => {
+    const match = /^resources\.(requests|limits)\.(cpu|memory)=(.+)$/.exec(override);
+    if (match) {
+      const [, kind, resource, value] = match;
+      merged = { ...merged, [kind]: { ...merged?.[kind], [resource]: value } };
+    }
+  });
+  return merged;
+}
+
+/**
+ * Checks each ResourceQuota against what ClusterCost needs (see chartQuotaNeeds). Only
+ * keys the charts consume can fail; `existing` is the usage of the install being
+ * upgraded (see podQuotaUsage), which is given back before comparing.
+ */
+export function evaluateQuotas(
+  namespace,
+  quotas = [],
+  limitRanges = [],
+  needs = null,
+  existing = null
+) {
+  const results = [];
+
+  quotas.forEach((quota) => {
+    const hard = quota.status?.hard || quota.spec?.hard || {};
+    const used = quota.status?.used || {};
+    const exhausted = [];
+    const tooSmall = [];
+    const unrelated = [];
+    Object.keys(hard).forEach((resource) => {
+      const limit = parseQuantity(hard[resource]);
+      const current = parseQuantity(used[resource] ?? '0');
+      if (limit === null || current === null) {
+        return;
+      }
+      const left = roundQuantity(limit - Math.max(0, current - (existing?.[resource] || 0)));
+      if (!CONSUMED_QUOTA.test(resource) && needs?.[resource] === undefined) {
+        if (left <= 0) {
+          unrelated.push(resource);
+        }
+        return;
+      }
+      // An upgrade keeps its Services, ConfigMaps and Secrets; an install adds some.
+      const need = OBJECT_QUOTA.test(resource) ? (existing ? 0 : 1) : needs?.[resource];
+      if (left <= 0 && need !== 0) {
+        exhausted.push(resource);
+      } else if (need !== undefined && left < need) {
+        tooSmall.push(
+          `${resource} (${formatQuantity(resource, left)} left, ` +
+            `${formatQuantity(resource, need)} needed)`
+        );
+      }
+    });
+    const name = quota.metadata?.name;
+    if (exhausted.length > 0 || tooSmall.length > 0) {
+      results.push(
+        check(
+          `quota-${name}`,
+          `ResourceQuota ${name}`,
+          'fail',
+          [
+            exhausted.length ? `exhausted in ${namespace}: ${exhausted.join(', ')}` : null,
+            tooSmall.length ? `too little left for ClusterCost: ${tooSmall.join(', ')}` : null,
+          ]
+            .filter(Boolean)
+            .join('; '),
+          `Raise the quota or free capacity in ${namespace} before installing.`
+        )
+      );
+    } else {
+      const requiresResources = Object.keys(hard).some((resource) =>
+        /^((requests|limits)\.)?(cpu|memory)$/.test(resource)
+      );
+      results.push(
+        check(
+          `quota-${name}`,
+          `ResourceQuota ${name}`,
+          'warn',
+          [
+            `limits ${Object.keys(hard).join(', ')}`,
+            requiresResources ? 'pods must declare matching requests/limits' : null,
+            unrelated.length ? `exhausted but not used by ClusterCost: ${unrelated.join(', ')}` : null,
+          ]
+            .filter(Boolean)
+            .join('; '),
+          'Set resources for both charts (e.g. --agent-set resources.requests.cpu=100m) if pods are rejected.'
+        )
+      );
+    }
+  });
+
+  limitRanges.forEach((limitRange) => {
+    const name = limitRange.metadata?.name;
+    const maxima = (limitRange.spec?.limits || [])
+      .filter((limit) => limit.max)
+      .map(
+        (limit) =>
+          `${limit.type} max ${Object.entries(limit.max)
+            .map(([key, value]) => `${key}=${value}`)
+            .join(',')}`
+      );
+    results.push(
+      check(
+        `limitrange-${name}`,
+        `LimitRange ${name}`,
+        'warn',
+        maxima.length ? maxima.join('; ') : 'applies default requests/limits',
+        'Make sure the chart resources fit inside the LimitRange.'
+      )
+    );
+  });
+
+  if (results.length === 0) {
+    results.push(
+      check('quotas', 'Quotas', 'pass', `no ResourceQuota or LimitRange in ${namespace}`)
+    );
+  }
+  return results;
+}
+
+export async function runPreflightChecks(exec, { namespace, needs = null, existing = null }) {
+  const results = [];
+
+  const helmVersion = await tryExec(exec, 'helm', ['version', '--short']);
+  results.push(
+    helmVersion.ok
+      ? evaluateHelmVersion(helmVersion.stdout)
+      : check(
+          'helm-version',
+          'Helm version',
+          'fail',
+          'helm is not installed',
+          'Install Helm: https://helm.sh/docs/intro/install/'
+        )
+  );
+
+  const kubectlVersion = await tryExec(exec, 'kubectl', ['version', '-o', 'json']);
+  let versionJson = null;
+  try {
+    versionJson = JSON.parse(kubectlVersion.stdout || kubectlVersion.error?.stdout || 'null');
+  } catch {
+    versionJson = null;
+  }
+
+  if (!versionJson?.clientVersion) {
+    results.push(
+      check(
+        'kubectl',
+        'kubectl',
+        'fail',
+        'kubectl is not installed',
+        'Install kubectl: https://kubernetes.io/docs/tasks/tools/'
+      )
+    );
+    return results;
+  }
+  results.push(check('kubectl', 'kubectl', 'pass', versionJson.clientVersion.gitVersion));
+
+  if (!versionJson.serverVersion) {
+    results.push(
+      check(
+        'cluster',
+        'Cluster reachable',
+        'fail',
+        firstLine(kubectlVersion.error?.stderr) || 'the API server did not answer',
+        'Check your kube context and credentials with "kubectl cluster-info".'
+      )
+    );
+    return results;
+  }
+  results.push(check('cluster', 'Cluster reachable', 'pass', 'API server answered'));
+  results.push(evaluateServerVersion(versionJson));
+
+  const namespaceLookup = await tryExec(exec, 'kubectl', ['get', 'namespace', namespace]);
+  const namespaceExists = namespaceLookup.ok;
+
+  const permissions = [
+    ...(namespaceExists ? [] : [['create', 'namespaces', null]]),
+    ...CLUSTER_PERMISSIONS.map(([verb, resource]) => [verb, resource, null]),
+    ...NAMESPACED_PERMISSIONS.map(([verb, resource]) => [verb, resource, namespace]),
+  ];
+  const denied = [];
+  for (const [verb, resource, scope] of permissions) {
+    const answer = await tryExec(exec, 'kubectl', [
+      'auth',
+      'can-i',
+      verb,
+      resource,
+      ...(scope ? ['-n', scope] : []),
+    ]);
+    if (!answer.ok || answer.stdout.trim() !== 'yes') {
+      denied.push(`${verb} ${resource}${scope ? ` (ns ${scope})` : ''}`);
+    }
+  }
+  results.push(
+    denied.length === 0
+      ? check('rbac', 'Permissions', 'pass', `${permissions.length} required permissions granted`)
+      : check(
+          'rbac',
+          'Permissions',
+          'fail',
+          `missing: ${denied.join(', ')}`,
+          'Ask a cluster admin for these permissions or install with an account bound to cluster-admin.'
+        )
+  );
+
+  const apiService = await tryExec(exec, 'kubectl', [
+    'get',
+    'apiservice',
+    'v1beta1.metrics.k8s.io',
+    '-o',
+    'json',
+  ]);
+  results.push(evaluateMetricsApi(apiService.ok ? JSON.parse(apiService.stdout) : null));
+
+  if (namespaceExists) {
+    const quotas = await tryExec(exec, 'kubectl', [
+      'get',
+      'resourcequota',
+      '-n',
+      namespace,
+      '-o',
+      'json',
+    ]);
+    const limitRanges = await tryExec(exec, 'kubectl', [
+      'get',
+      'limitrange',
+      '-n',
+      namespace,
+      '-o',
+      'json',
+    ]);
+    results.push(
+      ...evaluateQuotas(
+        namespace,
+        quotas.ok ? JSON.parse(quotas.stdout).items : [],
+        limitRanges.ok ? JSON.parse(limitRanges.stdout).items : [],
+        needs,
+        existing
+      )
+    );
+  } else {
+    results.push(check('quotas', 'Quotas', 'pass', `namespace ${namespace} will be created`));
+  }
+
+  return results;
+}
+
+export function summarizeChecks(results) {
+  return {
+    pass: results.filter((result) => result.status === 'pass').length,
+    warn: results.filter((result) => result.status === 'warn').length,
+    fail: results.filter((result) => result.status === 'fail').length,
+  };
+}
+
+export function formatCheckLines(results) {
+  const width = Math.max(...results.map((result) => result.title.length));
+  const markers = {
+    pass: chalk.green('✔'),
+    warn: chalk.yellow('⚠'),
+    fail: chalk.red('✖'),
+  };
+
+  return results.flatMap((result) => {
+    const line = `${markers[result.status]} ${result.title.padEnd(width)}  ${result.detail}`;
+    return result.hint && result.status !== 'pass'
+      ? [line, chalk.gray(`  ${' '.repeat(width)}  → ${result.hint}`)]
+      : [line];
+  });
+}
+
+function check(id, title, status, detail, hint = null) {
+  return { id, title, status, detail, hint };
+}
+
+async function tryExec(exec, command, args) {
+  try {
+    const result = await exec(command, args);
+    return { ok: true, stdout: result.stdout || '' };
+  } catch (error) {
+    return { ok: false, stdout: '', error };
+  }
+}
+
+function firstLine(value) {
+  return (value || '').split('\n')[0];
+}
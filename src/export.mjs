@@ -0,0 +1,192 @@
+import { sortCostItems } from './report.mjs';
+
+export const EXPORT_SCHEMA_VERSION = 1;
+export const EXPORT_FORMATS = ['csv', 'json', 'markdown'];
+export const EXPORT_GROUPS = ['namespace', 'label', 'workload'];
+export const CSV_COLUMNS = [
+  'group_by',
+  'label_key',
+  'name',
+  'namespace',
+  'start',
+  'end',
+  'currency',
+  'cpu_cost',
+  'memory_cost',
+  'total_cost',
+  'share',
+];
+
+const FORMAT_EXTENSIONS = { csv: 'csv', json: 'json', markdown: 'md' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const LABEL_KEY = /^([a-z0-9]([-a-z0-9.]*[a-z0-9])?\/)?[A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?$/;
+
+export function inferExportFormat(path) {
+  const match = /\.(csv|json|md|markdown)$/i.exec(path || '');
+  if (!match) {
+    return null;
+  }
+  const extension = match[1].toLowerCase();
+  return extension === 'md' ? 'markdown' : extension;
+}
+
+export function validateLabelKey(value) {
+  if (!value || !value.trim()) {
+    return 'Label key cannot be empty.';
+  }
+  if (value.length > 316 || !LABEL_KEY.test(value.trim())) {
+    return 'Use a Kubernetes label key such as team or app.kubernetes.io/name.';
+  }
+  return undefined;
+}
+
+export function parseDateInput(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) {
+    return null;
+  }
+  const date = new Date(DATE_ONLY.test(trimmed) ? `${trimmed}T00:00:00Z` : trimmed);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function validateDateInput(value) {
+  return parseDateInput(value) ? undefined : 'Use a date such as 2024-05-01 or an ISO timestamp.';
+}
+
+// Date-only bounds are whole UTC days: --to 2024-05-07 includes that day, so the
+// exclusive end is midnight after it. Without --from the range covers `days` days.
+export function resolveDateRange({ from, to, days = 7 } = {}, now = new Date()) {
+  const endDate = to
+    ? new Date(parseDateInput(to).getTime() + (DATE_ONLY.test(to.trim()) ? DAY_MS : 0))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + DAY_MS);
+  const startDate = from ? parseDateInput(from) : new Date(endDate.getTime() - days * DAY_MS);
+
+  if (startDate.getTime() >= endDate.getTime()) {
+    return { error: 'The start of the date range must be before its end.' };
+  }
+  return { start: startDate.toISOString(), end: endDate.toISOString() };
+}
+
+export function buildExportDocument(
+  breakdown,
+  { label = null, start, end, generatedAt = new Date() } = {}
+) {
+  const total = breakdown.items.reduce((sum, item) => sum + item.cost, 0);
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    groupBy: breakdown.groupBy,
+    labelKey: breakdown.groupBy === 'label' ? label : null,
+    start,
+    end,
+    currency: breakdown.currency,
+    totalCost: roundCost(total),
+    items: sortCostItems(breakdown.items).map((item) => ({
+      name: item.name,
+      namespace: item.namespace,
+      cpuCost: roundCost(item.cpuCost),
+      memoryCost: roundCost(item.memoryCost),
+      totalCost: roundCost(item.cost),
+      share: total > 0 ? Number((item.cost / total).toFixed(4)) : 0,
+    })),
+  };
+}
+
+export function renderExport(document, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+  if (format === 'markdown') {
+    return formatMarkdown(document);
+  }
+  return formatCsv(document);
+}
+
+export function defaultExportFileName(document, format) {
+  const group = document.labelKey
+    ? `label-${document.labelKey.replace(/[^A-Za-z0-9.-]+/g, '_')}`
+    : document.groupBy;
+  const day = (value) => value.slice(0, 10);
+  const lastDay = new Date(new Date(document.end).getTime() - 1).toISOString();
+  return `clustercost-${group}-${day(document.start)}_${day(lastDay)}.${FORMAT_EXTENSIONS[format]}`;
+}
+
+function formatCsv(document) {
+  const rows = document.items.map((item) => [
+    document.groupBy,
+    document.labelKey ?? '',
+    item.name,
+    item.namespace ?? '',
+    document.start,
+    document.end,
+    document.currency,
+    item.cpuCost,
+    item.memoryCost,
+    item.totalCost,
+    item.share,
+  ]);
+  return `${[CSV_COLUMNS, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\n')}\n`;
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatMarkdown(document) {
+  const grouping = document.labelKey ? `label \`${document.labelKey}\`` : document.groupBy;
+  const showNamespace = document.groupBy === 'workload';
+  const header = [
+    grouping === document.groupBy ? capitalize(document.groupBy) : 'Label value',
+    ...(showNamespace ? ['Namespace'] : []),
+    `CPU (${document.currency})`,
+    `Memory (${document.currency})`,
+    `Total (${document.currency})`,
+    'Share',
+  ];
+  const rows = document.items.map((item) => [
+    escapeMarkdown(item.name),
+    ...(showNamespace ? [escapeMarkdown(item.namespace ?? '')] : []),
+    item.cpuCost.toFixed(2),
+    item.memoryCost.toFixed(2),
+    item.totalCost.toFixed(2),
+    `${(item.share * 100).toFixed(1)}%`,
+  ]);
+  const footer = [
+    '**Total**',
+    ...(showNamespace ? [''] : []),
+    '',
+    '',
+    `**${document.totalCost.toFixed(2)}**`,
+    document.totalCost > 0 ? '100%' : '',
+  ];
+
+  return [
+    `### ClusterCost by ${grouping}`,
+    '',
+    `${document.start} – ${document.end}`,
+    '',
+    tableRow(header),
+    tableRow(header.map((_, index) => (index < (showNamespace ? 2 : 1) ? '---' : '---:'))),
+    ...rows.map(tableRow),
+    tableRow(footer),
+    '',
+  ].join('\n');
+}
+
+function tableRow(cells) {
+  return `| ${cells.join(' | ')} |`;
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function roundCost(value) {
+  return Number(value.toFixed(4));
+}
@@ -0,0 +1,218 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { CREATED_BY_LABEL, CREATED_BY_VALUE, parseResourceList } from './purge.mjs';
+
+export const EXPOSE_METHODS = ['ingress', 'loadbalancer'];
+export const EXPOSE_AUTH_MODES = ['none', 'basic', 'oauth2-proxy'];
+export const EXPOSE_COMPONENT = 'dashboard-expose';
+export const EXPOSE_KINDS = ['ingress', 'service', 'secret'];
+export const BASIC_AUTH_PASSWORD_ENV_VAR = 'CLUSTERCOST_BASIC_AUTH_PASSWORD';
+export const CERT_MANAGER_CRD = 'certificates.cert-manager.io';
+
+const INSTANCE_LABEL = 'app.kubernetes.io/instance';
+const COMPONENT_LABEL = 'app.kubernetes.io/component';
+const DEFAULT_CLASS_ANNOTATION = 'ingressclass.kubernetes.io/is-default-class';
+const NGINX_CONTROLLER = 'k8s.io/ingress-nginx';
+const NGINX = 'nginx.ingress.kubernetes.io';
+const ISSUER_ANNOTATIONS = ['cert-manager.io/cluster-issuer', 'cert-manager.io/issuer'];
+
+// The objects the CLI creates to expose a dashboard release are all named after it and
+// labelled so "unexpose" (and a purge, through the instance label) can find them.
+export function exposeNames(release) {
+  const name = `${release}-external`;
+  return { name, basicAuthSecret: `${name}-basic-auth`, tlsSecret: `${name}-tls` };
+}
+
+export function exposeSelector(release) {
+  return `${COMPONENT_LABEL}=${EXPOSE_COMPONENT},${INSTANCE_LABEL}=${release}`;
+}
+
+/**
+ * The objects exposing a dashboard release, from "kubectl get ingress,service,secret -o
+ * json" filtered by exposeSelector. cert-manager writes the certificate of an
+ * issuer-annotated Ingress into a secret without those labels, so that secret is added
+ * through the Ingress that requested it.
+ */
+export function listExposureResources(stdout, release) {
+  const resources = parseResourceList(stdout);
+  const items = stdout && stdout.trim() ? JSON.parse(stdout).items || [] : [];
+  const { tlsSecret } = exposeNames(release);
+  const issued = items.some(
+    (item) =>
+      item.kind === 'Ingress' &&
+      ISSUER_ANNOTATIONS.some((key) => item.metadata?.annotations?.[key]) &&
+      (item.spec?.tls || []).some((entry) => entry.secretName === tlsSecret)
+  );
+  const listed = resources.some((item) => item.kind === 'Secret' && item.name === tlsSecret);
+  return issued && !listed
+    ? [...resources, { kind: 'Secret', name: tlsSecret, namespace: null, labels: {} }]
+    : resources;
+}
+
+function exposeMetadata(name, namespace, release, annotations) {
+  return {
+    name,
+    namespace,
+    labels: {
+      [CREATED_BY_LABEL]: CREATED_BY_VALUE,
+      [INSTANCE_LABEL]: release,
+      [COMPONENT_LABEL]: EXPOSE_COMPONENT,
+    },
+    ...(annotations && Object.keys(annotations).length > 0 ? { annotations } : {}),
+  };
+}
+
+export function parseIngressClasses(stdout) {
+  const list = stdout && stdout.trim() ? JSON.parse(stdout) : {};
+  return (list.items || []).map((item) => ({
+    name: item.metadata?.name,
+    controller: item.spec?.controller || null,
+    isDefault: item.metadata?.annotations?.[DEFAULT_CLASS_ANNOTATION] === 'true',
+  }));
+}
+
+// The class an Ingress gets when none is chosen: the cluster default, or the only one.
+export function defaultIngressClass(classes) {
+  return classes.find((entry) => entry.isDefault) || (classes.length === 1 ? classes[0] : null);
+}
+
+export function isNginxClass(ingressClass) {
+  return ingressClass?.controller === NGINX_CONTROLLER;
+}
+
+export function parseIssuers(stdout) {
+  const list = stdout && stdout.trim() ? JSON.parse(stdout) : {};
+  return (list.items || []).map((item) => ({
+    kind: item.kind,
+    name: item.metadata?.name,
+    ready: (item.status?.conditions || []).some(
+      (condition) => condition.type === 'Ready' && condition.status === 'True'
+    ),
+  }));
+}
+
+// nginx reads RFC 2307 "{SSHA}" hashes from htpasswd files: SHA-1 over the password and
+// a random salt, followed by the salt.
+export function hashBasicAuthPassword(password, salt = randomBytes(8)) {
+  const digest = createHash('sha1').update(password).update(salt).digest();
+  return `{SSHA}${Buffer.concat([digest, salt]).toString('base64')}`;
+}
+
+export function buildBasicAuthSecret({ namespace, release, username, password, salt }) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: exposeMetadata(exposeNames(release).basicAuthSecret, namespace, release),
+    type: 'Opaque',
+    stringData: { auth: `${username}:${hashBasicAuthPassword(password, salt)}\n` },
+  };
+}
+
+// Authentication is done by ingress-nginx through annotations on the Ingress.
+export function buildAuthAnnotations(auth, release) {
+  if (auth?.mode === 'basic') {
+    return {
+      [`${NGINX}/auth-type`]: 'basic',
+      [`${NGINX}/auth-secret`]: exposeNames(release).basicAuthSecret,
+      [`${NGINX}/auth-realm`]: 'ClusterCost',
+    };
+  }
+  if (auth?.mode === 'oauth2-proxy') {
+    const url = auth.url.replace(/\/+$/, '');
+    return {
+      [`${NGINX}/auth-url`]: `${url}/oauth2/auth`,
+      [`${NGINX}/auth-signin`]: `${url}/oauth2/start?rd=$scheme://$host$escaped_request_uri`,
+    };
+  }
+  return {};
+}
+
+function tlsAnnotations(tls) {
+  if (!tls?.issuer) {
+    return {};
+  }
+  const key = tls.issuer.kind === 'ClusterIssuer' ? 'cluster-issuer' : 'issuer';
+  return { [`cert-manager.io/${key}`]: tls.issuer.name };
+}
+
+/**
+ * The Ingress in front of the dashboard service. `tls` is null for plain HTTP, or has
+ * either an existing `secretName` or a cert-manager `issuer` ({ kind, name }) that
+ * issues the certificate into a secret named after the Ingress.
+ */
+export function buildDashboardIngress({
+  namespace,
+  release,
+  host,
+  className,
+  service,
+  tls = null,
+  auth = null,
+}) {
+  const names = exposeNames(release);
+  return {
+    apiVersion: 'networking.k8s.io/v1',
+    kind: 'Ingress',
+    metadata: exposeMetadata(names.name, namespace, release, {
+      ...tlsAnnotations(tls),
+      ...buildAuthAnnotations(auth, release),
+    }),
+    spec: {
+      ...(className ? { ingressClassName: className } : {}),
+      ...(tls ? { tls: [{ hosts: [host], secretName: tls.secretName || names.tlsSecret }] } : {}),
+      rules: [
+        {
+          host,
+          http: {
+            paths: [
+              {
+                path: '/',
+                pathType: 'Prefix',
+                backend: { service: { name: service.name, port: { number: service.port } } },
+              },
+            ],
+          },
+        },
+      ],
+    },
+  };
+}
+
+// A LoadBalancer Service next to the chart's own service, so a Helm upgrade does not
+// revert it. It selects the same pods and serves the first port on 80.
+export function buildLoadBalancerService({ namespace, release, service, sourceRanges = [] }) {
+  const [port] = service.spec?.ports || [];
+  if (!port || !service.spec?.selector) {
+    throw new Error(`Service ${service.metadata?.name} has no port or selector to expose.`);
+  }
+  return {
+    apiVersion: 'v1',
+    kind: 'Service',
+    metadata: exposeMetadata(exposeNames(release).name, namespace, release),
+    spec: {
+      type: 'LoadBalancer',
+      selector: service.spec.selector,
+      ports: [
+        {
+          name: 'http',
+          port: 80,
+          targetPort: port.targetPort ?? port.port,
+          protocol: port.protocol || 'TCP',
+        },
+      ],
+      ...(sourceRanges.length > 0 ? { loadBalancerSourceRanges: sourceRanges } : {}),
+    },
+  };
+}
+
+// The external address of a LoadBalancer Service or Ingress, once one is assigned.
+export function readExternalAddress(resource) {
+  const ingress = resource?.status?.loadBalancer?.ingress?.[0];
+  return ingress?.hostname || ingress?.ip || null;
+}
+
+export function buildExposedUrl({ method, host, tls, address }) {
+  if (method === 'ingress') {
+    return `${tls ? 'https' : 'http'}://${host}`;
+  }
+  return address ? `http://${address}` : null;
+}
@@ -0,0 +1,73 @@
+import chalk from 'chalk';
+import { UsageError } from './args.mjs';
+
+export function parseContextList(values = []) {
+  const contexts = values
+    .flatMap((value) => value.split(','))
+    .map((context) => context.trim())
+    .filter(Boolean);
+  return [...new Set(contexts)];
+}
+
+export function parseAgentUrlMappings(values = []) {
+  return Object.fromEntries(
+    values.map((value) => {
+      const separator = value.indexOf('=');
+      const context = separator > 0 ? value.slice(0, separator).trim() : '';
+      const url = separator > 0 ? value.slice(separator + 1).trim() : '';
+      if (!context || !isHttpUrl(url)) {
+        throw new UsageError(
+          `--agent-url ${value}: use the form <context>=<http(s) URL>, e.g. prod=http://10.0.0.12:8080`
+        );
+      }
+      return [context, url.replace(/\/+$/, '')];
+    })
+  );
+}
+
+export function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+export function summarizeFleetResults(results, dashboard) {
+  const failedAgents = results.filter((result) => result.error).length;
+  return {
+    agents: results.length,
+    registered: results.filter((result) => result.baseUrl && !result.error).length,
+    failed: failedAgents + (dashboard.error ? 1 : 0),
+  };
+}
+
+export function formatFleetReport(results, dashboard) {
+  const width = Math.max(...results.map((result) => result.context.length), dashboard.context.length);
+  const lines = results.map((result) => {
+    const name = result.context.padEnd(width);
+    if (result.error) {
+      return `${chalk.red('✖')} ${name}  ${chalk.red(`agent ${result.stage} failed: ${describeError(result.error)}`)}`;
+    }
+    return `${chalk.green('✔')} ${name}  agent ${result.status} · ${result.baseUrl}`;
+  });
+
+  const hubName = dashboard.context.padEnd(width);
+  if (dashboard.error) {
+    lines.push(
+      `${chalk.red('✖')} ${hubName}  ${chalk.red(`dashboard failed: ${describeError(dashboard.error)}`)}`
+    );
+  } else {
+    lines.push(
+      `${chalk.green('✔')} ${hubName}  dashboard ${dashboard.status} · ${dashboard.agents} agent(s) registered`
+    );
+  }
+
+  return lines;
+}
+
+function describeError(error) {
+  const detail = error.commandError?.stderr || error.commandError?.message || error.message || '';
+  return detail.split('\n')[0];
+}
@@ -0,0 +1,352 @@
+import { UsageError } from './args.mjs';
+import { CREATED_BY_LABEL, CREATED_BY_VALUE } from './purge.mjs';
+import { toYaml, toYamlDocuments } from './yaml.mjs';
+
+export const GITOPS_FORMATS = ['argocd', 'flux'];
+export const DEFAULT_GITOPS_DIR = 'clustercost-gitops';
+export const ARGOCD_DEFAULTS = { namespace: 'argocd', project: 'default' };
+export const FLUX_INTERVALS = { repository: '1h', release: '10m' };
+export const REPO_AUTH_SECRET = 'clustercost-repo-auth';
+export const REPO_CA_SECRET = 'clustercost-repo-ca';
+
+const IN_CLUSTER_SERVER = 'https://kubernetes.default.svc';
+
+// Splits on separators that are not escaped with a backslash, the way Helm reads --set.
+function splitUnescaped(text, separator) {
+  const parts = [''];
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === '\\' && index + 1 < text.length) {
+      parts[parts.length - 1] += char + text[index + 1];
+      index += 1;
+    } else if (char === separator) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts;
+}
+
+function unescapeSetText(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+function coerceSetValue(raw) {
+  if (raw === 'true' || raw === 'false') {
+    return raw === 'true';
+  }
+  if (raw === 'null') {
+    return null;
+  }
+  if (/^-?(0|[1-9]\d*)$/.test(raw) && Number.isSafeInteger(Number(raw))) {
+    return Number(raw);
+  }
+  return unescapeSetText(raw);
+}
+
+// Applies one "--set" or "--set-string" argument (a=1,b.c[0]=x) to a values object.
+export function applySetOverride(values, expression, { string = false } = {}) {
+  splitUnescaped(expression, ',').forEach((assignment) => {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new UsageError(`Cannot turn "${assignment}" into a Helm value; use key=value.`);
+    }
+    const raw = assignment.slice(separator + 1);
+    const value = string ? unescapeSetText(raw) : coerceSetValue(raw);
+    const path = splitUnescaped(assignment.slice(0, separator), '.').flatMap((segment) => {
+      const match = /^(.*?)((\[\d+\])*)$/.exec(unescapeSetText(segment));
+      const indexes = [...match[2].matchAll(/\[(\d+)\]/g)].map((entry) => Number(entry[1]));
+      return [...(match[1] ? [match[1]] : []), ...indexes];
+    });
+
+    let target = values;
+    path.forEach((key, index) => {
+      if (index === path.length - 1) {
+        target[key] = value;
+        return;
+      }
+      const container = typeof path[index + 1] === 'number' ? [] : {};
+      if (target[key] === null || typeof target[key] !== 'object') {
+        target[key] = container;
+      }
+      target = target[key];
+    });
+  });
+  return values;
+}
+
+// Reads the "helm upgrade --install" arguments the installer builds back into the
+// release, chart, values files and --set values a GitOps tool needs.
+export function parseHelmInstallArgs(args) {
+  const [command, install, release, chart, ...rest] = args;
+  if (command !== 'upgrade' || install !== '--install') {
+    throw new Error(`Expected "helm upgrade --install" arguments, got: ${args.join(' ')}`);
+  }
+  const spec = { release, chart, namespace: null, version: null, valueFiles: [], values: {} };
+  for (let index = 0; index < rest.length; index += 1) {
+    const flag = rest[index];
+    const next = () => {
+      index += 1;
+      return rest[index];
+    };
+    if (flag === '-n' || flag === '--namespace') {
+      spec.namespace = next();
+    } else if (flag === '--version') {
+      spec.version = next();
+    } else if (flag === '-f' || flag === '--values') {
+      spec.valueFiles.push(next());
+    } else if (flag === '--set' || flag === '--set-string') {
+      applySetOverride(spec.values, next(), { string: flag === '--set-string' });
+    } else if (flag === '--ca-file') {
+      next();
+    }
+  }
+  return spec;
+}
+
+// Maps a chart source from resolveChartSources to the repository a GitOps controller
+// pulls from. Local archives and repositories the CLI does not know the URL of cannot
+// be referenced from a cluster.
+export function resolveGitopsChartSource(component, source, repo) {
+  if (source.kind === 'archive') {
+    throw new UsageError(
+      `--${component}-chart: a local chart archive cannot be used by Argo CD or Flux; ` +
+        'push it to a Helm or OCI repository and pass --repo-url.'
+    );
+  }
+  if (source.kind === 'oci') {
+    const separator = source.ref.lastIndexOf('/');
+    return {
+      type: 'oci',
+      url: source.ref.slice(0, separator),
+      chart: source.ref.slice(separator + 1),
+    };
+  }
+  if (!repo || !source.ref.startsWith(`${repo.name}/`)) {
+    throw new UsageError(
+      `--${component}-chart: the URL of the repository behind ${source.ref} is unknown; ` +
+        'pass --repo-url with the repository that hosts the chart.'
+    );
+  }
+  return { type: 'default', url: repo.url, chart: source.ref.slice(repo.name.length + 1) };
+}
+
+export function namespaceManifest(namespace) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Namespace',
+    metadata: { name: namespace, labels: { [CREATED_BY_LABEL]: CREATED_BY_VALUE } },
+  };
+}
+
+export function buildKustomization(resources, { namespace } = {}) {
+  return {
+    apiVersion: 'kustomize.config.k8s.io/v1beta1',
+    kind: 'Kustomization',
+    ...(namespace ? { namespace } : {}),
+    resources,
+  };
+}
+
+function hasValues(values) {
+  return Object.keys(values).length > 0;
+}
+
+function argoChartSource(component, extra = {}) {
+  const { spec, source } = component;
+  return {
+    // Argo CD takes OCI registries without the scheme.
+    repoURL: source.type === 'oci' ? source.url.replace(/^oci:\/\//, '') : source.url,
+    chart: source.chart,
+    targetRevision: spec.version,
+    helm: {
+      releaseName: spec.release,
+      ...extra,
+      ...(hasValues(spec.values) ? { valuesObject: spec.values } : {}),
+    },
+  };
+}
+
+export function buildArgoApplication(component, namespace, settings) {
+  const { spec, valueFiles } = component;
+  const sources =
+    valueFiles.length > 0
+      ? {
+          sources: [
+            argoChartSource(component, {
+              valueFiles: valueFiles.map((file) => `$values/${settings.gitPath}/${file.path}`),
+            }),
+            { repoURL: settings.gitRepo, targetRevision: settings.gitRevision, ref: 'values' },
+          ],
+        }
+      : { source: argoChartSource(component) };
+  return {
+    apiVersion: 'argoproj.io/v1alpha1',
+    kind: 'Application',
+    metadata: { name: spec.release, namespace: settings.argoNamespace },
+    spec: {
+      project: settings.argoProject,
+      destination: { server: IN_CLUSTER_SERVER, namespace },
+      ...sources,
+      syncPolicy: { automated: { prune: true, selfHeal: true } },
+    },
+  };
+}
+
+export function buildFluxHelmRepository({ name, namespace, source, auth = false, ca = false }) {
+  return {
+    apiVersion: 'source.toolkit.fluxcd.io/v1',
+    kind: 'HelmRepository',
+    metadata: { name, namespace },
+    spec: {
+      interval: FLUX_INTERVALS.repository,
+      ...(source.type === 'oci' ? { type: 'oci' } : {}),
+      url: source.url,
+      ...(auth ? { secretRef: { name: REPO_AUTH_SECRET } } : {}),
+      ...(ca ? { certSecretRef: { name: REPO_CA_SECRET } } : {}),
+    },
+  };
+}
+
+export function buildFluxHelmRelease(component, namespace, { repository, dependsOn = null }) {
+  const { spec, source, valueFiles } = component;
+  return {
+    apiVersion: 'helm.toolkit.fluxcd.io/v2',
+    kind: 'HelmRelease',
+    metadata: { name: spec.release, namespace },
+    spec: {
+      interval: FLUX_INTERVALS.release,
+      releaseName: spec.release,
+      ...(dependsOn ? { dependsOn: [{ name: dependsOn }] } : {}),
+      chart: {
+        spec: {
+          chart: source.chart,
+          version: spec.version,
+          sourceRef: { kind: 'HelmRepository', name: repository },
+        },
+      },
+      ...(valueFiles.length > 0
+        ? {
+            valuesFrom: valueFiles.map((file) => ({
+              kind: 'ConfigMap',
+              name: file.configMap,
+              valuesKey: 'values.yaml',
+            })),
+          }
+        : {}),
+      ...(hasValues(spec.values) ? { values: spec.values } : {}),
+    },
+  };
+}
+
+function valuesConfigMap(file, namespace) {
+  return {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: { name: file.configMap, namespace },
+    data: { 'values.yaml': file.content },
+  };
+}
+
+// Flux needs one HelmRepository per distinct repository; the usual case is a single
+// repository holding both charts.
+function fluxRepositories(components, namespace, access) {
+  const byUrl = new Map();
+  components.forEach((component) => {
+    const key = `${component.source.type} ${component.source.url}`;
+    byUrl.set(key, [...(byUrl.get(key) || []), component]);
+  });
+  const shared = byUrl.size === 1;
+  return [...byUrl.values()].map((members) => ({
+    manifest: buildFluxHelmRepository({
+      name: shared ? 'clustercost' : `clustercost-${members[0].name}`,
+      namespace,
+      source: members[0].source,
+      ...access,
+    }),
+    members: members.map((member) => member.name),
+  }));
+}
+
+/**
+ * Lays out the files for a GitOps repository: the Namespace, Argo CD Applications or Flux
+ * HelmRepository/HelmRelease objects, the values files, and a kustomization.yaml listing
+ * them. `components` are { name, spec, source, valueFiles: [{ name, content }] } in
+ * install order (agent first).
+ */
+export function planGitopsFiles({ format, namespace, components, settings = {}, access = {} }) {
+  const files = [{ path: 'namespace.yaml', content: toYaml(namespaceManifest(namespace)) }];
+  const notes = [];
+  const withFiles = components.map((component) => ({
+    ...component,
+    valueFiles: component.valueFiles.map((file, index) => ({
+      ...file,
+      path: `values/${component.spec.release}/${index + 1}-${file.name}`,
+      configMap: `${component.spec.release}-values-${index + 1}`,
+    })),
+  }));
+
+  if (format === 'argocd') {
+    const needsGit = withFiles.some((component) => component.valueFiles.length > 0);
+    if (needsGit && !settings.gitRepo) {
+      throw new UsageError(
+        '--git-repo: Argo CD reads values files from your Git repository; pass its URL.'
+      );
+    }
+    withFiles.forEach((component) => {
+      component.valueFiles.forEach((file) =>
+        files.push({ path: file.path, content: file.content })
+      );
+      files.push({
+        path: `${component.spec.release}-application.yaml`,
+        content: toYaml(buildArgoApplication(component, namespace, settings)),
+      });
+    });
+    if (access.auth || access.ca || withFiles.some((c) => c.source.type === 'oci')) {
+      notes.push(
+        'Register the chart repository in Argo CD (argocd repo add) with its credentials, ' +
+          'CA and, for OCI registries, --enable-oci.'
+      );
+    }
+  } else {
+    const repositories = fluxRepositories(withFiles, namespace, access);
+    files.push({
+      path: 'helmrepository.yaml',
+      content: toYamlDocuments(repositories.map((repository) => repository.manifest)),
+    });
+    withFiles.forEach((component, index) => {
+      const repository = repositories.find((entry) => entry.members.includes(component.name));
+      if (component.valueFiles.length > 0) {
+        files.push({
+          path: `${component.spec.release}-values.yaml`,
+          content: toYamlDocuments(
+            component.valueFiles.map((file) => valuesConfigMap(file, namespace))
+          ),
+        });
+      }
+      files.push({
+        path: `${component.spec.release}-helmrelease.yaml`,
+        content: toYaml(
+          buildFluxHelmRelease(component, namespace, {
+            repository: repository.manifest.metadata.name,
+            dependsOn: index > 0 ? withFiles[0].spec.release : null,
+          })
+        ),
+      });
+    });
+    if (access.auth) {
+      notes.push(
+        `Create the Secret ${REPO_AUTH_SECRET} in ${namespace} with the username and ` +
+          'password keys for the chart repository.'
+      );
+    }
+    if (access.ca) {
+      notes.push(`Create the Secret ${REPO_CA_SECRET} in ${namespace} with the ca.crt key.`);
+    }
+  }
+
+  const resources = files.map((file) => file.path).filter((path) => !path.startsWith('values/'));
+  files.push({ path: 'kustomization.yaml', content: toYaml(buildKustomization(resources)) });
+  return { files, notes };
+}
@@ -4,31 +4,261 @@ import {
   intro,
   outro,
   select,
+  multiselect,
   confirm,
   text,
+  password,
   note,
   isCancel,
 } from '@clack/prompts';
 import { spawn } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import { access, mkdir, mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { homedir, hostname, tmpdir, userInfo } from 'node:os';
+import { basename, dirname, join, relative, resolve as resolvePath, sep } from 'node:path';
+import { createInterface } from 'node:readline';
+import { UsageError, parseCliArgs, formatUsage, OUTPUT_FORMAT_COMMANDS } from './args.mjs';
+import {
+  validateNamespace,
+  validateServiceName,
+  validatePort,
+  validateChartVersion,
+  validateChartReference,
+  validateRepositoryUrl,
+  validateImageRegistry,
+  validateReleaseName,
+  validateHostname,
+  validateResourceName,
+  validateSourceRanges,
+} from './validation.mjs';
+import {
+  PROFILE_KEYS,
+  resolveConfigPath,
+  loadConfig,
+  saveConfig,
+  getProfile,
+  setProfileValue,
+  removeProfileValue,
+} from './config.mjs';
+import {
+  createChartValues,
+  validateSetOverride,
+  validateValuesFilePath,
+  buildValuesArgs,
+  hasPreviousValues,
+  describeChartValues,
+  buildAgentListArgs,
+} from './values.mjs';
+import {
+  parseContextList,
+  parseAgentUrlMappings,
+  isHttpUrl,
+  summarizeFleetResults,
+  formatFleetReport,
+} from './fleet.mjs';
+import {
+  parseDuration,
+  validateDuration,
+  workloadReadiness,
+  diagnosePod,
+  selectPodEvents,
+  formatReadinessTable,
+} from './readiness.mjs';
+import {
+  runPreflightChecks,
+  summarizeChecks,
+  formatCheckLines,
+  chartQuotaNeeds,
+  podQuotaUsage,
+  applyResourceOverrides,
+} from './doctor.mjs';
+import {
+  isPortAvailable,
+  findAvailablePort,
+  nextBackoffDelay,
+  browserCommand,
+  probeHttp,
+} from './port-forward.mjs';
+import { COST_GROUPS, validateWindow, fetchCostBreakdown } from './agent-api.mjs';
+import {
+  EXPORT_FORMATS,
+  EXPORT_GROUPS,
+  inferExportFormat,
+  validateLabelKey,
+  validateDateInput,
+  resolveDateRange,
+  buildExportDocument,
+  renderExport,
+  defaultExportFileName,
+} from './export.mjs';
+import {
+  BUNDLE_MANIFEST,
+  selectReleasePods,
+  planBundleCollection,
+  collectBundleFiles,
+  buildBundleManifest,
+  createTarGz,
+} from './bundle.mjs';
+import {
+  ROLLBACK_COMPONENTS,
+  parseHelmHistory,
+  rollbackCandidates,
+  currentRevision,
+  parseRevisionTargets,
+  formatHistoryTable,
+  formatUpdated,
+} from './rollback.mjs';
+import {
+  CHART_NAMES,
+  MIRROR_REPO_NAME,
+  parseChartSearch,
+  findDeployedChart,
+  toTemplateArgs,
+  describeChartVersion,
+  formatVersionTable,
+  resolveChartSources,
+  ociRegistryHost,
+  parseChartMetadata,
+} from './charts.mjs';
+import {
+  AIRGAP_MANIFEST,
+  AIRGAP_IMAGE_LIST,
+  extractImages,
+  formatImageList,
+  buildAirgapManifest,
+  defaultAirgapFileName,
+} from './airgap.mjs';
+import { withKubeTarget, parseContextNames } from './kube.mjs';
+import { chartFullname, groupInstalls, selectInstall, describeInstall } from './installs.mjs';
+import {
+  CREATED_BY_LABEL,
+  CREATED_BY_VALUE,
+  CLUSTER_SCOPED_KINDS,
+  leftoverSelectors,
+  parseResourceList,
+  uniqueResources,
+  resourceRef,
+  belongsToReleases,
+  assessNamespace,
+  formatLeftovers,
+  formatPurgeSummary,
+} from './purge.mjs';
+import { diffLines, summarizeDiff, formatUnifiedDiff } from './diff.mjs';
+import { REPORT_SORT_KEYS, formatCostTable } from './report.mjs';
+import { validateOutputFormat, requestsJsonOutput, buildOutputDocument } from './output.mjs';
+import {
+  DEFAULT_HISTORY_LIMIT,
+  resolveAuditLogPath,
+  buildAuditEntry,
+  appendAuditEntry,
+  readAuditLog,
+  parseSince,
+  validateSince,
+  filterAuditEntries,
+  formatAuditEntries,
+} from './audit.mjs';
+import { detectTerminalMode, createPlainSpinner } from './terminal.mjs';
+import {
+  GITOPS_FORMATS,
+  DEFAULT_GITOPS_DIR,
+  ARGOCD_DEFAULTS,
+  parseHelmInstallArgs,
+  resolveGitopsChartSource,
+  planGitopsFiles,
+} from './gitops.mjs';
+import { toRenderArgs, planRenderFiles, joinRenderedFiles } from './render.mjs';
+import {
+  EXPOSE_METHODS,
+  EXPOSE_AUTH_MODES,
+  EXPOSE_KINDS,
+  BASIC_AUTH_PASSWORD_ENV_VAR,
+  CERT_MANAGER_CRD,
+  exposeNames,
+  exposeSelector,
+  parseIngressClasses,
+  defaultIngressClass,
+  isNginxClass,
+  parseIssuers,
+  buildBasicAuthSecret,
+  buildDashboardIngress,
+  buildLoadBalancerService,
+  readExternalAddress,
+  buildExposedUrl,
+  listExposureResources,
+} from './expose.mjs';
+import { toYamlDocuments } from './yaml.mjs';
+import {
+  DEFAULT_WATCH_INTERVAL,
+  summarizePod,
+  parsePodMetrics,
+  isSnapshotHealthy,
+  formatWatchScreen,
+} from './watch.mjs';
+import {
+  LOG_COMPONENTS,
+  DEFAULT_LOG_TAIL,
+  selectLogPods,
+  buildLogsArgs,
+  parseLogLine,
+  createLogPrefixer,
+  buildLogFilter,
+  validateLogFilter,
+  validateTail,
+  prettyPrintJsonLog,
+} from './logs.mjs';
+
+export { validateNamespace, validateServiceName, validatePort } from './validation.mjs';
 
 const DEFAULT_NAMESPACE = 'clustercost';
-const HELM_REPO_NAME = 'clustercost';
-const HELM_REPO_URL = 'https://charts.clustercost.com';
 const AGENT_RELEASE = 'clustercost-agent';
 const AGENT_CHART = 'clustercost/clustercost-agent-k8s';
 const DASHBOARD_RELEASE = 'clustercost-dashboard';
 const DASHBOARD_CHART = 'clustercost/clustercost-dashboard';
-const DASHBOARD_SERVICE = 'clustercost-dashboard';
 const DASHBOARD_TARGET_PORT = 9090;
 const DASHBOARD_LOCAL_PORT = 3000;
-const AGENT_SERVICE_HOST = `${AGENT_RELEASE}-${AGENT_CHART.split('/')[1]}`;
+const PORT_FORWARD_MAX_RECONNECTS = 10;
+const PORT_FORWARD_PROBE_INTERVAL_MS = 10000;
+const PORT_FORWARD_PROBE_FAILURES = 2;
+const PORT_FORWARD_STABLE_MS = 30000;
+const EXPOSE_ADDRESS_TIMEOUT_MS = 120000;
+const EXPOSE_ADDRESS_POLL_MS = 5000;
+const AGENT_TUNNEL_TIMEOUT_MS = 20000;
+const DEFAULT_REPORT_WINDOW = '24h';
+const DEFAULT_REPORT_TOP = 10;
+const DEFAULT_VERSIONS_LIMIT = 10;
+const VERSION_CHOICES_LIMIT = 15;
+const PREVIEW_DIFF_MAX_LINES = 300;
 const AGENT_SERVICE_PORT = 8080;
 const DEFAULT_AGENT_NAME = 'local-cluster';
 const DEFAULT_AGENT_TYPE = 'k8s';
+const DEFAULT_ROLLOUT_TIMEOUT = '5m';
+const INSTANCE_LABEL = 'app.kubernetes.io/instance';
 
 let installState = {
   agent: null,
   dashboard: null,
+  installs: [],
+  active: null,
+};
+
+let session = {
+  dryRun: false,
+  renderManifests: false,
+  plan: [],
+  planValuesDirs: [],
+  context: null,
+  profile: {},
+  releases: { agent: AGENT_RELEASE, dashboard: DASHBOARD_RELEASE },
+  target: { namespace: null, releases: {}, configured: {} },
+  kube: { context: null, kubeconfig: null },
+  charts: resolveChartSources(),
+  chartAccess: { username: null, password: null, caFile: null, imageRegistry: null },
+  output: 'text',
+  steps: [],
+  result: {},
+  audit: { path: null, operation: null, warned: false, paused: false },
+  terminal: { plain: false, reasons: [], canPrompt: true },
+  stdout: process.stdout.write.bind(process.stdout),
 };
 
 class StepError extends Error {
@@ -47,59 +277,100 @@ class OperationCancelledError extends Error {
   }
 }
 
-export async function run() {
+export async function run(argv = []) {
+  const startedAt = new Date();
+  let invocation;
   try {
-    await displaySplash();
-    await ensurePrerequisites();
-    installState = await detectInstallState();
-    intro(chalk.cyanBright('ClusterCost control center'));
-
-    let running = true;
-    while (running) {
-      const menuOptions = buildMenuOptions();
-      const preferredInitial = hasExistingInstall() ? 'port-forward' : 'install';
-      const initialValue =
-        menuOptions.find((option) => option.value === preferredInitial)?.value ||
-        menuOptions[0]?.value ||
-        'install';
-      const choice = await select({
-        message: 'What would you like to do?',
-        options: menuOptions,
-        initialValue,
-      });
-      enforceNotCancelled(choice);
-
-      switch (choice) {
-        case 'install':
-          await handleInstallFlow();
-          break;
-        case 'port-forward':
-          await handlePortForwardFlow();
-          break;
-        case 'uninstall':
-          await handleUninstallFlow();
-          break;
-        case 'debug':
-          await showDebugInfo();
-          break;
-        case 'about':
-          showClusterCostOverview();
-          break;
-        case 'exit':
-          running = false;
-          break;
-        default:
-          running = false;
-      }
-    }
-
-    outro('Stay cost-aware. 👋');
+    invocation = parseCliArgs(argv);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(chalk.red(`✖ ${error.message}`));
+      console.error(chalk.gray('Run "clustercost --help" for usage.'));
+      process.exitCode = 2;
+      if (requestsJsonOutput(argv)) {
+        writeOutputDocument(process.stdout.write.bind(process.stdout), {
+          command: null,
+          startedAt,
+          error,
+        });
+      }
+      return;
+    }
+    throw error;
+  }
+
+  if (invocation.help) {
+    console.log(formatUsage(invocation.command));
+    return;
+  }
+
+  const { command, options } = invocation;
+  const output = OUTPUT_FORMAT_COMMANDS.includes(command) ? options.output || 'text' : 'text';
+  if (validateOutputFormat(output)) {
+    console.error(chalk.red(`✖ --output: ${validateOutputFormat(output)}`));
+    process.exitCode = 2;
+    return;
+  }
+
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  session = {
+    ...session,
+    stdout: writeStdout,
+    dryRun: Boolean(options.dryRun),
+    renderManifests: Boolean(options.renderManifests),
+    plan: [],
+    planValuesDirs: [],
+    kube: {
+      context: options.context?.trim() || null,
+      kubeconfig: options.kubeconfig?.trim() || null,
+    },
+    output,
+    steps: [],
+    result: {},
+    audit: {
+      path: options.logFile?.trim() || resolveAuditLogPath(),
+      operation: null,
+      warned: false,
+      paused: false,
+    },
+    terminal: detectTerminalMode({ plain: Boolean(options.plain) }),
+  };
+  startAuditOperation(command || 'menu');
+  if (session.terminal.plain) {
+    chalk.level = 0;
+  }
+
+  // In JSON mode, and when manifests are rendered to stdout, everything meant for people
+  // (progress, tables, clack notes) goes to stderr, so stdout carries nothing but the
+  // document. JSON mode also drops colors.
+  const documentOnStdout = output === 'json' || (command === 'render' && !options.outputDir);
+  if (output === 'json') {
+    chalk.level = 0;
+  }
+  if (documentOnStdout) {
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+  }
+
+  let failure = null;
+  try {
+    if (command) {
+      await runCommand(command, options, invocation.positionals);
+    } else {
+      await runInteractive();
+    }
   } catch (error) {
+    failure = error;
     if (error instanceof OperationCancelledError) {
       note('No changes were made.', 'Action cancelled');
       return;
     }
 
+    if (error instanceof UsageError) {
+      console.error(chalk.red(`✖ ${error.message}`));
+      process.exitCode = 2;
+      return;
+    }
+
     if (error instanceof StepError) {
       renderStepError(error);
     } else {
@@ -107,7 +378,236 @@ export async function run() {
     }
 
     process.exitCode = 1;
+  } finally {
+    if (documentOnStdout) {
+      process.stdout.write = writeStdout;
+    }
+    if (output === 'json') {
+      writeOutputDocument(writeStdout, { command, startedAt, error: failure });
+    }
+  }
+}
+
+function writeOutputDocument(write, { command, startedAt, error }) {
+  const document = buildOutputDocument({
+    command,
+    exitCode: process.exitCode ?? 0,
+    startedAt,
+    dryRun: session.dryRun,
+    context: session.kube.context || session.context || null,
+    state: {
+      agent: installState.agent,
+      dashboard: installState.dashboard,
+      installs: installState.installs,
+    },
+    result: session.result,
+    steps: session.steps,
+    error,
+  });
+  write(`${JSON.stringify(document, null, 2)}\n`);
+}
+
+function reportResult(fields) {
+  session.result = { ...session.result, ...fields };
+}
+
+async function runCommand(command, options, positionals = []) {
+  if (command === 'config') {
+    await handleConfigCommand(positionals, options);
+    return;
+  }
+  if (command === 'history') {
+    await handleHistoryCommand(options);
+    return;
+  }
+  // "helm template" needs no cluster; only --from-release reads the installed releases.
+  if (command === 'render' && !options.fromRelease) {
+    await ensurePrerequisites({ kubectl: false });
+    await loadActiveProfile();
+    applyInstallOptions(options);
+    await handleRenderFlow(options);
+    return;
+  }
+
+  await ensurePrerequisites();
+  await verifyKubeTarget();
+  await loadActiveProfile();
+  applyInstallOptions(options);
+  installState = await detectInstallState({ strict: command === 'status' });
+
+  switch (command) {
+    case 'install':
+      await handleInstallFlow({ ...options, interactive: false });
+      break;
+    case 'gitops':
+      await handleGitopsFlow({ ...options, interactive: false });
+      break;
+    case 'render':
+      await handleRenderFlow(options);
+      break;
+    case 'versions':
+      await handleVersionsCommand(options);
+      break;
+    case 'package':
+      await handlePackageCommand(options);
+      break;
+    case 'uninstall':
+      await handleUninstallFlow({ ...options, interactive: false });
+      break;
+    case 'rollback':
+      await handleRollbackFlow({ ...options, interactive: false });
+      break;
+    case 'fleet':
+      await handleFleetFlow({ ...options, interactive: false });
+      break;
+    case 'doctor':
+      await handleDoctorFlow({ ...options, interactive: false });
+      break;
+    case 'report':
+      await handleReportFlow({ ...options, interactive: false });
+      break;
+    case 'export':
+      await handleExportFlow({ ...options, interactive: false });
+      break;
+    case 'support-bundle':
+      await handleSupportBundleFlow({ ...options, interactive: false });
+      break;
+    case 'port-forward':
+      await handlePortForwardFlow({ ...options, interactive: false });
+      break;
+    case 'expose':
+      await handleExposeFlow({ ...options, interactive: false });
+      break;
+    case 'unexpose':
+      await handleUnexposeFlow({ ...options, interactive: false });
+      break;
+    case 'watch':
+      await handleWatchFlow(options);
+      break;
+    case 'logs':
+      await handleLogsFlow({ ...options, interactive: false });
+      break;
+    case 'status':
+      showInstallStatus({ all: true });
+      reportResult({ complete: Boolean(installState.agent && installState.dashboard) });
+      if (!installState.agent || !installState.dashboard) {
+        process.exitCode = 1;
+      }
+      break;
+    case 'debug':
+      await showDebugInfo();
+      break;
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+async function runInteractive() {
+  if (!session.terminal.canPrompt) {
+    throw new UsageError(
+      'The interactive menu needs a terminal. Run a command instead, for example ' +
+        '"clustercost install --yes" or "clustercost status" (see "clustercost --help").'
+    );
+  }
+  if (!session.terminal.plain) {
+    await displaySplash();
+  }
+  await ensurePrerequisites();
+  await verifyKubeTarget();
+  await loadActiveProfile();
+  installState = await detectInstallState();
+  if (installState.installs.length > 1) {
+    console.log(
+      chalk.gray(
+        `• ${installState.installs.length} ClusterCost installs found; acting on ${describeInstall(
+          installState.active
+        )}.`
+      )
+    );
+  }
+  intro(
+    session.dryRun
+      ? `${chalk.cyanBright('ClusterCost control center')} ${chalk.yellow('(dry run)')}`
+      : chalk.cyanBright('ClusterCost control center')
+  );
+
+  let running = true;
+  while (running) {
+    const menuOptions = buildMenuOptions();
+    const preferredInitial = hasExistingInstall() ? 'port-forward' : 'install';
+    const initialValue =
+      menuOptions.find((option) => option.value === preferredInitial)?.value ||
+      menuOptions[0]?.value ||
+      'install';
+    const choice = await select({
+      message: 'What would you like to do?',
+      options: menuOptions,
+      initialValue,
+    });
+    enforceNotCancelled(choice);
+    startAuditOperation(choice);
+
+    switch (choice) {
+      case 'install':
+        await handleInstallFlow();
+        break;
+      case 'port-forward':
+        await handlePortForwardFlow();
+        break;
+      case 'watch':
+        await handleWatchFlow();
+        break;
+      case 'logs':
+        await handleLogsFlow();
+        break;
+      case 'expose':
+        await handleExposeFlow();
+        break;
+      case 'unexpose':
+        await handleUnexposeFlow();
+        break;
+      case 'uninstall':
+        await handleUninstallFlow();
+        break;
+      case 'rollback':
+        await handleRollbackFlow();
+        break;
+      case 'fleet':
+        await handleFleetFlow();
+        break;
+      case 'gitops':
+        await handleGitopsFlow();
+        break;
+      case 'doctor':
+        await handleDoctorFlow();
+        break;
+      case 'report':
+        await handleReportFlow();
+        break;
+      case 'export':
+        await handleExportFlow();
+        break;
+      case 'debug':
+        await showDebugInfo();
+        break;
+      case 'support-bundle':
+        await handleSupportBundleFlow();
+        break;
+      case 'switch-install':
+        await chooseActiveInstall();
+        break;
+      case 'about':
+        showClusterCostOverview();
+        break;
+      case 'exit':
+        running = false;
+        break;
+      default:
+        running = false;
+    }
   }
+
+  outro('Stay cost-aware. 👋');
 }
 
 async function displaySplash() {
@@ -136,10 +636,10 @@ async function displaySplash() {
   console.log(chalk.dim('Use arrow keys to navigate. Press Enter to select.\n'));
 }
 
-async function ensurePrerequisites() {
+async function ensurePrerequisites({ kubectl = true } = {}) {
   const missing = [];
 
-  if (!(await commandExists('kubectl'))) {
+  if (kubectl && !(await commandExists('kubectl'))) {
     missing.push(
       'kubectl not found. Please install kubectl and configure your cluster context.'
     );
@@ -155,16 +655,21 @@ async function ensurePrerequisites() {
   }
 }
 
-async function handleInstallFlow() {
-  const contextResult = await runShellCommand('kubectl', ['config', 'current-context']).catch(
-    (error) => {
-      throw new StepError('Detect current Kubernetes context', error);
-    }
-  );
-  let contextName = contextResult.stdout || 'unknown';
+async function handleInstallFlow(options = {}) {
+  const { interactive = true, yes = false } = options;
+  if (options.timeout !== undefined && validateDuration(options.timeout)) {
+    throw new UsageError(`--timeout: ${validateDuration(options.timeout)}`);
+  }
+  const contextName = await currentContextName();
+  if (!contextName) {
+    throw new StepError(
+      'Detect current Kubernetes context',
+      new Error('No current context is set. Pass --context <name>.')
+    );
+  }
 
-  if (!hasExistingInstall()) {
-    const confirmInstall = await confirm({
+  if (interactive && !hasExistingInstall()) {
+    const confirmInstall = await confirmAction({
       message: `We detected Kubernetes context: ${chalk.cyan(
         contextName
       )}. Install ClusterCost here?`,
@@ -174,566 +679,4476 @@ async function handleInstallFlow() {
     if (!confirmInstall) {
       const selectedContext = await promptForContextSelection(contextName);
       if (selectedContext !== contextName) {
-        await switchKubectlContext(selectedContext);
+        await useKubeContext(selectedContext);
       }
       note(`Using context ${chalk.cyan(selectedContext)}`, 'Context selected');
-      contextName = selectedContext;
     }
+  } else if (!interactive) {
+    console.log(`${chalk.gray('Context:')} ${chalk.cyan(contextName)}`);
+    requireUnambiguousInstall(options, 'upgrade');
   }
 
-  const namespaceResponse = await text({
-    message: 'Namespace to install into',
-    placeholder: DEFAULT_NAMESPACE,
-    initialValue: resolveDefaultNamespace(),
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
     validate: validateNamespace,
+    prompt: {
+      message: 'Namespace to install into',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
   });
-  enforceNotCancelled(namespaceResponse);
-  const namespace = (namespaceResponse || DEFAULT_NAMESPACE).trim();
+  useInstallIn(namespace);
+  reportResult({ namespace, releases: { ...session.releases } });
+  await configureChartSources(options, interactive);
 
-  const canInstall = await ensureFreshInstallAllowed(namespace);
+  if (
+    !options.skipPreflight &&
+    !options.preview &&
+    !(await preflightAllowsInstall(namespace, interactive, options))
+  ) {
+    return;
+  }
+
+  const canInstall =
+    options.preview || (await ensureFreshInstallAllowed(namespace, { interactive, yes }));
   if (!canInstall) {
     return;
   }
 
-  if (!(await namespaceExists(namespace))) {
-    await runStep(
-      `Creating namespace ${namespace}`,
-      async () => runShellCommand('kubectl', ['create', 'namespace', namespace]),
-      `Namespace ${namespace} created`
+  const pinnedVersions = resolvePinnedVersions(options);
+  const values = await resolveHelmValues(namespace, options, interactive);
+
+  await prepareHelmRepository();
+  const versions = interactive ? await chooseChartVersions(pinnedVersions) : pinnedVersions;
+
+  const valuesDir = await mkdtemp(join(tmpdir(), 'clustercost-values-'));
+  try {
+    const { agentArgs, dashboardArgs } = await buildInstallHelmArgs(
+      namespace,
+      values,
+      versions,
+      valuesDir
     );
+
+    const upgrading = await showUpgradePreview(
+      namespace,
+      [
+        { label: 'ClusterCost agent', component: 'agent', helmArgs: agentArgs },
+        { label: 'ClusterCost dashboard', component: 'dashboard', helmArgs: dashboardArgs },
+      ],
+      { force: options.preview }
+    );
+    reportResult({ action: upgrading ? 'upgrade' : 'install', versions });
+    if (options.preview) {
+      console.log(chalk.gray('Preview only; nothing was changed.\n'));
+      return;
+    }
+    if (upgrading && interactive) {
+      const apply = await confirmAction({ message: 'Apply this upgrade?', initialValue: true });
+      enforceNotCancelled(apply);
+      if (!apply) {
+        note('Upgrade cancelled; existing deployment left untouched.', 'Cancelled');
+        return;
+      }
+    }
+
+    if (!(await namespaceExists(namespace))) {
+      await runStep(
+        `Creating namespace ${namespace}`,
+        async () => {
+          await runMutatingCommand('kubectl', ['create', 'namespace', namespace]);
+          return runMutatingCommand('kubectl', [
+            'label',
+            'namespace',
+            namespace,
+            `${CREATED_BY_LABEL}=${CREATED_BY_VALUE}`,
+          ]);
+        },
+        `Namespace ${namespace} created`
+      );
+    }
+
+    await deployRelease('Deploying ClusterCost agent', agentArgs, 'ClusterCost agent deployed');
+    await deployRelease(
+      'Deploying ClusterCost dashboard',
+      dashboardArgs,
+      'ClusterCost dashboard deployed'
+    );
+  } finally {
+    await removeValuesDir(valuesDir);
   }
 
-  await prepareHelmRepository();
-  await deployAgent(namespace);
-  await deployDashboard(namespace);
-  displayInstallSummary(namespace);
+  if (session.dryRun) {
+    showDryRunPlan();
+    return;
+  }
+
+  const ready = options.skipVerify
+    ? null
+    : await verifyInstallReadiness(namespace, options.timeout || DEFAULT_ROLLOUT_TIMEOUT);
+  displayInstallSummary(namespace, { interactive, ready });
+  reportResult({ ready });
+  if (ready === false) {
+    process.exitCode = 1;
+  }
   installState = await detectInstallState();
 }
 
-async function handlePortForwardFlow() {
-  const namespaceResponse = await text({
-    message: 'Namespace containing the dashboard',
-    placeholder: DEFAULT_NAMESPACE,
-    initialValue: resolveDefaultNamespace(),
+async function handleGitopsFlow(options = {}) {
+  const { interactive = true } = options;
+  if (options.format !== undefined && !GITOPS_FORMATS.includes(options.format)) {
+    throw new UsageError(`--format: use one of ${GITOPS_FORMATS.join(', ')}.`);
+  }
+  let format = options.format;
+  if (!format && interactive) {
+    format = await select({
+      message: 'Which GitOps tool applies the manifests?',
+      options: [
+        { label: 'Argo CD (Application per release)', value: 'argocd' },
+        { label: 'Flux (HelmRepository + HelmRelease)', value: 'flux' },
+      ],
+    });
+    enforceNotCancelled(format);
+  }
+  if (!format) {
+    throw new UsageError(`--format: choose ${GITOPS_FORMATS.join(' or ')}.`);
+  }
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
     validate: validateNamespace,
+    prompt: {
+      message: 'Namespace to install into',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
   });
-  enforceNotCancelled(namespaceResponse);
-  const namespace = (namespaceResponse || DEFAULT_NAMESPACE).trim();
-
-  const serviceResponse = await text({
-    message: 'Dashboard service name',
-    placeholder: DASHBOARD_SERVICE,
-    initialValue: DASHBOARD_SERVICE,
-    validate: validateServiceName,
+  useInstallIn(namespace);
+  const outputDir = await resolveInput({
+    value: options.outputDir,
+    flag: 'output-dir',
+    interactive,
+    fallback: DEFAULT_GITOPS_DIR,
+    validate: (value) => (value && value.trim() ? undefined : 'Directory cannot be empty.'),
+    prompt: {
+      message: 'Write the manifests to',
+      placeholder: DEFAULT_GITOPS_DIR,
+      initialValue: DEFAULT_GITOPS_DIR,
+    },
   });
-  enforceNotCancelled(serviceResponse);
-  const serviceName = (serviceResponse || DASHBOARD_SERVICE).trim();
 
-  const portResponse = await text({
-    message: 'Local port to bind',
-    placeholder: String(DASHBOARD_LOCAL_PORT),
-    initialValue: String(DASHBOARD_LOCAL_PORT),
-    validate: validatePort,
-  });
-  enforceNotCancelled(portResponse);
-  const localPort = Number(portResponse || DASHBOARD_LOCAL_PORT) || DASHBOARD_LOCAL_PORT;
+  const pinned = resolvePinnedVersions(options);
+  const needsRepository = !pinned.agent || !pinned.dashboard;
+  await configureChartSources(options, interactive, { needsPassword: needsRepository });
+  const components = Object.keys(CHART_NAMES).map((name) => ({
+    name,
+    source: resolveGitopsChartSource(name, session.charts[name], session.charts.repo),
+  }));
+  const values = await resolveHelmValues(namespace, options, interactive);
+
+  // Git-managed releases should not float, so an unpinned chart is pinned to its latest
+  // version now.
+  const versions = { ...pinned };
+  if (needsRepository) {
+    await prepareHelmRepository();
+  }
+  for (const { name } of components) {
+    if (!versions[name]) {
+      const { ref } = session.charts[name];
+      const latest = await runStep(
+        `Resolving the latest ${ref}`,
+        async () => resolveChartTarget(name, null),
+        `Resolved the latest ${ref}`
+      );
+      if (!latest?.version) {
+        throw new Error(`Chart ${ref} not found. Pass --${name}-version to pin it.`);
+      }
+      versions[name] = latest.version;
+    }
+  }
+
+  const valuesDir = await mkdtemp(join(tmpdir(), 'clustercost-values-'));
+  let plan;
+  try {
+    const helmArgs = await buildInstallHelmArgs(namespace, values, versions, valuesDir);
+    const specs = {
+      agent: parseHelmInstallArgs(helmArgs.agentArgs),
+      dashboard: parseHelmInstallArgs(helmArgs.dashboardArgs),
+    };
+    for (const component of components) {
+      component.spec = specs[component.name];
+      component.valueFiles = await Promise.all(
+        component.spec.valueFiles.map(async (file) => ({
+          name: basename(file),
+          content: await readFile(file, 'utf8'),
+        }))
+      );
+    }
+    const gitPath =
+      options.gitPath?.trim() ||
+      relative(process.cwd(), resolvePath(outputDir)).split(sep).join('/');
+    if (format === 'argocd' && !options.gitPath && gitPath.startsWith('..')) {
+      throw new UsageError('--git-path: the output directory is outside the current directory.');
+    }
+    plan = planGitopsFiles({
+      format,
+      namespace,
+      components,
+      settings: {
+        gitRepo: options.gitRepo?.trim(),
+        gitPath: gitPath.replace(/^\/+|\/+$/g, '') || '.',
+        gitRevision: 'HEAD',
+        argoNamespace: options.argocdNamespace?.trim() || ARGOCD_DEFAULTS.namespace,
+        argoProject: options.argocdProject?.trim() || ARGOCD_DEFAULTS.project,
+      },
+      access: {
+        auth: Boolean(session.chartAccess.username),
+        ca: Boolean(session.chartAccess.caFile),
+      },
+    });
+  } finally {
+    await rm(valuesDir, { recursive: true, force: true });
+  }
 
-  await establishPortForward(namespace, serviceName, localPort);
+  await runStep(
+    `Writing ${plan.files.length} files to ${outputDir}`,
+    async () => {
+      for (const file of plan.files) {
+        const path = join(outputDir, file.path);
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, file.content);
+      }
+    },
+    `Wrote ${plan.files.length} files to ${outputDir}`
+  );
+  plan.files.forEach((file) => console.log(chalk.gray(`  ${join(outputDir, file.path)}`)));
+  plan.notes.forEach((line) => console.log(chalk.yellow(`• ${line}`)));
+  console.log(
+    chalk.gray(
+      `\nCommit ${outputDir} and point ${
+        format === 'argocd' ? 'an Argo CD Application' : 'a Flux Kustomization'
+      } at it; nothing was installed.\n`
+    )
+  );
 }
 
-async function handleUninstallFlow() {
-  const namespaceResponse = await text({
-    message: 'Namespace where ClusterCost is installed',
-    placeholder: DEFAULT_NAMESPACE,
-    initialValue: resolveDefaultNamespace(),
-    validate: validateNamespace,
+async function handleRenderFlow(options = {}) {
+  const outputDir = options.outputDir?.trim();
+  if (options.outputDir !== undefined && !outputDir) {
+    throw new UsageError('--output-dir: Directory cannot be empty.');
+  }
+  ['split', 'kustomization'].forEach((flag) => {
+    if (options[flag] && !outputDir) {
+      throw new UsageError(`--${flag} needs --output-dir.`);
+    }
   });
-  enforceNotCancelled(namespaceResponse);
-  const namespace = (namespaceResponse || DEFAULT_NAMESPACE).trim();
 
-  const confirmRemoval = await confirm({
-    message: `Remove ClusterCost agent and dashboard from ${chalk.cyan(namespace)}?`,
-    initialValue: false,
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive: false,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
   });
-  enforceNotCancelled(confirmRemoval);
-  if (!confirmRemoval) {
-    note('ClusterCost removal cancelled.', 'Cancelled');
-    return;
+  useInstallIn(namespace);
+  await configureChartSources(options, false);
+  const values = await collectValueOverrides(options);
+  if (options.fromRelease) {
+    values.agent.previous = await readReleaseValues(session.releases.agent, namespace);
+    values.dashboard.previous = await readReleaseValues(session.releases.dashboard, namespace);
+    [
+      [session.releases.agent, values.agent],
+      [session.releases.dashboard, values.dashboard],
+    ].forEach(([release, chartValues]) => {
+      console.log(
+        chalk.gray(
+          hasPreviousValues(chartValues)
+            ? `• Including the values applied to ${release} in ${namespace}.`
+            : `• ${release} is not installed in ${namespace}; no values to include.`
+        )
+      );
+    });
   }
+  const versions = resolvePinnedVersions(options);
+  await prepareHelmRepository();
 
-  await uninstallRelease(AGENT_RELEASE, namespace, 'ClusterCost agent');
-  await uninstallRelease(DASHBOARD_RELEASE, namespace, 'ClusterCost dashboard');
-
-  console.log(chalk.greenBright('\n✔ ClusterCost removed.'));
-  console.log(
-    chalk.gray('You can reinstall anytime via "Install ClusterCost (agent + dashboard)".\n')
-  );
-  installState = await detectInstallState();
-}
+  // Rendered from the same arguments "install" passes to helm upgrade --install.
+  const valuesDir = await mkdtemp(join(tmpdir(), 'clustercost-values-'));
+  const releases = [];
+  try {
+    const { agentArgs, dashboardArgs } = await buildInstallHelmArgs(
+      namespace,
+      values,
+      versions,
+      valuesDir
+    );
+    for (const helmArgs of [agentArgs, dashboardArgs]) {
+      const release = helmArgs[2];
+      const result = await runStep(
+        `Rendering ${release} manifests`,
+        async () => runShellCommand('helm', toRenderArgs(helmArgs)),
+        `Rendered ${release} manifests`
+      );
+      releases.push({ release, manifest: result.stdout || '' });
+    }
+  } finally {
+    await rm(valuesDir, { recursive: true, force: true });
+  }
 
-async function uninstallRelease(release, namespace, label) {
-  const exists = await helmReleaseExists(release, namespace);
-  if (!exists) {
-    console.log(chalk.gray(`• ${label} not found in ${namespace}, skipping.`));
+  const files = planRenderFiles({
+    namespace,
+    releases,
+    split: Boolean(options.split),
+    kustomization: Boolean(options.kustomization),
+  });
+  if (!outputDir) {
+    session.stdout(joinRenderedFiles(files));
     return;
   }
 
   await runStep(
-    `Uninstalling ${label}`,
-    async () => runShellCommand('helm', ['uninstall', release, '-n', namespace]),
-    `${label} removed`
+    `Writing ${files.length} files to ${outputDir}`,
+    async () => {
+      for (const file of files) {
+        const path = join(outputDir, file.path);
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, file.content);
+      }
+    },
+    `Wrote ${files.length} files to ${outputDir}`
   );
+  files.forEach((file) => console.log(chalk.gray(`  ${join(outputDir, file.path)}`)));
+  const applyCommand = options.kustomization
+    ? `kubectl apply -k ${outputDir}`
+    : `kubectl apply -n ${namespace} -R -f ${outputDir}`;
+  console.log(chalk.gray(`\nApply with: ${applyCommand}; nothing was installed.\n`));
 }
 
-async function promptForContextSelection(currentContext) {
-  let contextsResult;
-  try {
-    contextsResult = await runShellCommand('kubectl', ['config', 'get-contexts', '-o', 'name']);
-  } catch (error) {
-    throw new StepError('List Kubernetes contexts', error);
-  }
+async function handlePortForwardFlow(options = {}) {
+  const { interactive = true } = options;
 
-  const contexts = (contextsResult.stdout || '')
-    .split('\n')
-    .map((context) => context.trim())
-    .filter(Boolean);
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace containing the dashboard',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+  useInstallIn(namespace);
 
-  if (contexts.length === 0) {
-    throw new StepError('List Kubernetes contexts', new Error('No Kubernetes contexts found.'));
+  const serviceName = await resolveInput({
+    value: options.service,
+    flag: 'service',
+    interactive,
+    fallback: resolveDefaultService(),
+    validate: validateServiceName,
+    prompt: {
+      message: 'Dashboard service name',
+      placeholder: resolveDefaultService(),
+      initialValue: resolveDefaultService(),
+    },
+  });
+
+  const portResponse = await resolveInput({
+    value: options.port,
+    flag: 'port',
+    interactive,
+    fallback: String(resolveDefaultPort()),
+    validate: validatePort,
+    prompt: {
+      message: 'Local port to bind',
+      placeholder: String(DASHBOARD_LOCAL_PORT),
+      initialValue: String(resolveDefaultPort()),
+    },
+  });
+  const localPort = await resolveAvailablePort(
+    Number(portResponse) || DASHBOARD_LOCAL_PORT,
+    interactive
+  );
+
+  let openBrowser = Boolean(options.open);
+  if (interactive && !openBrowser) {
+    openBrowser = await confirmAction({
+      message: 'Open the dashboard in your browser once the tunnel is up?',
+      initialValue: true,
+    });
+    enforceNotCancelled(openBrowser);
   }
 
-  console.log(chalk.bold('\nAvailable Kubernetes contexts:'));
-  contexts.forEach((ctx) => {
-    const marker = ctx === currentContext ? chalk.cyan('•') : chalk.gray('•');
-    const label = ctx === currentContext ? chalk.cyan(ctx) : ctx;
-    console.log(` ${marker} ${label}`);
+  await establishPortForward(namespace, serviceName, localPort, { openBrowser });
+}
+
+async function handleExposeFlow(options = {}) {
+  const { interactive = true, yes = false } = options;
+  [
+    ['method', EXPOSE_METHODS],
+    ['auth', EXPOSE_AUTH_MODES],
+  ].forEach(([flag, allowed]) => {
+    if (options[flag] !== undefined && !allowed.includes(options[flag])) {
+      throw new UsageError(`--${flag}: use one of ${allowed.join(', ')}.`);
+    }
   });
-  console.log();
+  const tlsOptions = [options.tlsSecret, options.clusterIssuer, options.issuer];
+  if (tlsOptions.filter((value) => value !== undefined).length > 1) {
+    throw new UsageError('Pass only one of --tls-secret, --cluster-issuer and --issuer.');
+  }
 
-  const initialValue = contexts.includes(currentContext) ? currentContext : contexts[0];
-  const selectedContext = await select({
-    message: 'Choose a Kubernetes context for installation',
-    options: contexts.map((ctx) => ({
-      label: ctx === currentContext ? `${ctx} (current)` : ctx,
-      value: ctx,
-    })),
-    initialValue,
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace containing the dashboard',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+  useInstallIn(namespace);
+  const serviceName = await resolveInput({
+    value: options.service,
+    flag: 'service',
+    interactive,
+    fallback: resolveDefaultService(),
+    validate: validateServiceName,
+    prompt: {
+      message: 'Dashboard service name',
+      placeholder: resolveDefaultService(),
+      initialValue: resolveDefaultService(),
+    },
   });
-  enforceNotCancelled(selectedContext);
-  return selectedContext;
-}
 
-async function switchKubectlContext(targetContext) {
-  await runStep(
-    `Switching kubectl context to ${targetContext}`,
-    async () => runShellCommand('kubectl', ['config', 'use-context', targetContext]),
-    `kubectl context set to ${targetContext}`
+  const service = await runStep(
+    `Reading service ${serviceName}`,
+    async () => {
+      const result = await runShellCommand('kubectl', [
+        'get',
+        'service',
+        serviceName,
+        '-n',
+        namespace,
+        '-o',
+        'json',
+      ]);
+      return JSON.parse(result.stdout);
+    },
+    `Found service ${serviceName}`
   );
-}
+  const detected = await runStep(
+    'Detecting ingress controllers and cert-manager',
+    async () => detectExposeOptions(namespace),
+    'Detected ingress controllers and cert-manager'
+  );
+  describeExposeOptions(detected);
 
-export function validateNamespace(value) {
-  if (value === undefined || value === null) {
-    return 'Namespace cannot be empty.';
+  let method = options.method;
+  if (!method && interactive) {
+    method = await select({
+      message: 'How should the dashboard be reached?',
+      options: [
+        {
+          label: 'Ingress (hostname, TLS and sign-in)',
+          value: 'ingress',
+          hint: detected.ingressClasses.length === 0 ? 'no IngressClass found' : undefined,
+        },
+        { label: 'LoadBalancer service (external IP, plain HTTP)', value: 'loadbalancer' },
+      ],
+      initialValue: detected.ingressClasses.length > 0 ? 'ingress' : 'loadbalancer',
+    });
+    enforceNotCancelled(method);
   }
-  const trimmed = value.trim();
-  if (!trimmed) {
-    return 'Namespace cannot be empty.';
+  if (!method) {
+    throw new UsageError(`--method: choose ${EXPOSE_METHODS.join(' or ')}.`);
   }
-  if (/\s/.test(trimmed)) {
-    return 'Namespace cannot contain spaces.';
+
+  const release = session.releases.dashboard;
+  const names = exposeNames(release);
+  let settings;
+  let manifests;
+  let stale;
+  if (method === 'ingress') {
+    settings = await resolveIngressSettings(options, detected, interactive);
+    manifests = [
+      ...(settings.auth.mode === 'basic'
+        ? [buildBasicAuthSecret({ namespace, release, ...settings.auth })]
+        : []),
+      buildDashboardIngress({
+        namespace,
+        release,
+        host: settings.host,
+        className: settings.className,
+        service: { name: serviceName, port: service.spec?.ports?.[0]?.port },
+        tls: settings.tls,
+        auth: settings.auth,
+      }),
+    ];
+    stale = [
+      `service/${names.name}`,
+      ...(settings.auth.mode === 'basic' ? [] : [`secret/${names.basicAuthSecret}`]),
+    ];
+  } else {
+    if (options.host || options.tlsSecret || options.clusterIssuer || options.issuer) {
+      throw new UsageError('--host and the TLS options only apply to --method ingress.');
+    }
+    const ranges = await resolveInput({
+      value: options.sourceRanges,
+      flag: 'source-ranges',
+      interactive,
+      fallback: '',
+      validate: validateSourceRanges,
+      prompt: {
+        message: 'Client CIDRs allowed to connect (comma-separated; empty allows everyone)',
+        placeholder: '',
+        initialValue: '',
+      },
+    });
+    settings = { sourceRanges: ranges ? ranges.split(',').map((range) => range.trim()) : [] };
+    manifests = [
+      buildLoadBalancerService({
+        namespace,
+        release,
+        service,
+        sourceRanges: settings.sourceRanges,
+      }),
+    ];
+    stale = [`ingress/${names.name}`, `secret/${names.basicAuthSecret}`];
+    console.log(
+      chalk.yellow(
+        '• A LoadBalancer serves the dashboard over plain HTTP without sign-in; ' +
+          'use --method ingress for TLS and authentication.'
+      )
+    );
   }
-  return undefined;
-}
 
-export function validateServiceName(value) {
-  if (value === undefined || value === null) {
-    return 'Service name is required.';
+  const kind = method === 'ingress' ? 'Ingress' : 'LoadBalancer service';
+  if (!yes) {
+    if (!interactive) {
+      throw new UsageError(
+        `Refusing to expose ${release} in ${namespace} through a ${kind} without confirmation. ` +
+          'Pass --yes to proceed.'
+      );
+    }
+    const target =
+      method === 'ingress' ? buildExposedUrl({ method, ...settings }) : `a ${kind}`;
+    const proceed = await confirmAction({
+      message: `Expose the dashboard in ${chalk.cyan(namespace)} through ${target}?`,
+      initialValue: true,
+    });
+    enforceNotCancelled(proceed);
+    if (!proceed) {
+      note('The dashboard was not exposed.', 'Cancelled');
+      return;
+    }
   }
-  const trimmed = value.trim();
-  if (!trimmed) {
-    return 'Service name is required.';
+
+  // The certificate cert-manager issued for an earlier Ingress is no longer used once the
+  // dashboard is served without an issuer.
+  if (!settings.tls?.issuer && settings.tls?.secretName !== names.tlsSecret) {
+    let previous = [];
+    try {
+      previous = await findDashboardExposure(namespace, release);
+    } catch {
+      previous = [];
+    }
+    if (previous.some((resource) => resourceRef(resource) === `secret/${names.tlsSecret}`)) {
+      stale.push(`secret/${names.tlsSecret}`);
+    }
   }
-  if (/\s/.test(trimmed)) {
-    return 'Service name cannot contain spaces.';
+
+  await runStep(
+    `Applying ${kind} ${names.name}`,
+    async () => {
+      const applied = await runMutatingCommand(
+        'kubectl',
+        ['apply', '-n', namespace, '-f', '-'],
+        { input: toYamlDocuments(manifests) }
+      );
+      // Switching between methods or dropping basic auth leaves the old objects behind.
+      await runMutatingCommand('kubectl', [
+        'delete',
+        ...stale,
+        '-n',
+        namespace,
+        '--ignore-not-found',
+      ]);
+      return applied;
+    },
+    `Applied ${kind} ${names.name}`
+  );
+  if (session.dryRun) {
+    showDryRunPlan();
+    return;
   }
-  return undefined;
+
+  const address = await waitForExternalAddress(
+    method === 'ingress' ? 'ingress' : 'service',
+    names.name,
+    namespace
+  );
+  const url = buildExposedUrl({ method, ...settings, address });
+  reportResult({ exposed: { method, name: names.name, url, address } });
+  showExposeSummary({ method, settings, names, namespace, url, address });
 }
 
-export function validatePort(value) {
-  const trimmed = typeof value === 'string' ? value.trim() : value;
-  const numeric = Number(trimmed);
-  if (Number.isNaN(numeric) || numeric <= 0 || numeric > 65535) {
-    return 'Enter a valid TCP port (1-65535).';
+// Which ingress controllers and cert-manager issuers the cluster offers. A list the
+// current user may not read counts as empty, so a LoadBalancer can still be offered.
+async function detectExposeOptions(namespace) {
+  const list = async (args, parse) => {
+    try {
+      const result = await runShellCommand('kubectl', ['get', ...args, '-o', 'json']);
+      return parse(result.stdout);
+    } catch {
+      return [];
+    }
+  };
+  const ingressClasses = await list(['ingressclasses'], parseIngressClasses);
+  let certManager = false;
+  try {
+    await runShellCommand('kubectl', ['get', 'crd', CERT_MANAGER_CRD]);
+    certManager = true;
+  } catch {
+    certManager = false;
   }
-  return undefined;
+  const issuers = certManager
+    ? [
+        ...(await list(['clusterissuers'], parseIssuers)),
+        ...(await list(['issuers', '-n', namespace], parseIssuers)),
+      ]
+    : [];
+  return { ingressClasses, certManager, issuers };
 }
 
-async function ensureFreshInstallAllowed(namespace) {
-  const agentExists = await helmReleaseExists(AGENT_RELEASE, namespace);
-  const dashboardExists = await helmReleaseExists(DASHBOARD_RELEASE, namespace);
+function describeExposeOptions({ ingressClasses, certManager, issuers }) {
+  const classes = ingressClasses.map((entry) =>
+    entry.isDefault ? `${entry.name} (default)` : entry.name
+  );
+  console.log(`${chalk.gray('IngressClasses:')} ${classes.join(', ') || 'none found'}`);
+  const issuerNames = issuers.map((issuer) => `${issuer.kind} ${issuer.name}`);
+  console.log(
+    `${chalk.gray('cert-manager:')}   ${
+      certManager ? `installed (${issuerNames.join(', ') || 'no issuers'})` : 'not found'
+    }`
+  );
+}
 
-  if (!agentExists && !dashboardExists) {
-    return true;
+async function resolveIngressSettings(options, detected, interactive) {
+  const { ingressClasses, certManager, issuers } = detected;
+  const classNames = ingressClasses.map((entry) => entry.name);
+  let className = options.ingressClass?.trim();
+  if (className && classNames.length > 0 && !classNames.includes(className)) {
+    throw new UsageError(
+      `--ingress-class: no IngressClass named ${className}; found ${classNames.join(', ')}.`
+    );
   }
-
+  if (!className && interactive && ingressClasses.length > 0) {
+    className = await select({
+      message: 'IngressClass to use',
+      options: ingressClasses.map((entry) => ({
+        value: entry.name,
+        label: entry.name,
+        hint: [entry.controller, entry.isDefault ? 'default' : null].filter(Boolean).join(', '),
+      })),
+      initialValue: defaultIngressClass(ingressClasses)?.name,
+    });
+    enforceNotCancelled(className);
+  }
+  className = className || defaultIngressClass(ingressClasses)?.name;
+  if (!className) {
+    throw new UsageError(
+      classNames.length === 0
+        ? '--ingress-class: no IngressClass found; install an ingress controller, ' +
+            'pass the class name, or use --method loadbalancer.'
+        : `--ingress-class: choose one of ${classNames.join(', ')}.`
+    );
+  }
+
+  const host = await resolveInput({
+    value: options.host,
+    flag: 'host',
+    interactive,
+    fallback: undefined,
+    validate: validateHostname,
+    prompt: {
+      message: 'Hostname for the dashboard',
+      placeholder: 'clustercost.example.com',
+    },
+  });
+  if (!host) {
+    throw new UsageError('--host is required with --method ingress.');
+  }
+
+  const tls = await resolveIngressTls(options, { certManager, issuers, host, interactive });
+  const auth = await resolveIngressAuth(options, interactive);
+  const ingressClass = ingressClasses.find((entry) => entry.name === className);
+  if (auth.mode !== 'none' && ingressClass && !isNginxClass(ingressClass)) {
+    console.log(
+      chalk.yellow(
+        `• Sign-in uses ingress-nginx annotations; the ${className} controller ` +
+          `(${ingressClass.controller}) may ignore them.`
+      )
+    );
+  }
+  if (auth.mode === 'none') {
+    console.log(chalk.yellow(`• Anyone who can reach ${host} can open the dashboard.`));
+  }
+  return { className, host: host.toLowerCase(), tls, auth };
+}
+
+async function resolveIngressTls(options, { certManager, issuers, host, interactive }) {
+  const named = (flag, value) => {
+    const problem = validateResourceName(value);
+    if (problem) {
+      throw new UsageError(`--${flag}: ${problem}`);
+    }
+    return value.trim();
+  };
+  let tls = null;
+  if (options.tlsSecret !== undefined) {
+    tls = { secretName: named('tls-secret', options.tlsSecret) };
+  } else if (options.clusterIssuer !== undefined) {
+    tls = {
+      issuer: { kind: 'ClusterIssuer', name: named('cluster-issuer', options.clusterIssuer) },
+    };
+  } else if (options.issuer !== undefined) {
+    tls = { issuer: { kind: 'Issuer', name: named('issuer', options.issuer) } };
+  } else if (interactive) {
+    const choice = await select({
+      message: `TLS for ${host}`,
+      options: [
+        ...issuers.map((issuer) => ({
+          value: issuer,
+          label: `Certificate from cert-manager ${issuer.kind} ${issuer.name}`,
+          hint: issuer.ready ? 'ready' : 'not ready',
+        })),
+        { value: 'secret', label: 'An existing TLS secret' },
+        { value: 'none', label: 'No TLS (plain HTTP)' },
+      ],
+      initialValue: issuers.find((issuer) => issuer.ready) || 'secret',
+    });
+    enforceNotCancelled(choice);
+    if (choice === 'secret') {
+      const secretName = await text({
+        message: 'Name of the TLS secret in the namespace',
+        validate: validateResourceName,
+      });
+      enforceNotCancelled(secretName);
+      tls = { secretName: secretName.trim() };
+    } else if (choice !== 'none') {
+      tls = { issuer: { kind: choice.kind, name: choice.name } };
+    }
+  }
+
+  if (tls?.issuer && !certManager) {
+    const flag = tls.issuer.kind === 'ClusterIssuer' ? 'cluster-issuer' : 'issuer';
+    throw new UsageError(`--${flag}: cert-manager is not installed (no ${CERT_MANAGER_CRD} CRD).`);
+  }
+  return tls;
+}
+
+async function resolveIngressAuth(options, interactive) {
+  let mode = options.auth;
+  if (!mode && options.basicAuthUser) {
+    mode = 'basic';
+  } else if (!mode && options.oauth2ProxyUrl) {
+    mode = 'oauth2-proxy';
+  }
+  if (!mode && interactive) {
+    mode = await select({
+      message: 'Who may open the dashboard?',
+      options: [
+        { label: 'Users with a password (basic auth)', value: 'basic' },
+        { label: 'Users signed in through oauth2-proxy', value: 'oauth2-proxy' },
+        { label: 'Anyone who can reach the hostname', value: 'none' },
+      ],
+      initialValue: 'basic',
+    });
+    enforceNotCancelled(mode);
+  }
+
+  if (mode === 'basic') {
+    const username = await resolveInput({
+      value: options.basicAuthUser,
+      flag: 'basic-auth-user',
+      interactive,
+      fallback: 'admin',
+      validate: (value) =>
+        value && value.trim() && !value.includes(':')
+          ? undefined
+          : 'Enter a user name without ":".',
+      prompt: { message: 'Basic auth user', placeholder: 'admin', initialValue: 'admin' },
+    });
+    let secret = process.env[BASIC_AUTH_PASSWORD_ENV_VAR] || null;
+    if (!secret && interactive) {
+      secret = await password({
+        message: `Password for ${username}`,
+        validate: (value) => (value ? undefined : 'Password cannot be empty.'),
+      });
+      enforceNotCancelled(secret);
+    }
+    if (!secret) {
+      throw new UsageError(`--auth basic: set ${BASIC_AUTH_PASSWORD_ENV_VAR} to the password.`);
+    }
+    return { mode, username, password: secret };
+  }
+  if (mode === 'oauth2-proxy') {
+    const url = await resolveInput({
+      value: options.oauth2ProxyUrl,
+      flag: 'oauth2-proxy-url',
+      interactive,
+      fallback: undefined,
+      validate: (value) =>
+        isHttpUrl((value || '').trim())
+          ? undefined
+          : 'Enter an http(s) URL, e.g. https://auth.example.com',
+      prompt: {
+        message: 'External URL of your oauth2-proxy',
+        placeholder: 'https://auth.example.com',
+      },
+    });
+    if (!url) {
+      throw new UsageError('--oauth2-proxy-url is required with --auth oauth2-proxy.');
+    }
+    return { mode, url };
+  }
+  return { mode: 'none' };
+}
+
+// Cloud load balancers take a while to get an address; the URL is printed once there is one.
+async function waitForExternalAddress(kind, name, namespace) {
+  const spinner = startSpinner(`Waiting for an external address for ${kind} ${name}`);
+  const deadline = Date.now() + EXPOSE_ADDRESS_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const result = await runShellCommand('kubectl', [
+        'get',
+        kind,
+        name,
+        '-n',
+        namespace,
+        '-o',
+        'json',
+      ]);
+      const address = readExternalAddress(JSON.parse(result.stdout));
+      if (address) {
+        spinner?.succeed(`External address: ${address}`);
+        return address;
+      }
+    } catch {
+      // Not visible yet; keep polling until the deadline.
+    }
+    await sleep(EXPOSE_ADDRESS_POLL_MS);
+  }
+  spinner?.info(`No external address for ${kind} ${name} yet`);
+  return null;
+}
+
+function showExposeSummary({ method, settings, names, namespace, url, address }) {
+  console.log('');
+  if (url) {
+    console.log(`${chalk.bold('Dashboard URL:')} ${chalk.cyan(url)}`);
+  }
+  if (method === 'ingress') {
+    console.log(
+      chalk.gray(
+        address
+          ? `Point ${settings.host} at ${address} in DNS.`
+          : 'The ingress controller has not reported an address yet; check ' +
+              `"kubectl get ingress ${names.name} -n ${namespace}".`
+      )
+    );
+    if (settings.tls?.issuer) {
+      console.log(
+        chalk.gray(
+          `cert-manager issues the certificate into the secret ${names.tlsSecret}; ` +
+            'HTTPS works once it is ready.'
+        )
+      );
+    }
+  } else if (!url) {
+    console.log(
+      chalk.yellow(
+        `No external address yet; run "kubectl get service ${names.name} -n ${namespace} -w" ` +
+          'and open http://<EXTERNAL-IP>.'
+      )
+    );
+  }
+  console.log(chalk.gray('Run "clustercost unexpose" to remove it.\n'));
+}
+
+async function handleUnexposeFlow(options = {}) {
+  const { interactive = true, yes = false } = options;
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace containing the dashboard',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+  useInstallIn(namespace);
+  const release = session.releases.dashboard;
+
+  const resources = await runStep(
+    'Looking for the objects that expose the dashboard',
+    async () => findDashboardExposure(namespace, release),
+    'Looked for the objects that expose the dashboard'
+  );
+  if (resources.length === 0) {
+    console.log(chalk.gray(`${release} in ${namespace} is not exposed; nothing to remove.\n`));
+    reportResult({ removed: [] });
+    return;
+  }
+  resources.forEach((resource) => console.log(`  ${resourceRef(resource)}`));
+  const objects = `${resources.length} object${resources.length === 1 ? '' : 's'}`;
+
+  if (!yes) {
+    if (!interactive) {
+      throw new UsageError(
+        `Refusing to stop exposing ${release} without confirmation. Pass --yes to proceed.`
+      );
+    }
+    const proceed = await confirmAction({
+      message: `Remove ${objects} and stop exposing the dashboard?`,
+      initialValue: false,
+    });
+    enforceNotCancelled(proceed);
+    if (!proceed) {
+      note('Nothing was removed.', 'Cancelled');
+      return;
+    }
+  }
+
+  await removeDashboardExposure(namespace, resources);
+  reportResult({ removed: resources.map(resourceRef) });
+  if (session.dryRun) {
+    showDryRunPlan();
+  }
+}
+
+async function findDashboardExposure(namespace, release) {
+  const result = await runShellCommand('kubectl', [
+    'get',
+    EXPOSE_KINDS.join(','),
+    '-n',
+    namespace,
+    '-l',
+    exposeSelector(release),
+    '-o',
+    'json',
+  ]);
+  return listExposureResources(result.stdout, release);
+}
+
+async function removeDashboardExposure(namespace, resources) {
+  const objects = `${resources.length} object${resources.length === 1 ? '' : 's'}`;
+  await runStep(
+    `Removing ${objects} exposing the dashboard`,
+    async () =>
+      runMutatingCommand('kubectl', [
+        'delete',
+        ...resources.map(resourceRef),
+        '-n',
+        namespace,
+        '--ignore-not-found',
+      ]),
+    'The dashboard is no longer exposed'
+  );
+}
+
+async function handleWatchFlow(options = {}) {
+  const { once = false } = options;
+  if (session.output === 'json' && !once) {
+    throw new UsageError('--output json needs --once; the live view is only for terminals.');
+  }
+  const interval = options.interval ?? DEFAULT_WATCH_INTERVAL;
+  if (validateDuration(interval)) {
+    throw new UsageError(`--interval: ${validateDuration(interval)}`);
+  }
+  const namespace = options.namespace?.trim() || resolveDefaultNamespace();
+  if (validateNamespace(namespace)) {
+    throw new UsageError(`--namespace: ${validateNamespace(namespace)}`);
+  }
+
+  if (once) {
+    const snapshot = await collectWatchSnapshot(namespace);
+    const healthy = isSnapshotHealthy(snapshot);
+    formatWatchScreen(snapshot).forEach((line) => console.log(line));
+    reportResult({
+      namespace,
+      releases: snapshot.releases,
+      pods: snapshot.pods,
+      metrics: snapshot.metrics,
+      healthy,
+    });
+    if (!healthy) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  await watchInstallStatus(namespace, parseDuration(interval) * 1000, interval);
+}
+
+// One refresh of the status screen. Helm releases are read again every time, so an
+// upgrade or rollback running elsewhere shows up as a new revision.
+async function collectWatchSnapshot(namespace) {
+  installState = await detectInstallState();
+  const install = useInstallIn(namespace);
+  const releases = { agent: install?.agent || null, dashboard: install?.dashboard || null };
+  const selector = `${INSTANCE_LABEL} in (${session.releases.agent},${session.releases.dashboard})`;
+
+  let items = [];
+  try {
+    const { stdout } = await runShellCommand('kubectl', [
+      'get',
+      'pods',
+      '-n',
+      namespace,
+      '-l',
+      selector,
+      '-o',
+      'json',
+    ]);
+    items = stdout ? JSON.parse(stdout).items || [] : [];
+  } catch (error) {
+    throw new StepError(`List ClusterCost pods in ${namespace}`, error);
+  }
+
+  // metrics-server is optional; without it the CPU and memory columns stay empty.
+  let metrics = null;
+  try {
+    const { stdout } = await runShellCommand('kubectl', [
+      'top',
+      'pods',
+      '-n',
+      namespace,
+      '-l',
+      selector,
+      '--no-headers',
+    ]);
+    metrics = parsePodMetrics(stdout);
+  } catch {
+    metrics = null;
+  }
+
+  const takenAt = new Date();
+  return {
+    namespace,
+    context: session.kube.context || session.context,
+    releases,
+    pods: items
+      .map((pod) => summarizePod(pod, INSTANCE_LABEL, takenAt.getTime()))
+      .sort((a, b) => a.release.localeCompare(b.release) || a.name.localeCompare(b.name)),
+    metrics,
+    takenAt,
+  };
+}
+
+// Redraws the status screen every `intervalMs` until q, Ctrl+C or SIGTERM. Only the first
+// refresh is written to the audit log; the rest would repeat the same read-only commands.
+async function watchInstallStatus(namespace, intervalMs, interval) {
+  const { stdin } = process;
+  const keys = Boolean(stdin.isTTY && stdin.setRawMode);
+  const footer = `Refreshing every ${interval} · ${keys ? 'press q' : 'Ctrl+C'} to quit`;
+
+  let stopped = false;
+  let wake = null;
+  const stop = () => {
+    stopped = true;
+    wake?.();
+  };
+  const onKey = (data) => {
+    if (['q', 'Q', '\u0003', '\u001b'].includes(data.toString())) {
+      stop();
+    }
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  if (keys) {
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onKey);
+  }
+
+  try {
+    let refreshes = 0;
+    while (!stopped) {
+      let lines;
+      try {
+        lines = formatWatchScreen({ ...(await collectWatchSnapshot(namespace)), footer });
+      } catch (error) {
+        const reason = error.commandError?.stderr || error.message;
+        lines = [
+          chalk.red(`✖ ${error.step || 'Refresh failed'}: ${reason}`),
+          '',
+          chalk.gray(footer),
+        ];
+      }
+      refreshes += 1;
+      session.audit.paused = true;
+      if (stopped) {
+        break;
+      }
+      if (session.terminal.plain) {
+        console.log(refreshes > 1 ? `\n${lines.join('\n')}` : lines.join('\n'));
+      } else {
+        process.stdout.write(`\x1b[2J\x1b[H${lines.join('\n')}\n`);
+      }
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, intervalMs);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  } finally {
+    session.audit.paused = false;
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+    if (keys) {
+      stdin.off('data', onKey);
+      stdin.setRawMode(false);
+      stdin.pause();
+    }
+  }
+}
+
+async function handleLogsFlow(options = {}) {
+  const { interactive = true } = options;
+  const component = options.component || 'all';
+  if (component !== 'all' && !LOG_COMPONENTS.includes(component)) {
+    throw new UsageError(`--component: use one of ${LOG_COMPONENTS.join(', ')} or all.`);
+  }
+  [
+    ['since', options.since, validateDuration],
+    ['tail', options.tail, validateTail],
+    ['grep', options.grep, validateLogFilter],
+  ].forEach(([flag, value, validate]) => {
+    if (value !== undefined && validate(value)) {
+      throw new UsageError(`--${flag}: ${validate(value)}`);
+    }
+  });
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace where ClusterCost is installed',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+  useInstallIn(namespace);
+
+  let components = component === 'all' ? LOG_COMPONENTS : [component];
+  if (interactive && options.component === undefined) {
+    const choice = await select({
+      message: 'Whose logs should be streamed?',
+      options: [
+        { value: 'all', label: 'Agent and dashboard' },
+        { value: 'agent', label: `Agent (${session.releases.agent})` },
+        { value: 'dashboard', label: `Dashboard (${session.releases.dashboard})` },
+      ],
+      initialValue: 'all',
+    });
+    enforceNotCancelled(choice);
+    components = choice === 'all' ? LOG_COMPONENTS : [choice];
+  }
+
+  const releases = components.map((name) => session.releases[name]);
+  const selector = `${INSTANCE_LABEL} in (${releases.join(',')})`;
+  const pods = await runStep(
+    `Finding ${components.join(' and ')} pods in ${namespace}`,
+    async () => {
+      const { stdout } = await runShellCommand('kubectl', [
+        'get',
+        'pods',
+        '-n',
+        namespace,
+        '-l',
+        selector,
+        '-o',
+        'json',
+      ]);
+      return selectLogPods(stdout ? JSON.parse(stdout).items : [], releases, INSTANCE_LABEL);
+    },
+    'Pods found'
+  );
+  if (pods.length === 0) {
+    throw new UsageError(
+      `No pods of ${releases.join(' or ')} found in ${namespace}. Check the namespace or run ` +
+        '"clustercost status".'
+    );
+  }
+
+  const follow = !options.noFollow && !options.previous;
+  const tail = options.tail ?? (options.since ? -1 : DEFAULT_LOG_TAIL);
+  console.log(
+    chalk.gray(
+      `• ${pods.length} pod${pods.length === 1 ? '' : 's'}: ${pods
+        .map((pod) => pod.name)
+        .join(', ')}${follow ? ' · Ctrl+C to stop' : ''}\n`
+    )
+  );
+  await streamPodLogs(
+    buildLogsArgs({
+      namespace,
+      selector,
+      pods,
+      follow,
+      since: options.since,
+      tail,
+      previous: options.previous,
+    }),
+    {
+      prefix: createLogPrefixer(pods),
+      filter: buildLogFilter(options.grep, { ignoreCase: options.ignoreCase }),
+      pretty: Boolean(options.pretty),
+    }
+  );
+}
+
+// Prints "kubectl logs" line by line with the pod prefix until it ends or Ctrl+C stops it.
+// Lines go to stdout unbuffered, so the output can be piped into other tools.
+async function streamPodLogs(commandArgs, { prefix, filter, pretty }) {
+  const args = withKubeTarget('kubectl', commandArgs, session.kube);
+  const startedAt = new Date();
+  const child = spawn('kubectl', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stopping = false;
+  let stderr = '';
+
+  const onSignal = () => {
+    stopping = true;
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+    }
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  process.on('exit', onSignal);
+
+  const lines = createInterface({ input: child.stdout, crlfDelay: Infinity });
+  lines.on('line', (line) => {
+    const { pod, container, message } = parseLogLine(line);
+    if (filter.test(message)) {
+      console.log(`${prefix(pod, container)}${pretty ? prettyPrintJsonLog(message) : message}`);
+    }
+  });
+  child.stderr.on('data', (data) => {
+    const text = data.toString();
+    stderr += text;
+    process.stderr.write(chalk.yellow(text));
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      child.on('error', (error) => reject(new StepError('Stream pod logs', error)));
+      child.on('close', async (code, signal) => {
+        await recordAudit('kubectl', args, { startedAt, exitCode: code, signal, stderr });
+        if (code === 0 || stopping) {
+          resolve();
+          return;
+        }
+        // stderr was already printed as it arrived.
+        const error = new Error('kubectl logs exited with an error');
+        error.command = `kubectl ${args.join(' ')}`;
+        reject(new StepError('Stream pod logs', error));
+      });
+    });
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    process.off('exit', onSignal);
+  }
+  if (stopping) {
+    console.log(chalk.dim('\nStopped streaming logs.'));
+  }
+}
+
+async function handleUninstallFlow(options = {}) {
+  const { interactive = true, yes = false } = options;
+  if (!interactive) {
+    requireUnambiguousInstall(options, 'remove');
+  }
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace where ClusterCost is installed',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+  useInstallIn(namespace);
+
+  if (!yes) {
+    if (!interactive) {
+      throw new UsageError(
+        `Refusing to remove ClusterCost from ${namespace} without confirmation. Pass --yes to proceed.`
+      );
+    }
+
+    const confirmRemoval = await confirmAction({
+      message: `Remove ${session.releases.agent} and ${session.releases.dashboard} from ${chalk.cyan(
+        namespace
+      )}?`,
+      initialValue: false,
+    });
+    enforceNotCancelled(confirmRemoval);
+    if (!confirmRemoval) {
+      note('ClusterCost removal cancelled.', 'Cancelled');
+      return;
+    }
+  }
+
+  const removed = [];
+  const skipped = [];
+  for (const [release, label] of [
+    [session.releases.agent, 'ClusterCost agent'],
+    [session.releases.dashboard, 'ClusterCost dashboard'],
+  ]) {
+    if (await uninstallRelease(release, namespace, label)) {
+      removed.push(release);
+    } else {
+      skipped.push(release);
+    }
+  }
+  reportResult({ namespace, removed, skipped });
+
+  // An Ingress or LoadBalancer from "expose" would be left pointing at nothing.
+  if (removed.includes(session.releases.dashboard)) {
+    let exposure = [];
+    try {
+      exposure = await findDashboardExposure(namespace, session.releases.dashboard);
+    } catch {
+      exposure = [];
+    }
+    if (exposure.length > 0) {
+      await removeDashboardExposure(namespace, exposure);
+    }
+  }
+
+  let purge = Boolean(options.purge);
+  if (interactive && !purge) {
+    purge = await confirmAction({
+      message: 'Look for leftovers (PVCs, cluster-wide RBAC and CRDs, the namespace)?',
+      initialValue: false,
+    });
+    enforceNotCancelled(purge);
+  }
+  if (purge) {
+    await purgeLeftovers(namespace, { interactive });
+  }
+
+  if (session.dryRun) {
+    showDryRunPlan();
+    return;
+  }
+
+  console.log(chalk.greenBright('\n✔ ClusterCost removed.'));
+  console.log(
+    chalk.gray('You can reinstall anytime via "Install ClusterCost (agent + dashboard)".\n')
+  );
+  installState = await detectInstallState();
+}
+
+async function handleRollbackFlow(options = {}) {
+  const { interactive = true, yes = false } = options;
+  if (options.timeout !== undefined && validateDuration(options.timeout)) {
+    throw new UsageError(`--timeout: ${validateDuration(options.timeout)}`);
+  }
+  const component = options.component || 'all';
+  if (component !== 'all' && !ROLLBACK_COMPONENTS.includes(component)) {
+    throw new UsageError(`--component: use one of ${ROLLBACK_COMPONENTS.join(', ')} or all.`);
+  }
+  const selected = component === 'all' ? ROLLBACK_COMPONENTS : [component];
+  const targets = parseRevisionTargets(options.revision, selected);
+  if (!interactive && Object.keys(targets).length === 0) {
+    throw new UsageError(
+      '--revision is required; run "helm history" or the interactive menu to list revisions.'
+    );
+  }
+  const components = interactive
+    ? selected
+    : selected.filter((name) => targets[name] !== undefined);
+  if (!interactive) {
+    requireUnambiguousInstall(options, 'roll back');
+  }
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace where ClusterCost is installed',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+  useInstallIn(namespace);
+
+  const releases = [];
+  for (const name of components) {
+    const release = session.releases[name];
+    const label = `ClusterCost ${name}`;
+    if (!(await helmReleaseExists(release, namespace))) {
+      if (targets[name]) {
+        throw new Error(`${label} (${release}) is not installed in ${namespace}.`);
+      }
+      console.log(chalk.gray(`• ${label} not found in ${namespace}, skipping.`));
+      continue;
+    }
+    const history = await runStep(
+      `Reading Helm history of ${release}`,
+      async () =>
+        parseHelmHistory(
+          (await runShellCommand('helm', ['history', release, '-n', namespace, '-o', 'json']))
+            .stdout
+        ),
+      `Read Helm history of ${release}`
+    );
+    releases.push({ name, release, label, history });
+  }
+  if (releases.length === 0) {
+    throw new Error(`No ClusterCost releases found in ${namespace}.`);
+  }
+
+  releases.forEach(({ label, release, history }) => {
+    console.log(chalk.bold(`\n• ${label}`) + chalk.gray(` (${release}, * = current)`));
+    formatHistoryTable(history).forEach((line) => console.log(line));
+  });
+  console.log();
+
+  const plan = [];
+  for (const entry of releases) {
+    const current = currentRevision(entry.history);
+    let revision = targets[entry.name];
+
+    if (revision === undefined && interactive) {
+      const candidates = rollbackCandidates(entry.history);
+      if (candidates.length === 0) {
+        console.log(chalk.gray(`• ${entry.label} has no earlier revision to roll back to.`));
+        continue;
+      }
+      revision = await select({
+        message: `Roll ${entry.label} back to`,
+        options: [
+          ...candidates.map((candidate) => ({
+            value: candidate.revision,
+            label: `Revision ${candidate.revision}`,
+            hint: [
+              candidate.chartVersion && `chart ${candidate.chartVersion}`,
+              candidate.appVersion && `app ${candidate.appVersion}`,
+              candidate.status,
+              formatUpdated(candidate.updated),
+            ]
+              .filter(Boolean)
+              .join(' · '),
+          })),
+          { value: null, label: `Keep the current revision (${current})` },
+        ],
+        initialValue: candidates[0].revision,
+      });
+      enforceNotCancelled(revision);
+    }
+    if (!revision) {
+      continue;
+    }
+
+    if (!entry.history.some((item) => item.revision === revision)) {
+      throw new UsageError(
+        `--revision: ${entry.release} has no revision ${revision} (available: ${entry.history
+          .map((item) => item.revision)
+          .reverse()
+          .join(', ')}).`
+      );
+    }
+    if (revision === current) {
+      console.log(
+        chalk.yellow(
+          `• ${entry.label} already runs revision ${revision}; it is re-applied as a new revision.`
+        )
+      );
+    }
+    plan.push({ ...entry, revision });
+  }
+
+  if (plan.length === 0) {
+    note('Nothing to roll back.', 'Rollback');
+    return;
+  }
+
+  const summary = plan
+    .map(({ label, revision }) => `${label} → revision ${revision}`)
+    .join(', ');
+  if (!yes) {
+    if (!interactive) {
+      throw new UsageError(
+        `Refusing to roll back ClusterCost in ${namespace} without confirmation. Pass --yes to proceed.`
+      );
+    }
+    const proceed = await confirmAction({ message: `Roll back ${summary}?`, initialValue: true });
+    enforceNotCancelled(proceed);
+    if (!proceed) {
+      note('Rollback cancelled.', 'Cancelled');
+      return;
+    }
+  }
+
+  for (const { label, release, revision } of plan) {
+    await runStep(
+      `Rolling back ${label} to revision ${revision}`,
+      async () =>
+        runMutatingCommand('helm', ['rollback', release, String(revision), '-n', namespace]),
+      `${label} rolled back to revision ${revision}`
+    );
+  }
+
+  if (session.dryRun) {
+    showDryRunPlan();
+    return;
+  }
+
+  installState = await detectInstallState();
+  const ready = options.skipVerify
+    ? null
+    : await verifyInstallReadiness(namespace, options.timeout || DEFAULT_ROLLOUT_TIMEOUT);
+  if (ready === false) {
+    console.log(chalk.red('\n✖ Rolled back, but not every component is ready.\n'));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(chalk.greenBright(`\n✔ Rolled back ${summary}.\n`));
+}
+
+async function purgeLeftovers(namespace, { interactive }) {
+  const releases = [session.releases.agent, session.releases.dashboard];
+  const leftovers = await runStep(
+    'Looking for leftover resources',
+    async () => findLeftovers(namespace, releases),
+    'Leftover scan finished'
+  );
+
+  console.log(chalk.bold('\n• Leftover resources'));
+  formatLeftovers(leftovers).forEach((line) => console.log(line));
+  if (leftovers.sharedChecked === false) {
+    console.log(chalk.gray('CRDs shared with other ClusterCost installs were not checked.'));
+  }
+  console.log();
+
+  const removed = [];
+  const kept = [];
+  // Without a terminal the uninstall already required --yes, and --purge asked for this.
+  const approve = async (message, initialValue) => {
+    if (!interactive) {
+      return true;
+    }
+    const answer = await confirmAction({ message, initialValue });
+    enforceNotCancelled(answer);
+    return answer;
+  };
+  const remove = async (items, question, initialValue, label, args) => {
+    const refs = items.map(resourceRef);
+    if (items.length === 0) {
+      return;
+    }
+    if (!(await approve(question, initialValue))) {
+      kept.push(...refs.map((item) => ({ item, reason: 'declined' })));
+      return;
+    }
+    await runStep(
+      `Deleting ${label}`,
+      async () => runMutatingCommand('kubectl', ['delete', ...args, '--ignore-not-found']),
+      `Deleted ${label}`
+    );
+    removed.push(...refs);
+  };
+
+  await remove(
+    leftovers.pvcs,
+    `Delete ${leftovers.pvcs.length} PVC(s) in ${namespace}? Their data cannot be recovered.`,
+    false,
+    `PVCs in ${namespace}`,
+    [...leftovers.pvcs.map(resourceRef), '-n', namespace]
+  );
+  await remove(
+    leftovers.clusterObjects,
+    `Delete ${leftovers.clusterObjects.length} cluster-scoped object(s) labelled for ClusterCost?`,
+    true,
+    'cluster-scoped objects',
+    leftovers.clusterObjects.map(resourceRef)
+  );
+
+  const ns = leftovers.namespace;
+  if (ns) {
+    const ref = `namespace/${ns.name}`;
+    let deleteNamespace = ns.safe;
+    if (ns.protected) {
+      deleteNamespace = false;
+    } else if (interactive) {
+      deleteNamespace = await approve(
+        `Delete namespace ${chalk.cyan(ns.name)}?${ns.safe ? '' : ` It is ${ns.reason}.`}`,
+        ns.safe
+      );
+    }
+    if (deleteNamespace) {
+      await runStep(
+        `Deleting namespace ${ns.name}`,
+        async () => runMutatingCommand('kubectl', ['delete', 'namespace', ns.name, '--wait=false']),
+        `Namespace ${ns.name} is being deleted`
+      );
+      removed.push(ref);
+    } else {
+      kept.push({ item: ref, reason: ns.safe ? 'declined' : ns.reason });
+    }
+  }
+
+  reportResult({ purge: { removed, kept } });
+  console.log(chalk.bold(`\n• Purge summary${session.dryRun ? ' (planned)' : ''}`));
+  formatPurgeSummary(removed, kept).forEach((line) => console.log(line));
+}
+
+async function findLeftovers(namespace, releases) {
+  const list = async (args) =>
+    parseResourceList((await runShellCommand('kubectl', [...args, '-o', 'json'])).stdout);
+  const selectors = leftoverSelectors(releases);
+  // Chart-name labels are shared, so only look them up when no other install needs them.
+  const sharedChecked = !installState.installs.some(
+    (install) =>
+      install.namespace !== namespace ||
+      !releases.includes(install.agent?.release || install.dashboard?.release)
+  );
+
+  const clusterObjects = uniqueResources([
+    ...(await list(['get', CLUSTER_SCOPED_KINDS.join(','), '-l', selectors.release])),
+    ...(sharedChecked
+      ? await list(['get', 'customresourcedefinitions', '-l', selectors.chart])
+      : []),
+  ]);
+
+  let namespaceInfo = null;
+  try {
+    const result = await runShellCommand('kubectl', ['get', 'namespace', namespace, '-o', 'json']);
+    const metadata = JSON.parse(result.stdout).metadata || {};
+    namespaceInfo = { name: namespace, labels: metadata.labels || {} };
+  } catch {
+    return { namespace: null, pvcs: [], clusterObjects, sharedChecked };
+  }
+
+  const remaining = await list(['get', 'all,pvc', '-n', namespace]);
+  const otherReleases = installState.installs
+    .flatMap((install) => [install.agent?.release, install.dashboard?.release])
+    .filter((release) => release && !releases.includes(release));
+  return {
+    namespace: assessNamespace(namespaceInfo, remaining, releases, otherReleases),
+    pvcs: remaining.filter(
+      (resource) =>
+        resource.kind === 'PersistentVolumeClaim' &&
+        belongsToReleases(resource, releases, otherReleases)
+    ),
+    clusterObjects,
+    sharedChecked,
+  };
+}
+
+async function uninstallRelease(release, namespace, label) {
+  const exists = await helmReleaseExists(release, namespace);
+  if (!exists) {
+    console.log(chalk.gray(`• ${label} not found in ${namespace}, skipping.`));
+    return false;
+  }
+
+  await runStep(
+    `Uninstalling ${label}`,
+    async () => runMutatingCommand('helm', ['uninstall', release, '-n', namespace]),
+    `${label} removed`
+  );
+  return true;
+}
+
+async function handleReportFlow(options = {}) {
+  const { interactive = true } = options;
+
+  const groups = (options.by || COST_GROUPS)
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const unknownGroup = groups.find((group) => !COST_GROUPS.includes(group));
+  if (unknownGroup || groups.length === 0) {
+    throw new UsageError(`--by: use one or more of ${COST_GROUPS.join(', ')}.`);
+  }
+
+  const sortBy = options.sort || 'cost';
+  if (!REPORT_SORT_KEYS.includes(sortBy)) {
+    throw new UsageError(`--sort: use one of ${REPORT_SORT_KEYS.join(', ')}.`);
+  }
+
+  const top = options.top === undefined ? DEFAULT_REPORT_TOP : Number(options.top);
+  if (!Number.isInteger(top) || top <= 0) {
+    throw new UsageError('--top: use a positive whole number.');
+  }
+
+  let window = options.window || DEFAULT_REPORT_WINDOW;
+  if (validateWindow(window)) {
+    throw new UsageError(`--window: ${validateWindow(window)}`);
+  }
+  if (interactive && !options.window) {
+    window = await select({
+      message: 'Time window',
+      options: [
+        { label: 'Last hour', value: '1h' },
+        { label: 'Last 24 hours', value: '24h' },
+        { label: 'Last 7 days', value: '7d' },
+        { label: 'Last 30 days', value: '30d' },
+      ],
+      initialValue: DEFAULT_REPORT_WINDOW,
+    });
+    enforceNotCancelled(window);
+  }
+
+  const breakdowns = await withAgentApi(options, async (baseUrl) => {
+    const results = [];
+    for (const groupBy of groups) {
+      results.push(
+        await runStep(
+          `Fetching costs by ${groupBy}`,
+          async () => fetchCostBreakdown(baseUrl, { groupBy, window }),
+          `Fetched costs by ${groupBy}`
+        )
+      );
+    }
+    return results;
+  });
+
+  console.log(chalk.bold(`\n• Cost report`) + chalk.gray(` (window: ${window})`));
+  breakdowns.forEach((breakdown) => {
+    console.log(chalk.cyan(`\nBy ${breakdown.groupBy}`));
+    formatCostTable(breakdown, { sortBy, top }).forEach((line) => console.log(line));
+  });
+  console.log();
+}
+
+async function handleExportFlow(options = {}) {
+  const { interactive = true } = options;
+
+  let groupBy = options.groupBy || (options.label !== undefined ? 'label' : undefined);
+  if (groupBy !== undefined && !EXPORT_GROUPS.includes(groupBy)) {
+    throw new UsageError(`--group-by: use one of ${EXPORT_GROUPS.join(', ')}.`);
+  }
+  if (groupBy === undefined && interactive) {
+    groupBy = await select({
+      message: 'Group costs by',
+      options: [
+        { label: 'Namespace', value: 'namespace' },
+        { label: 'Label (e.g. team)', value: 'label' },
+        { label: 'Workload', value: 'workload' },
+      ],
+      initialValue: 'namespace',
+    });
+    enforceNotCancelled(groupBy);
+  }
+  groupBy = groupBy || 'namespace';
+
+  if (options.label !== undefined && groupBy !== 'label') {
+    throw new UsageError('--label can only be used with --group-by label.');
+  }
+  const label =
+    groupBy === 'label'
+      ? await resolveInput({
+          value: options.label,
+          flag: 'label',
+          interactive,
+          fallback: null,
+          validate: validateLabelKey,
+          prompt: { message: 'Label key to group by', placeholder: 'team' },
+        })
+      : null;
+  if (groupBy === 'label' && !label) {
+    throw new UsageError('--label: required when grouping by label.');
+  }
+
+  ['from', 'to'].forEach((flag) => {
+    if (options[flag] !== undefined && validateDateInput(options[flag])) {
+      throw new UsageError(`--${flag}: ${validateDateInput(options[flag])}`);
+    }
+  });
+  const dates = { from: options.from, to: options.to };
+  if (interactive && options.from === undefined && options.to === undefined) {
+    const preset = await select({
+      message: 'Date range',
+      options: [
+        { label: 'Last 7 days', value: 7 },
+        { label: 'Last 30 days', value: 30 },
+        { label: 'Custom range', value: 'custom' },
+      ],
+      initialValue: 7,
+    });
+    enforceNotCancelled(preset);
+    if (preset === 'custom') {
+      const from = await text({
+        message: 'First day (YYYY-MM-DD)',
+        placeholder: '2024-05-01',
+        validate: validateDateInput,
+      });
+      enforceNotCancelled(from);
+      const to = await text({
+        message: 'Last day (YYYY-MM-DD)',
+        placeholder: new Date().toISOString().slice(0, 10),
+        initialValue: new Date().toISOString().slice(0, 10),
+        validate: validateDateInput,
+      });
+      enforceNotCancelled(to);
+      Object.assign(dates, { from: from.trim(), to: to.trim() });
+    } else {
+      dates.days = preset;
+    }
+  }
+  const range = resolveDateRange(dates);
+  if (range.error) {
+    throw new UsageError(`--from/--to: ${range.error}`);
+  }
+
+  if (options.format !== undefined && !EXPORT_FORMATS.includes(options.format)) {
+    throw new UsageError(`--format: use one of ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  let format = options.format || inferExportFormat(options.output);
+  if (!format && interactive) {
+    format = await select({
+      message: 'Export format',
+      options: [
+        { label: 'CSV (spreadsheets)', value: 'csv' },
+        { label: 'JSON (scripts)', value: 'json' },
+        { label: 'Markdown table (PRs, wikis)', value: 'markdown' },
+      ],
+      initialValue: 'csv',
+    });
+    enforceNotCancelled(format);
+  }
+  format = format || 'csv';
+
+  const defaultPath = defaultExportFileName({ groupBy, labelKey: label, ...range }, format);
+  const outputPath = await resolveInput({
+    value: options.output,
+    flag: 'output',
+    interactive,
+    fallback: defaultPath,
+    validate: (value) => (value && value.trim() ? undefined : 'Output path cannot be empty.'),
+    prompt: { message: 'Write the export to', placeholder: defaultPath, initialValue: defaultPath },
+  });
+
+  if (interactive && (await fileReadable(outputPath))) {
+    const overwrite = await confirmAction({
+      message: `${outputPath} already exists. Overwrite it?`,
+      initialValue: false,
+    });
+    enforceNotCancelled(overwrite);
+    if (!overwrite) {
+      console.log(chalk.gray('Export skipped.'));
+      return;
+    }
+  }
+
+  const breakdown = await withAgentApi(options, async (baseUrl) =>
+    runStep(
+      `Fetching costs by ${label ? `label ${label}` : groupBy}`,
+      async () =>
+        fetchCostBreakdown(baseUrl, { groupBy, label, start: range.start, end: range.end }),
+      `Fetched costs by ${label ? `label ${label}` : groupBy}`
+    )
+  );
+
+  const document = buildExportDocument(breakdown, { label, ...range });
+
+  await runStep(
+    `Writing ${outputPath}`,
+    async () => writeFile(outputPath, renderExport(document, format)),
+    `Exported ${document.items.length} rows to ${outputPath}`
+  );
+}
+
+async function withAgentApi(options, fn) {
+  if (options.agentUrl) {
+    if (!isHttpUrl(options.agentUrl)) {
+      throw new UsageError('--agent-url: use an http(s) URL, e.g. http://localhost:8080');
+    }
+    return fn(options.agentUrl);
+  }
+
+  if (options.namespace !== undefined && validateNamespace(options.namespace)) {
+    throw new UsageError(`--namespace: ${validateNamespace(options.namespace)}`);
+  }
+  const namespace = options.namespace?.trim() || installState.agent?.namespace;
+  if (!namespace) {
+    throw new Error(
+      'ClusterCost agent not found. Install it first, or pass --namespace or --agent-url.'
+    );
+  }
+  useInstallIn(namespace);
+
+  const tunnel = await runStep(
+    `Opening a tunnel to the agent in ${namespace}`,
+    async () =>
+      openTemporaryTunnel(
+        namespace,
+        `svc/${buildAgentServiceHost(session.releases.agent)}`,
+        AGENT_SERVICE_PORT
+      ),
+    'Agent tunnel open'
+  );
+
+  try {
+    return await fn(`http://127.0.0.1:${tunnel.port}`);
+  } finally {
+    await tunnel.close();
+  }
+}
+
+function openTemporaryTunnel(namespace, target, remotePort) {
+  const args = withKubeTarget(
+    'kubectl',
+    ['port-forward', '-n', namespace, target, `:${remotePort}`],
+    session.kube
+  );
+
+  return new Promise((resolve, reject) => {
+    const startedAt = new Date();
+    const child = spawn('kubectl', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    let settled = false;
+
+    const killChild = () => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGTERM');
+      }
+    };
+    const closed = new Promise((resolveClose) => {
+      child.on('close', (code, signal) => {
+        process.off('exit', killChild);
+        recordAudit('kubectl', args, { startedAt, exitCode: code, signal, stderr: output });
+        resolveClose();
+      });
+    });
+    process.on('exit', killChild);
+
+    const fail = (message) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      killChild();
+      const error = new Error(message);
+      error.command = `kubectl ${args.join(' ')}`;
+      error.stderr = output.trim();
+      reject(error);
+    };
+
+    const timer = setTimeout(
+      () => fail('Timed out waiting for kubectl port-forward'),
+      AGENT_TUNNEL_TIMEOUT_MS
+    );
+
+    const onData = (data) => {
+      output += data.toString();
+      const match = /Forwarding from 127\.0\.0\.1:(\d+)/.exec(output);
+      if (match && !settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve({
+          port: Number(match[1]),
+          close: async () => {
+            killChild();
+            await closed;
+          },
+        });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('error', (error) => fail(error.message));
+    child.on('close', () => fail('kubectl port-forward exited early'));
+  });
+}
+
+async function handleDoctorFlow(options = {}) {
+  const { interactive = true } = options;
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace to check',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+
+  const results = await runPreflight(namespace, options);
+  console.log(chalk.bold(`\n• Preflight checks (ns: ${namespace})`));
+  formatCheckLines(results).forEach((line) => console.log(line));
+
+  const summary = summarizeChecks(results);
+  console.log(
+    chalk.gray(`\n${summary.pass} passed · ${summary.warn} warning(s) · ${summary.fail} failed\n`)
+  );
+  if (summary.fail > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function preflightAllowsInstall(namespace, interactive, options) {
+  const results = await runPreflight(namespace, options);
+  const summary = summarizeChecks(results);
+  const problems = results.filter((result) => result.status !== 'pass');
+
+  if (problems.length === 0) {
+    console.log(chalk.gray(`• All ${summary.pass} preflight checks passed.`));
+    return true;
+  }
+
+  formatCheckLines(problems).forEach((line) => console.log(line));
+  if (summary.fail === 0) {
+    return true;
+  }
+
+  if (!interactive) {
+    throw new Error(
+      `${summary.fail} preflight check(s) failed. Fix the issues above or pass --skip-preflight.`
+    );
+  }
+
+  const continueAnyway = await confirmAction({
+    message: `${summary.fail} preflight check(s) failed. Continue with the install anyway?`,
+    initialValue: false,
+  });
+  enforceNotCancelled(continueAnyway);
+  if (!continueAnyway) {
+    note('Install cancelled; nothing was changed.', 'Preflight');
+  }
+  return continueAnyway;
+}
+
+async function runPreflight(namespace, options = {}) {
+  return runStep(
+    'Running preflight checks',
+    async () =>
+      runPreflightChecks(runShellCommand, {
+        namespace,
+        needs: chartQuotaNeeds(await readChartResources(options)),
+        existing: await readInstalledQuotaUsage(namespace),
+      }),
+    'Preflight checks finished'
+  );
+}
+
+// On an upgrade, what the running ClusterCost pods hold of the namespace quota; the new
+// pods replace them. Null for a fresh install.
+async function readInstalledQuotaUsage(namespace) {
+  const releases = [session.releases.agent, session.releases.dashboard];
+  const installed = installState.installs.some(
+    (install) =>
+      install.namespace === namespace &&
+      [install.agent?.release, install.dashboard?.release].some((release) =>
+        releases.includes(release)
+      )
+  );
+  if (!installed) {
+    return null;
+  }
+  try {
+    const selector = `${INSTANCE_LABEL} in (${releases.join(',')})`;
+    const { stdout } = await runShellCommand('kubectl', [
+      'get',
+      'pods',
+      '-n',
+      namespace,
+      '-l',
+      selector,
+      '-o',
+      'json',
+    ]);
+    return podQuotaUsage(stdout ? JSON.parse(stdout).items : []);
+  } catch {
+    return podQuotaUsage([]);
+  }
+}
+
+// The "resources" value each chart installs with, for the quota checks: the chart default
+// from "helm show values" with any --agent-set/--dashboard-set overrides on top. A chart
+// that cannot be read (no repository added yet, an older Helm) only counts its overrides.
+async function readChartResources(options) {
+  const versions = resolvePinnedVersions(options);
+  const overrides = { agent: options.agentSet, dashboard: options.dashboardSet };
+  return Promise.all(
+    Object.keys(CHART_NAMES).map(async (component) => {
+      let resources = null;
+      try {
+        const { chart, version, sourceArgs } = chartSourceOptions(component, versions[component]);
+        const { stdout } = await runShellCommand('helm', [
+          'show',
+          'values',
+          chart,
+          ...(version ? ['--version', version] : []),
+          ...sourceArgs,
+          '--jsonpath',
+          '{.resources}',
+        ]);
+        resources = stdout ? JSON.parse(stdout) : null;
+      } catch {
+        resources = null;
+      }
+      return applyResourceOverrides(resources, overrides[component]);
+    })
+  );
+}
+
+async function handleFleetFlow(options = {}) {
+  const { interactive = true } = options;
+  const currentContext = await currentContextName();
+
+  const agentContexts =
+    options.contexts || !interactive
+      ? parseContextList(options.contexts)
+      : await promptForContextSelection(currentContext, { multiple: true });
+  if (agentContexts.length === 0) {
+    throw new UsageError('--contexts: list at least one kube context for the agents.');
+  }
+
+  let hubContext = options.hub || currentContext;
+  if (!options.hub && interactive) {
+    hubContext = await select({
+      message: 'Which context should host the dashboard (hub)?',
+      options: [...new Set([...agentContexts, currentContext].filter(Boolean))].map((ctx) => ({
+        label: ctx === currentContext ? `${ctx} (current)` : ctx,
+        value: ctx,
+      })),
+      initialValue: agentContexts.includes(currentContext) ? currentContext : agentContexts[0],
+    });
+    enforceNotCancelled(hubContext);
+  }
+  if (!hubContext) {
+    throw new UsageError('Could not detect the current kube context. Pass --hub <context>.');
+  }
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace to install into on every cluster',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
+  });
+
+  const agentUrls = parseAgentUrlMappings(options.agentUrl);
+  await configureChartSources(options, interactive);
+  const overrides = await collectValueOverrides(options);
+
+  if (interactive) {
+    const proceed = await confirmAction({
+      context: hubContext,
+      message: `Install agents into ${agentContexts
+        .map((ctx) => chalk.cyan(ctx))
+        .join(', ')} and the dashboard into ${chalk.cyan(hubContext)} (ns: ${namespace})?`,
+      initialValue: true,
+    });
+    enforceNotCancelled(proceed);
+    if (!proceed) {
+      note('Fleet install cancelled.', 'Cancelled');
+      return;
+    }
+  }
+
+  await prepareHelmRepository();
+
+  const valuesDir = await mkdtemp(join(tmpdir(), 'clustercost-values-'));
+  const results = [];
+  let dashboard;
+  try {
+    for (const context of agentContexts) {
+      results.push(await deployFleetAgent(context, namespace, overrides.agent, valuesDir, options));
+    }
+
+    for (const result of results.filter((entry) => !entry.error)) {
+      result.baseUrl = await resolveFleetAgentUrl(result.context, hubContext, namespace, {
+        agentUrls,
+        interactive,
+      });
+      if (!result.baseUrl) {
+        result.stage = 'registration';
+        result.error = new Error(
+          `no URL reachable from the hub; pass --agent-url ${result.context}=<url>`
+        );
+      }
+    }
+
+    dashboard = await deployFleetDashboard(
+      hubContext,
+      namespace,
+      results.filter((result) => !result.error),
+      overrides.dashboard,
+      valuesDir,
+      options
+    );
+  } finally {
+    await removeValuesDir(valuesDir);
+  }
+
+  console.log(chalk.bold('\n• Fleet install report'));
+  formatFleetReport(results, dashboard).forEach((line) => console.log(line));
+  console.log();
+
+  if (session.dryRun) {
+    showDryRunPlan();
+  }
+
+  const summary = summarizeFleetResults(results, dashboard);
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+  installState = await detectInstallState();
+}
+
+async function deployFleetAgent(context, namespace, agentValues, valuesDir, options) {
+  const result = { context, stage: 'deploy', status: null, baseUrl: null, error: null };
+  try {
+    const previous = options.resetValues
+      ? null
+      : await readReleaseValues(session.releases.agent, namespace, context);
+    const values = await materializeChartValues(
+      `${session.releases.agent}-${contextSlug(context)}`,
+      { ...agentValues, previous },
+      valuesDir
+    );
+    const outcome = await runStep(
+      `Deploying ClusterCost agent to ${context}`,
+      async () =>
+        runMutatingCommand('helm', [
+          ...buildAgentHelmArgs(namespace, values, {
+            release: session.releases.agent,
+            ...chartSourceOptions('agent', session.profile.agentChartVersion),
+          }),
+          ...helmContextArgs(context),
+        ]),
+      `ClusterCost agent deployed to ${context}`
+    );
+    result.status = outcome?.planned ? 'planned' : 'deployed';
+  } catch (error) {
+    result.error = error;
+  }
+  return result;
+}
+
+async function resolveFleetAgentUrl(context, hubContext, namespace, { agentUrls, interactive }) {
+  if (agentUrls[context]) {
+    return agentUrls[context];
+  }
+  if (context === hubContext) {
+    return buildAgentBaseUrl(namespace, session.releases.agent);
+  }
+
+  const detectedUrl = await detectAgentExternalUrl(context, namespace);
+  if (!interactive) {
+    return detectedUrl;
+  }
+
+  const urlResponse = await text({
+    message: `URL the dashboard in ${hubContext} can use to reach the agent in ${context}`,
+    placeholder: `http://<agent-address>:${AGENT_SERVICE_PORT}`,
+    initialValue: detectedUrl || '',
+    validate: (value) =>
+      isHttpUrl((value || '').trim()) ? undefined : 'Enter an http(s) URL, e.g. http://10.0.0.12:8080',
+  });
+  enforceNotCancelled(urlResponse);
+  return urlResponse.trim().replace(/\/+$/, '');
+}
+
+async function detectAgentExternalUrl(context, namespace) {
+  try {
+    const result = await runShellCommand('kubectl', [
+      ...kubectlContextArgs(context),
+      'get',
+      'service',
+      buildAgentServiceHost(session.releases.agent),
+      '-n',
+      namespace,
+      '-o',
+      'json',
+    ]);
+    const service = JSON.parse(result.stdout);
+    const ingress = service.status?.loadBalancer?.ingress?.[0];
+    const address = ingress?.hostname || ingress?.ip;
+    if (!address) {
+      return null;
+    }
+    const port = service.spec?.ports?.[0]?.port || AGENT_SERVICE_PORT;
+    return `http://${address}:${port}`;
+  } catch {
+    return null;
+  }
+}
+
+async function deployFleetDashboard(hubContext, namespace, agents, dashboardValues, valuesDir, options) {
+  const dashboard = { context: hubContext, status: null, agents: agents.length, error: null };
+  if (agents.length === 0) {
+    dashboard.error = new Error('no agents could be registered, dashboard skipped');
+    return dashboard;
+  }
+
+  try {
+    const previous = options.resetValues
+      ? null
+      : withoutAgentList(await readReleaseValues(session.releases.dashboard, namespace, hubContext));
+    const values = await materializeChartValues(
+      session.releases.dashboard,
+      { ...dashboardValues, previous },
+      valuesDir
+    );
+    const outcome = await runStep(
+      `Deploying ClusterCost dashboard to ${hubContext}`,
+      async () =>
+        runMutatingCommand('helm', [
+          ...buildDashboardHelmArgs(namespace, values, {
+            release: session.releases.dashboard,
+            ...chartSourceOptions('dashboard', session.profile.dashboardChartVersion),
+            agents: agents.map((agent) => ({
+              name: agent.context,
+              type: DEFAULT_AGENT_TYPE,
+              baseUrl: agent.baseUrl,
+            })),
+          }),
+          '--create-namespace',
+          ...helmContextArgs(hubContext),
+        ]),
+      `ClusterCost dashboard deployed to ${hubContext}`
+    );
+    dashboard.status = outcome?.planned ? 'planned' : 'deployed';
+  } catch (error) {
+    dashboard.error = error;
+  }
+  return dashboard;
+}
+
+function withoutAgentList(values) {
+  if (!values) {
+    return values;
+  }
+  const rest = { ...values };
+  delete rest.agents;
+  return rest;
+}
+
+function contextSlug(context) {
+  return context.replace(/[^a-zA-Z0-9.-]+/g, '_');
+}
+
+function helmContextArgs(context) {
+  return context ? ['--kube-context', context] : [];
+}
+
+function kubectlContextArgs(context) {
+  return context ? ['--context', context] : [];
+}
+
+async function promptForContextSelection(currentContext, { multiple = false } = {}) {
+  let contextsResult;
+  try {
+    contextsResult = await runShellCommand('kubectl', ['config', 'get-contexts', '-o', 'name']);
+  } catch (error) {
+    throw new StepError('List Kubernetes contexts', error);
+  }
+
+  const contexts = parseContextNames(contextsResult.stdout);
+
+  if (contexts.length === 0) {
+    throw new StepError('List Kubernetes contexts', new Error('No Kubernetes contexts found.'));
+  }
+
+  console.log(chalk.bold('\nAvailable Kubernetes contexts:'));
+  contexts.forEach((ctx) => {
+    const marker = ctx === currentContext ? chalk.cyan('•') : chalk.gray('•');
+    const label = ctx === currentContext ? chalk.cyan(ctx) : ctx;
+    console.log(` ${marker} ${label}`);
+  });
+  console.log();
+
+  const initialValue = contexts.includes(currentContext) ? currentContext : contexts[0];
+  if (multiple) {
+    const selectedContexts = await multiselect({
+      message: 'Choose the Kubernetes contexts that should run an agent',
+      options: contexts.map((ctx) => ({
+        label: ctx === currentContext ? `${ctx} (current)` : ctx,
+        value: ctx,
+      })),
+      initialValues: [initialValue],
+      required: true,
+    });
+    enforceNotCancelled(selectedContexts);
+    return selectedContexts;
+  }
+
+  const selectedContext = await select({
+    message: 'Choose a Kubernetes context for installation',
+    options: contexts.map((ctx) => ({
+      label: ctx === currentContext ? `${ctx} (current)` : ctx,
+      value: ctx,
+    })),
+    initialValue,
+  });
+  enforceNotCancelled(selectedContext);
+  return selectedContext;
+}
+
+// Targets another context for the rest of the session by passing it to every kubectl
+// and helm call; "kubectl config use-context" would change it for every other terminal.
+async function useKubeContext(context) {
+  session.kube = { ...session.kube, context };
+  await loadActiveProfile(context);
+  installState = await detectInstallState();
+}
+
+async function verifyKubeTarget() {
+  const { context, kubeconfig } = session.kube;
+  if (kubeconfig && !(await fileReadable(kubeconfig))) {
+    throw new UsageError(`--kubeconfig: cannot read ${kubeconfig}`);
+  }
+  if (!context) {
+    return;
+  }
+  let contexts;
+  try {
+    const result = await runShellCommand('kubectl', ['config', 'get-contexts', '-o', 'name']);
+    contexts = parseContextNames(result.stdout);
+  } catch (error) {
+    throw new StepError('List Kubernetes contexts', error);
+  }
+  if (!contexts.includes(context)) {
+    throw new UsageError(
+      `--context: no context named ${context} in ${kubeconfig || 'the kubeconfig'}.`
+    );
+  }
+}
+
+// Every confirmation leads with the context it acts on; the fleet install, which spans
+// several, shows its hub context.
+function confirmAction({
+  message,
+  initialValue,
+  context = session.kube.context || session.context || 'unknown context',
+}) {
+  return confirm({ message: `${chalk.bgCyan.black(` ${context} `)} ${message}`, initialValue });
+}
+
+async function collectValueOverrides(options) {
+  const { imageRegistry } = session.chartAccess;
+  const registrySet = imageRegistry ? [`global.imageRegistry=${imageRegistry}`] : [];
+  const values = {
+    agent: createChartValues({
+      files: [...(session.profile.agentValues || []), ...(options.agentValues || [])],
+      set: [...registrySet, ...(options.agentSet || [])],
+    }),
+    dashboard: createChartValues({
+      files: [...(session.profile.dashboardValues || []), ...(options.dashboardValues || [])],
+      set: [...registrySet, ...(options.dashboardSet || [])],
+    }),
+  };
+
+  for (const [chart, chartValues] of Object.entries(values)) {
+    for (const file of chartValues.files) {
+      if (!(await fileReadable(file))) {
+        throw new UsageError(`--${chart}-values: cannot read ${file}`);
+      }
+    }
+    for (const override of chartValues.set) {
+      const problem = validateSetOverride(override);
+      if (problem) {
+        throw new UsageError(`--${chart}-set ${override}: ${problem}`);
+      }
+    }
+  }
+
+  return values;
+}
+
+async function resolveHelmValues(namespace, options, interactive) {
+  const values = await collectValueOverrides(options);
+
+  if (!options.resetValues) {
+    values.agent.previous = await readReleaseValues(session.releases.agent, namespace);
+    values.dashboard.previous = await readReleaseValues(session.releases.dashboard, namespace);
+  }
+
+  if (interactive) {
+    const reviewValues = await confirmAction({
+      message: 'Review advanced options (Helm values for the agent and dashboard)?',
+      initialValue: false,
+    });
+    enforceNotCancelled(reviewValues);
+    if (reviewValues) {
+      await editChartValues('agent', values.agent);
+      await editChartValues('dashboard', values.dashboard);
+    }
+  }
+
+  [
+    [session.releases.agent, values.agent],
+    [session.releases.dashboard, values.dashboard],
+  ].forEach(([release, chartValues]) => {
+    if (hasPreviousValues(chartValues)) {
+      console.log(
+        chalk.gray(`• Keeping values already applied to ${release} (use --reset-values to discard).`)
+      );
+    }
+  });
+
+  return values;
+}
+
+async function editChartValues(chart, chartValues) {
+  let editing = true;
+  while (editing) {
+    note(describeChartValues(chartValues), `ClusterCost ${chart} values`);
+
+    const hasOverrides = chartValues.files.length > 0 || chartValues.set.length > 0;
+    const action = await select({
+      message: `Adjust the ${chart} chart values`,
+      options: [
+        { label: 'Add a values file', value: 'add-file' },
+        { label: 'Set a value (key=value)', value: 'add-set' },
+        ...(hasOverrides ? [{ label: 'Remove a values file or override', value: 'remove' }] : []),
+        ...(hasPreviousValues(chartValues)
+          ? [{ label: 'Discard the values from the current release', value: 'reset' }]
+          : []),
+        { label: 'Done', value: 'done' },
+      ],
+      initialValue: 'done',
+    });
+    enforceNotCancelled(action);
+
+    switch (action) {
+      case 'add-file': {
+        const fileResponse = await text({
+          message: 'Path to a Helm values file',
+          placeholder: './values.yaml',
+          validate: validateValuesFilePath,
+        });
+        enforceNotCancelled(fileResponse);
+        const file = fileResponse.trim();
+        if (await fileReadable(file)) {
+          chartValues.files.push(file);
+        } else {
+          note(`Cannot read ${file}.`, 'Values file skipped');
+        }
+        break;
+      }
+      case 'add-set': {
+        const overrideResponse = await text({
+          message: 'Value override',
+          placeholder: 'resources.limits.cpu=500m',
+          validate: validateSetOverride,
+        });
+        enforceNotCancelled(overrideResponse);
+        chartValues.set.push(overrideResponse.trim());
+        break;
+      }
+      case 'remove': {
+        const removal = await select({
+          message: 'Which one should be removed?',
+          options: [
+            ...chartValues.files.map((file, index) => ({
+              label: `Values file ${file}`,
+              value: `files:${index}`,
+            })),
+            ...chartValues.set.map((override, index) => ({
+              label: `Override ${override}`,
+              value: `set:${index}`,
+            })),
+          ],
+        });
+        enforceNotCancelled(removal);
+        const [kind, index] = removal.split(':');
+        chartValues[kind].splice(Number(index), 1);
+        break;
+      }
+      case 'reset':
+        chartValues.previous = null;
+        break;
+      default:
+        editing = false;
+    }
+  }
+}
+
+async function readReleaseValues(release, namespace, context = null) {
+  try {
+    const result = await runShellCommand('helm', [
+      'get',
+      'values',
+      release,
+      '-n',
+      namespace,
+      '-o',
+      'json',
+      ...helmContextArgs(context),
+    ]);
+    const parsed = result.stdout ? JSON.parse(result.stdout) : null;
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+async function materializeChartValues(release, chartValues, valuesDir) {
+  if (!hasPreviousValues(chartValues)) {
+    return { files: chartValues.files, set: chartValues.set };
+  }
+
+  const previousFile = join(valuesDir, `${release}-current-values.json`);
+  await writeFile(previousFile, JSON.stringify(chartValues.previous, null, 2));
+  return { files: [previousFile, ...chartValues.files], set: chartValues.set };
+}
+
+async function fileReadable(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function resolveInput({ value, flag, interactive, fallback, validate, prompt }) {
+  if (value !== undefined) {
+    const problem = validate(value);
+    if (problem) {
+      throw new UsageError(`--${flag}: ${problem}`);
+    }
+    return value.trim();
+  }
+
+  // Only the menu prompts, and runInteractive refuses to start without a terminal.
+  if (!interactive) {
+    return fallback;
+  }
+
+  const response = await text({ ...prompt, validate });
+  enforceNotCancelled(response);
+  return (response || prompt.placeholder).trim();
+}
+
+async function ensureFreshInstallAllowed(namespace, { interactive = true, yes = false } = {}) {
+  const agentExists = await helmReleaseExists(session.releases.agent, namespace);
+  const dashboardExists = await helmReleaseExists(session.releases.dashboard, namespace);
+
+  if (!agentExists && !dashboardExists) {
+    return true;
+  }
+
   const installed = [
     agentExists ? 'agent' : null,
     dashboardExists ? 'dashboard' : null,
   ].filter(Boolean);
 
-  const message = `ClusterCost ${installed.join(
-    ' + '
-  )} already detected in ${chalk.cyan(namespace)}. Reinstall and upgrade the existing release?`;
+  const message = `ClusterCost ${installed.join(
+    ' + '
+  )} already detected in ${chalk.cyan(namespace)}. Reinstall and upgrade the existing release?`;
+
+  if (yes) {
+    console.log(chalk.gray(`• Existing ${installed.join(' + ')} found, upgrading in place.`));
+    return true;
+  }
+
+  if (!interactive) {
+    throw new UsageError(
+      `ClusterCost ${installed.join(' + ')} already installed in ${namespace}. Pass --yes to upgrade it.`
+    );
+  }
+
+  const confirmReinstall = await confirmAction({
+    message,
+    initialValue: true,
+  });
+  enforceNotCancelled(confirmReinstall);
+
+  if (!confirmReinstall) {
+    note('Reinstall cancelled; existing deployment left untouched.', 'Existing install');
+    return false;
+  }
+
+  note(
+    `Proceeding with reinstall in ${chalk.cyan(namespace)}. Helm will upgrade the current release in place.`,
+    'Reinstall confirmed'
+  );
+  return true;
+}
+
+function buildMenuOptions() {
+  if (!hasExistingInstall()) {
+    return [
+      { label: 'Install ClusterCost (agent + dashboard)', value: 'install' },
+      { label: 'Install across multiple clusters (fleet)', value: 'fleet' },
+      { label: 'Generate GitOps manifests (Argo CD, Flux)', value: 'gitops' },
+      { label: 'Run preflight checks (doctor)', value: 'doctor' },
+      { label: 'What is ClusterCost?', value: 'about' },
+      { label: 'Exit', value: 'exit' },
+    ];
+  }
+
+  const namespace = resolveDefaultNamespace();
+  const target =
+    installState.installs.length > 1 ? `${namespace}/${session.releases.dashboard}` : namespace;
+  const portForwardLabel = namespace
+    ? `Launch dashboard (port-forward · ns: ${target})`
+    : 'Launch dashboard (port-forward)';
+
+  return [
+    { label: portForwardLabel, value: 'port-forward' },
+    { label: 'Watch pods and releases (live status)', value: 'watch' },
+    { label: 'Stream agent and dashboard logs', value: 'logs' },
+    { label: 'Expose dashboard (Ingress or LoadBalancer)', value: 'expose' },
+    { label: 'Stop exposing the dashboard', value: 'unexpose' },
+    { label: 'Upgrade ClusterCost (agent + dashboard)', value: 'install' },
+    { label: 'Install across multiple clusters (fleet)', value: 'fleet' },
+    { label: 'Generate GitOps manifests (Argo CD, Flux)', value: 'gitops' },
+    { label: 'Roll back to an earlier revision', value: 'rollback' },
+    { label: 'Uninstall ClusterCost', value: 'uninstall' },
+    { label: 'Show cost report', value: 'report' },
+    { label: 'Export cost data (CSV, JSON, Markdown)', value: 'export' },
+    { label: 'Run preflight checks (doctor)', value: 'doctor' },
+    { label: 'Show debug info', value: 'debug' },
+    { label: 'Create support bundle', value: 'support-bundle' },
+    ...(installState.installs.length > 1
+      ? [
+          {
+            label: `Switch install (${installState.installs.length} found)`,
+            value: 'switch-install',
+          },
+        ]
+      : []),
+    { label: 'What is ClusterCost?', value: 'about' },
+    { label: 'Exit', value: 'exit' },
+  ];
+}
+
+function hasExistingInstall(state = installState) {
+  return Boolean(state.agent || state.dashboard);
+}
+
+function resolveDefaultNamespace() {
+  return (
+    session.target.namespace ||
+    installState.agent?.namespace ||
+    installState.dashboard?.namespace ||
+    DEFAULT_NAMESPACE
+  );
+}
+
+function resolveDefaultService() {
+  return (
+    session.profile.dashboardService ||
+    chartFullname(session.releases.dashboard, CHART_NAMES.dashboard)
+  );
+}
+
+function resolveDefaultPort() {
+  return session.profile.localPort || DASHBOARD_LOCAL_PORT;
+}
+
+async function loadActiveProfile(context = null) {
+  const contextName = context || (await currentContextName());
+  const config = await loadConfig();
+  const profile = getProfile(config, contextName);
+
+  session = {
+    ...session,
+    context: contextName,
+    profile,
+    releases: {
+      agent: profile.agentRelease || AGENT_RELEASE,
+      dashboard: profile.dashboardRelease || DASHBOARD_RELEASE,
+    },
+    target: {
+      namespace: profile.namespace || null,
+      releases: { agent: profile.agentRelease, dashboard: profile.dashboardRelease },
+      configured: { agent: profile.agentRelease, dashboard: profile.dashboardRelease },
+    },
+  };
+
+  if (Object.keys(profile).length > 0) {
+    console.log(chalk.gray(`• Using saved profile for context ${contextName}.`));
+  }
+}
+
+async function currentContextName() {
+  if (session.kube.context) {
+    return session.kube.context;
+  }
+  try {
+    const result = await runShellCommand('kubectl', ['config', 'current-context']);
+    return result.stdout || null;
+  } catch {
+    return null;
+  }
+}
+
+async function handleConfigCommand(positionals, options) {
+  const [action = 'list', key, value, ...extra] = positionals;
+  const configPath = resolveConfigPath();
+
+  switch (action) {
+    case 'path':
+      console.log(configPath);
+      return;
+    case 'list':
+      showProfiles(await loadConfig(configPath), configPath, await currentContextName());
+      return;
+    case 'set': {
+      if (!key || value === undefined || extra.length > 0) {
+        throw new UsageError('Usage: clustercost config set <key> <value> [--context <name>]');
+      }
+      const context = await resolveProfileContext(options);
+      const config = setProfileValue(await loadConfig(configPath), context, key, value);
+      await saveConfig(config, configPath);
+      console.log(chalk.green(`✔ Saved ${key} for context ${context}.`));
+      return;
+    }
+    case 'remove': {
+      if (value !== undefined) {
+        throw new UsageError('Usage: clustercost config remove [key] [--context <name>]');
+      }
+      const context = await resolveProfileContext(options);
+      const config = removeProfileValue(await loadConfig(configPath), context, key ?? null);
+      await saveConfig(config, configPath);
+      console.log(
+        chalk.green(key ? `✔ Removed ${key} from context ${context}.` : `✔ Removed profile ${context}.`)
+      );
+      return;
+    }
+    default:
+      throw new UsageError(`Unknown config action: ${action}`);
+  }
+}
+
+async function resolveProfileContext(options) {
+  if (options.context) {
+    return options.context;
+  }
+  const context = await currentContextName();
+  if (!context) {
+    throw new UsageError('Could not detect the current kube context. Pass --context <name>.');
+  }
+  return context;
+}
+
+function showProfiles(config, configPath, currentContext) {
+  console.log(chalk.bold(`\n• ClusterCost profiles`) + chalk.gray(` (${configPath})`));
+
+  const contexts = Object.keys(config.profiles);
+  if (contexts.length === 0) {
+    console.log(chalk.gray('No profiles saved yet. Use "clustercost config set <key> <value>".'));
+  }
+
+  contexts.forEach((context) => {
+    const label = context === currentContext ? `${chalk.cyan(context)} (current)` : chalk.cyan(context);
+    console.log(`\n${label}`);
+    Object.entries(config.profiles[context]).forEach(([key, value]) => {
+      console.log(`  ${chalk.gray(`${key}:`)} ${Array.isArray(value) ? value.join(', ') : value}`);
+    });
+  });
+
+  console.log(chalk.gray(`\nKeys: ${Object.keys(PROFILE_KEYS).join(', ')}\n`));
+}
+
+async function handleHistoryCommand(options) {
+  if (options.since !== undefined && validateSince(options.since)) {
+    throw new UsageError(`--since: ${validateSince(options.since)}`);
+  }
+  if (options.namespace !== undefined && validateNamespace(options.namespace)) {
+    throw new UsageError(`--namespace: ${validateNamespace(options.namespace)}`);
+  }
+  const limit = options.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new UsageError('--limit: use a positive whole number.');
+  }
+
+  const entries = filterAuditEntries(await readAuditLog(session.audit.path), {
+    since: options.since ? parseSince(options.since) : null,
+    context: session.kube.context,
+    namespace: options.namespace,
+    action: options.action,
+    failed: options.failed,
+    changes: options.changes,
+    limit,
+  });
+
+  console.log(chalk.bold('\n• ClusterCost history') + chalk.gray(` (${session.audit.path})`));
+  if (entries.length === 0) {
+    console.log(chalk.gray('No matching operations recorded.\n'));
+    return;
+  }
+  formatAuditEntries(entries).forEach((line) => console.log(line));
+  console.log();
+}
+
+// Finds every ClusterCost install by chart name and makes the one matching the target
+// namespace and release names (from flags, the profile or the menu) the active one.
+async function detectInstallState({ strict = false } = {}) {
+  try {
+    const result = await runShellCommand('helm', ['list', '-A', '-o', 'json']);
+    const stdout = (result.stdout || '').trim();
+    const installs = groupInstalls(stdout ? JSON.parse(stdout) : []);
+    const active = selectInstall(installs, session.target);
+    session.releases = resolveReleaseNames(active);
+    return {
+      agent: active?.agent || null,
+      dashboard: active?.dashboard || null,
+      installs,
+      active,
+    };
+  } catch (error) {
+    if (strict) {
+      throw new StepError('List Helm releases', error);
+    }
+    return installState;
+  }
+}
+
+// Release names given with flags or saved in the profile always win, so a second
+// install can be created next to an existing one; otherwise the detected names are used.
+function resolveReleaseNames(install) {
+  const { configured } = session.target;
+  return {
+    agent: configured.agent || install?.agent?.release || AGENT_RELEASE,
+    dashboard: configured.dashboard || install?.dashboard?.release || DASHBOARD_RELEASE,
+  };
+}
+
+function applyInstallOptions(options) {
+  [
+    ['agent-release', options.agentRelease],
+    ['dashboard-release', options.dashboardRelease],
+  ].forEach(([flag, value]) => {
+    if (value !== undefined && validateReleaseName(value)) {
+      throw new UsageError(`--${flag}: ${validateReleaseName(value)}`);
+    }
+  });
+  const releases = {
+    agent: options.agentRelease?.trim() || session.target.configured.agent,
+    dashboard: options.dashboardRelease?.trim() || session.target.configured.dashboard,
+  };
+  session.target = {
+    namespace: options.namespace?.trim() || session.target.namespace,
+    releases,
+    configured: releases,
+  };
+}
+
+// Points session.releases at the install in `namespace`, so an upgrade, rollback or
+// uninstall there acts on its releases even when several installs exist.
+function useInstallIn(namespace) {
+  const install = selectInstall(
+    installState.installs.filter((entry) => entry.namespace === namespace),
+    session.target
+  );
+  session.releases = resolveReleaseNames(install);
+  return install;
+}
+
+function requireUnambiguousInstall(options, action) {
+  const namespace = options.namespace?.trim() || session.target.namespace;
+  const { configured } = session.target;
+  const candidates = installState.installs.filter(
+    (install) =>
+      (!namespace || install.namespace === namespace) &&
+      (!configured.agent || install.agent?.release === configured.agent) &&
+      (!configured.dashboard || install.dashboard?.release === configured.dashboard)
+  );
+  if (candidates.length > 1) {
+    throw new UsageError(
+      `Found ${candidates.length} ClusterCost installs: ${candidates
+        .map(describeInstall)
+        .join('; ')}. Pass --namespace or --agent-release to choose which one to ${action}.`
+    );
+  }
+}
+
+async function chooseActiveInstall() {
+  const current = installState.active;
+  const install = await select({
+    message: 'Which ClusterCost install should port-forward, upgrade and uninstall act on?',
+    options: installState.installs.map((entry) => ({
+      value: entry,
+      label: describeInstall(entry),
+      hint: entry === current ? 'active' : undefined,
+    })),
+    initialValue: current,
+  });
+  enforceNotCancelled(install);
+
+  // An explicit choice replaces any release names saved in the profile.
+  session.target = {
+    namespace: install.namespace,
+    releases: { agent: install.agent?.release, dashboard: install.dashboard?.release },
+    configured: {},
+  };
+  installState = await detectInstallState();
+  note(`Acting on ${chalk.cyan(describeInstall(install))}`, 'Install selected');
+}
+
+function buildAgentServiceHost(agentRelease = AGENT_RELEASE) {
+  return chartFullname(agentRelease, CHART_NAMES.agent);
+}
+
+function buildAgentBaseUrl(namespace, agentRelease = AGENT_RELEASE) {
+  return `http://${buildAgentServiceHost(agentRelease)}.${namespace}.svc.cluster.local:${AGENT_SERVICE_PORT}`;
+}
+
+export function buildDashboardHelmArgs(
+  namespace,
+  { files = [], set = [] } = {},
+  {
+    release = DASHBOARD_RELEASE,
+    agentRelease = AGENT_RELEASE,
+    chart = DASHBOARD_CHART,
+    version,
+    sourceArgs = [],
+    agents,
+  } = {}
+) {
+  const args = [
+    'upgrade',
+    '--install',
+    release,
+    chart,
+    '-n',
+    namespace,
+    ...(version ? ['--version', version] : []),
+    ...sourceArgs,
+    ...buildValuesArgs({ files }),
+  ];
+
+  if (agents) {
+    args.push(...buildAgentListArgs(agents));
+  } else if (namespace !== DEFAULT_NAMESPACE || agentRelease !== AGENT_RELEASE) {
+    args.push(
+      ...buildAgentListArgs([
+        {
+          baseUrl: buildAgentBaseUrl(namespace, agentRelease),
+          name: DEFAULT_AGENT_NAME,
+          type: DEFAULT_AGENT_TYPE,
+        },
+      ])
+    );
+  }
+
+  args.push(...buildValuesArgs({ set }));
+  return args;
+}
+
+function showInstallStatus({ all = false } = {}) {
+  console.log(chalk.bold('\n• ClusterCost status'));
+  console.log(`${chalk.cyan('Agent:')}     ${formatReleaseStatus(installState.agent)}`);
+  console.log(`${chalk.cyan('Dashboard:')} ${formatReleaseStatus(installState.dashboard)}\n`);
+
+  const others = installState.installs.filter((install) => install !== installState.active);
+  if (all && others.length > 0) {
+    console.log(chalk.bold(`• Other installs (${others.length})`));
+    others.forEach((install) => {
+      console.log(chalk.cyan(describeInstall(install)));
+      console.log(`  ${chalk.gray('Agent:')}     ${formatReleaseStatus(install.agent)}`);
+      console.log(`  ${chalk.gray('Dashboard:')} ${formatReleaseStatus(install.dashboard)}`);
+    });
+    console.log(chalk.gray('\nOther commands pick one with --namespace or --agent-release.\n'));
+  }
+}
+
+function formatReleaseStatus(release) {
+  if (!release) {
+    return chalk.gray('not installed');
+  }
+  return [
+    release.status,
+    release.release,
+    `ns: ${release.namespace}`,
+    `revision ${release.revision}`,
+    release.updated ? `updated ${release.updated}` : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function showClusterCostOverview() {
+  console.log(chalk.bold('\n• What is ClusterCost?'));
+  console.log(
+    'ClusterCost is a lightweight Kubernetes add-on composed of two pieces: an agent that scrapes cluster cost signals and a dashboard that presents live spend, efficiency, and savings insights.'
+  );
+  console.log(
+    '\nIn the open-source distribution, all metrics stay inside your cluster. Nothing is shipped to our cloud—you remain in full control of data residency.'
+  );
+  console.log(
+    `\nDocs: ${chalk.cyan('https://clustercost.com/docs/introduction/welcome/')} (installation, architecture, and roadmap).\n`
+  );
+}
+
+async function showDebugInfo() {
+  if (session.output === 'json') {
+    reportResult(await collectDebugInfo());
+    return;
+  }
+  console.log(chalk.bold('\n• Debug info'));
+
+  const context = await currentContextName();
+  console.log(`${chalk.cyan('Context:')} ${context || 'n/a'}`);
 
-  const confirmReinstall = await confirm({
-    message,
-    initialValue: true,
+  const namespaces = await safeCommandOutput('kubectl', ['get', 'ns']);
+  console.log(`\n${chalk.cyan('Namespaces:')}\n${namespaces || 'n/a'}`);
+
+  const helmVersion = await safeCommandOutput('helm', ['version']);
+  console.log(`\n${chalk.cyan('Helm version:')} ${helmVersion || 'n/a'}`);
+
+  const namespace = resolveDefaultNamespace();
+  const helmList = await safeCommandOutput('helm', ['list', '-n', namespace]);
+  console.log(`\n${chalk.cyan(`Helm releases (${namespace}):`)}\n${helmList || 'n/a'}\n`);
+}
+
+// The same facts as showDebugInfo, read with "-o json" so they can be parsed.
+async function collectDebugInfo() {
+  const namespace = resolveDefaultNamespace();
+  const errors = [];
+  const read = async (command, args, parse) => {
+    try {
+      return parse((await runShellCommand(command, args)).stdout);
+    } catch (error) {
+      errors.push(`${command} ${args.join(' ')}: ${error.stderr || error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    context: await currentContextName(),
+    kubeconfig: session.kube.kubeconfig || process.env.KUBECONFIG || null,
+    cliVersion: await readCliVersion(),
+    nodeVersion: process.version,
+    helmVersion: await read('helm', ['version', '--short'], (stdout) => stdout),
+    namespaces: await read('kubectl', ['get', 'ns', '-o', 'json'], (stdout) =>
+      (JSON.parse(stdout).items || []).map((item) => item.metadata?.name)
+    ),
+    namespace,
+    releases: await read('helm', ['list', '-n', namespace, '-o', 'json'], (stdout) =>
+      stdout ? JSON.parse(stdout) : []
+    ),
+    errors,
+  };
+}
+
+async function handleSupportBundleFlow(options = {}) {
+  const { interactive = true } = options;
+
+  const namespace = await resolveInput({
+    value: options.namespace,
+    flag: 'namespace',
+    interactive,
+    fallback: resolveDefaultNamespace(),
+    validate: validateNamespace,
+    prompt: {
+      message: 'Namespace to collect diagnostics from',
+      placeholder: DEFAULT_NAMESPACE,
+      initialValue: resolveDefaultNamespace(),
+    },
   });
-  enforceNotCancelled(confirmReinstall);
+  useInstallIn(namespace);
 
-  if (!confirmReinstall) {
-    note('Reinstall cancelled; existing deployment left untouched.', 'Existing install');
+  const generatedAt = new Date();
+  const defaultPath = `clustercost-support-${generatedAt
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace('T', '-')
+    .slice(0, 15)}.tar.gz`;
+  const outputPath = await resolveInput({
+    value: options.output,
+    flag: 'output',
+    interactive,
+    fallback: defaultPath,
+    validate: (value) => (value && value.trim() ? undefined : 'Output path cannot be empty.'),
+    prompt: { message: 'Write the bundle to', placeholder: defaultPath, initialValue: defaultPath },
+  });
+
+  const releases = [session.releases.agent, session.releases.dashboard];
+  const { files, manifest } = await runStep(
+    `Collecting diagnostics from ${namespace}`,
+    async () => {
+      let pods = [];
+      try {
+        const { stdout } = await runShellCommand('kubectl', [
+          'get',
+          'pods',
+          '-n',
+          namespace,
+          '-o',
+          'json',
+        ]);
+        pods = selectReleasePods(JSON.parse(stdout).items, releases, INSTANCE_LABEL);
+      } catch {
+        pods = [];
+      }
+      return collectBundleFiles(
+        runShellCommand,
+        planBundleCollection({ namespace, releases, pods })
+      );
+    },
+    'Diagnostics collected'
+  );
+
+  const bundleManifest = buildBundleManifest(manifest, {
+    generatedAt: generatedAt.toISOString(),
+    cliVersion: await readCliVersion(),
+    node: process.version,
+    platform: `${process.platform}/${process.arch}`,
+    context: session.context,
+    namespace,
+    releases,
+  });
+  const archive = createTarGz(
+    [{ path: BUNDLE_MANIFEST, content: `${JSON.stringify(bundleManifest, null, 2)}\n` }, ...files],
+    { root: basename(outputPath).replace(/\.(tar\.gz|tgz)$/, ''), mtime: generatedAt }
+  );
+
+  await runStep(
+    `Writing ${outputPath}`,
+    async () => writeFile(outputPath, archive),
+    `Support bundle written to ${outputPath}`
+  );
+
+  const { collected, skipped, failed } = bundleManifest.summary;
+  console.log(
+    chalk.gray(
+      `  ${collected} files collected, ${skipped} skipped, ${failed} failed (see ${BUNDLE_MANIFEST}).`
+    )
+  );
+  console.log(
+    chalk.gray('  Secrets and tokens are redacted, but please review the bundle before sharing it.\n')
+  );
+}
+
+async function readCliVersion() {
+  try {
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    return pkg.version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+async function runShellCommand(
+  command,
+  commandArgs = [],
+  { input, changed = false, ...options } = {}
+) {
+  const args = withKubeTarget(command, commandArgs, session.kube);
+  const startedAt = new Date();
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      ...options,
+    });
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    let audited = false;
+    const audit = (details) => {
+      if (!audited) {
+        audited = true;
+        return recordAudit(command, args, { startedAt, changed, ...details });
+      }
+      return undefined;
+    };
+
+    child.on('error', (error) => {
+      audit({ exitCode: null, stderr: error.message });
+      reject(error);
+    });
+
+    child.on('close', async (code, signal) => {
+      await audit({ exitCode: code, signal, stderr });
+      if (code === 0) {
+        resolve({ stdout: stdout.trim(), stderr: stderr.trim(), code });
+      } else {
+        const error = new Error(`Command failed: ${command} ${args.join(' ')}`.trim());
+        error.code = code;
+        error.stdout = stdout.trim();
+        error.stderr = stderr.trim();
+        error.command = `${command} ${args.join(' ')}`.trim();
+        reject(error);
+      }
+    });
+  });
+}
+
+function startAuditOperation(action) {
+  let user = null;
+  try {
+    user = userInfo().username;
+  } catch {
+    user = process.env.USER || process.env.USERNAME || null;
+  }
+  session.audit = {
+    ...session.audit,
+    operation: { id: randomUUID(), action, user, host: hostname() },
+  };
+}
+
+// The audit log must never break the command it records, so a write failure is reported
+// once and otherwise ignored.
+async function recordAudit(command, args, details) {
+  if (!session.audit.path || !session.audit.operation || session.audit.paused) {
+    return;
+  }
+  const entry = buildAuditEntry({
+    operation: session.audit.operation,
+    command,
+    args,
+    context: session.kube.context || session.context,
+    namespace: session.target.namespace,
+    ...details,
+  });
+  try {
+    await appendAuditEntry(session.audit.path, entry);
+  } catch (error) {
+    if (!session.audit.warned) {
+      session.audit.warned = true;
+      console.error(
+        chalk.yellow(`• Could not write the audit log ${session.audit.path}: ${error.message}`)
+      );
+    }
+  }
+}
+
+async function runMutatingCommand(command, args = [], options = {}) {
+  if (!session.dryRun) {
+    return runShellCommand(command, args, { ...options, changed: true });
+  }
+
+  session.plan.push(formatCommand(command, withKubeTarget(command, args, session.kube)));
+  return { stdout: '', stderr: '', code: 0, planned: true };
+}
+
+export function formatCommand(command, args = []) {
+  return [command, ...args]
+    .map((part) => (/^[\w@%+=:,./-]+$/.test(part) ? part : `'${part.replace(/'/g, `'\\''`)}'`))
+    .join(' ');
+}
+
+function showDryRunPlan() {
+  const valuesDirs = session.planValuesDirs;
+  reportResult({ plan: [...session.plan], ...(valuesDirs.length ? { valuesDirs } : {}) });
+  console.log(chalk.bold('\n• Dry-run plan'));
+  if (session.plan.length === 0) {
+    console.log(chalk.gray('No changes would be made.'));
+  } else {
+    session.plan.forEach((command, index) => {
+      console.log(`${chalk.gray(`${index + 1}.`)} ${command}`);
+    });
+  }
+  if (valuesDirs.length > 0) {
+    console.log(
+      chalk.gray(`\nThe values files it passes to helm are kept in ${valuesDirs.join(', ')}.`)
+    );
+  }
+  console.log(chalk.gray('\nNothing was changed. Run again without --dry-run to apply.\n'));
+  session.plan = [];
+  session.planValuesDirs = [];
+}
+
+// A dry-run plan passes the values files written here to helm, so they are kept for
+// review instead of removed.
+async function removeValuesDir(valuesDir) {
+  if (session.dryRun && session.plan.some((command) => command.includes(valuesDir))) {
+    session.planValuesDirs.push(valuesDir);
+    return;
+  }
+  await rm(valuesDir, { recursive: true, force: true });
+}
+
+async function commandExists(binary) {
+  try {
+    await runShellCommand('which', [binary]);
+    return true;
+  } catch {
     return false;
   }
+}
 
-  note(
-    `Proceeding with reinstall in ${chalk.cyan(namespace)}. Helm will upgrade the current release in place.`,
-    'Reinstall confirmed'
+async function namespaceExists(namespace) {
+  try {
+    await runShellCommand('kubectl', ['get', 'namespace', namespace]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function prepareHelmRepository() {
+  const { repo } = session.charts;
+  const { username, password, caFile } = session.chartAccess;
+  const credentialArgs = username ? ['--username', username, '--password-stdin'] : [];
+  const caArgs = caFile ? ['--ca-file', caFile] : [];
+  const credentialInput = username ? { input: password } : {};
+
+  if (!repo) {
+    console.log(chalk.gray('• Charts come from local archives or OCI; skipping Helm repo setup.'));
+  } else {
+    const repoExists = await helmRepoExists(repo.name);
+    // The mirror's URL or credentials may have changed since it was added, so it is
+    // always re-added; the public repository is only added once.
+    if (!repoExists || repo.name === MIRROR_REPO_NAME || username || caFile) {
+      await runStep(
+        `Adding Helm repository ${repo.url}`,
+        async () =>
+          runMutatingCommand(
+            'helm',
+            [
+              'repo',
+              'add',
+              repo.name,
+              repo.url,
+              ...credentialArgs,
+              ...caArgs,
+              ...(repoExists ? ['--force-update'] : []),
+            ],
+            credentialInput
+          ),
+        `Helm repository ${repo.name} added`
+      );
+    } else {
+      console.log(chalk.gray('• Helm repository already configured.'));
+    }
+
+    await runStep(
+      `Updating Helm repository ${repo.name}`,
+      async () => runMutatingCommand('helm', ['repo', 'update', repo.name]),
+      `Helm repository ${repo.name} updated`
+    );
+  }
+
+  const registries = new Set(
+    [session.charts.agent, session.charts.dashboard]
+      .filter(({ kind }) => kind === 'oci')
+      .map(({ ref }) => ociRegistryHost(ref))
   );
-  return true;
+  for (const registry of username ? registries : []) {
+    await runStep(
+      `Logging in to ${registry}`,
+      async () =>
+        runMutatingCommand(
+          'helm',
+          ['registry', 'login', registry, ...credentialArgs, ...caArgs],
+          credentialInput
+        ),
+      `Logged in to ${registry}`
+    );
+  }
 }
 
-function buildMenuOptions() {
-  if (!hasExistingInstall()) {
-    return [
-      { label: 'Install ClusterCost (agent + dashboard)', value: 'install' },
-      { label: 'What is ClusterCost?', value: 'about' },
-      { label: 'Exit', value: 'exit' },
-    ];
+// GitOps manifests only name the chart repository, so a password is needed only when the
+// CLI itself has to query the repository.
+async function configureChartSources(options, interactive, { needsPassword = true } = {}) {
+  const settings = {
+    agentChart: options.agentChart ?? session.profile.agentChart,
+    dashboardChart: options.dashboardChart ?? session.profile.dashboardChart,
+    repoUrl: options.repoUrl ?? session.profile.chartRepoUrl,
+    repoUsername: options.repoUsername ?? session.profile.repoUsername,
+    caFile: options.caFile ?? session.profile.caFile,
+    imageRegistry: options.imageRegistry ?? session.profile.imageRegistry,
+  };
+  const checks = [
+    ['agent-chart', settings.agentChart, validateChartReference],
+    ['dashboard-chart', settings.dashboardChart, validateChartReference],
+    ['repo-url', settings.repoUrl, validateRepositoryUrl],
+    ['image-registry', settings.imageRegistry, validateImageRegistry],
+  ];
+  for (const [flag, value, validate] of checks) {
+    if (value !== undefined && validate(value)) {
+      throw new UsageError(`--${flag}: ${validate(value)}`);
+    }
+  }
+
+  const charts = resolveChartSources(settings);
+  for (const component of Object.keys(CHART_NAMES)) {
+    if (charts[component].kind !== 'archive') {
+      continue;
+    }
+    const path = resolvePath(charts[component].ref.replace(/^~(?=\/)/, homedir()));
+    if (!(await fileReadable(path))) {
+      throw new UsageError(`--${component}-chart: cannot read ${charts[component].ref}`);
+    }
+    charts[component].ref = path;
+  }
+
+  const caFile = settings.caFile?.trim() ? resolvePath(settings.caFile.trim()) : null;
+  if (caFile && !(await fileReadable(caFile))) {
+    throw new UsageError(`--ca-file: cannot read ${settings.caFile}`);
+  }
+
+  const username = settings.repoUsername?.trim() || null;
+  let repoPassword = username ? process.env.CLUSTERCOST_REPO_PASSWORD || null : null;
+  if (username && !repoPassword && interactive && needsPassword) {
+    repoPassword = await password({ message: `Password for ${username} on the chart mirror` });
+    enforceNotCancelled(repoPassword);
+  }
+  if (username && !repoPassword && needsPassword) {
+    throw new UsageError(
+      '--repo-username: set CLUSTERCOST_REPO_PASSWORD to the chart mirror password.'
+    );
+  }
+
+  session.charts = charts;
+  session.chartAccess = {
+    username,
+    password: repoPassword,
+    caFile,
+    imageRegistry: settings.imageRegistry?.trim() || null,
+  };
+}
+
+// Helm options for installing one component from its configured source. Archives carry
+// their own version, so a pinned version is ignored for them.
+function chartSourceOptions(component, version) {
+  const { ref, kind } = session.charts[component];
+  const { caFile } = session.chartAccess;
+  return {
+    chart: ref,
+    version: kind === 'archive' ? null : version,
+    sourceArgs: caFile && kind === 'oci' ? ['--ca-file', caFile] : [],
+  };
+}
+
+async function helmRepoExists(name) {
+  try {
+    const result = await runShellCommand('helm', ['repo', 'list', '-o', 'json']);
+    if (!result.stdout) {
+      return false;
+    }
+    const repositories = JSON.parse(result.stdout);
+    return Array.isArray(repositories) && repositories.some((repo) => repo.name === name);
+  } catch {
+    return false;
+  }
+}
+
+async function helmReleaseExists(release, namespace) {
+  try {
+    await runShellCommand('helm', ['status', release, '-n', namespace]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The agent and dashboard arguments for "helm upgrade --install", shared by every path
+// that installs or describes an install so they all agree.
+async function buildInstallHelmArgs(namespace, values, versions, valuesDir) {
+  return {
+    agentArgs: buildAgentHelmArgs(
+      namespace,
+      await materializeChartValues(session.releases.agent, values.agent, valuesDir),
+      { release: session.releases.agent, ...chartSourceOptions('agent', versions.agent) }
+    ),
+    dashboardArgs: buildDashboardHelmArgs(
+      namespace,
+      await materializeChartValues(session.releases.dashboard, values.dashboard, valuesDir),
+      {
+        release: session.releases.dashboard,
+        agentRelease: session.releases.agent,
+        ...chartSourceOptions('dashboard', versions.dashboard),
+      }
+    ),
+  };
+}
+
+export function buildAgentHelmArgs(
+  namespace,
+  values = {},
+  { release = AGENT_RELEASE, chart = AGENT_CHART, version, sourceArgs = [] } = {}
+) {
+  return [
+    'upgrade',
+    '--install',
+    release,
+    chart,
+    '-n',
+    namespace,
+    '--create-namespace',
+    ...(version ? ['--version', version] : []),
+    ...sourceArgs,
+    ...buildValuesArgs(values),
+  ];
+}
+
+function resolvePinnedVersions(options) {
+  ['agentVersion', 'dashboardVersion'].forEach((key) => {
+    if (options[key] !== undefined && validateChartVersion(options[key])) {
+      const flag = key.replace('Version', '-version');
+      throw new UsageError(`--${flag}: ${validateChartVersion(options[key])}`);
+    }
+  });
+  return {
+    agent: options.agentVersion?.trim() || session.profile.agentChartVersion || null,
+    dashboard: options.dashboardVersion?.trim() || session.profile.dashboardChartVersion || null,
+  };
+}
+
+async function searchChartVersions(chart) {
+  const result = await runShellCommand('helm', [
+    'search',
+    'repo',
+    chart,
+    '--versions',
+    '-o',
+    'json',
+  ]);
+  return parseChartSearch(result.stdout, chart);
+}
+
+async function chooseChartVersions(pinned) {
+  const components = Object.keys(CHART_NAMES).filter(
+    (component) => session.charts[component].kind === 'repo'
+  );
+  if (components.length === 0) {
+    return pinned;
+  }
+  const describePin = (version) => version || 'latest';
+  const choose = await confirmAction({
+    message: `Choose chart versions? (agent: ${describePin(pinned.agent)}, dashboard: ${describePin(
+      pinned.dashboard
+    )})`,
+    initialValue: false,
+  });
+  enforceNotCancelled(choose);
+  if (!choose) {
+    return pinned;
+  }
+
+  const versions = { ...pinned };
+  for (const key of components) {
+    const chart = session.charts[key].ref;
+    const available = await runStep(
+      `Listing ${chart} versions`,
+      async () => searchChartVersions(chart),
+      `Listed ${chart} versions`
+    );
+    const choices = available.slice(0, VERSION_CHOICES_LIMIT);
+    if (pinned[key] && !choices.some((entry) => entry.version === pinned[key])) {
+      choices.push({ version: pinned[key], appVersion: '' });
+    }
+    const choice = await select({
+      message: `Chart version for the ${key}`,
+      options: [
+        { value: null, label: 'Latest', hint: available[0]?.version },
+        ...choices.map((entry) => ({
+          value: entry.version,
+          label: entry.version,
+          hint: entry.appVersion ? `app ${entry.appVersion}` : undefined,
+        })),
+      ],
+      initialValue: pinned[key],
+    });
+    enforceNotCancelled(choice);
+    versions[key] = choice;
+  }
+  return versions;
+}
+
+async function listNamespaceReleases(namespace) {
+  try {
+    const result = await runShellCommand('helm', ['list', '-n', namespace, '-o', 'json']);
+    return result.stdout ? JSON.parse(result.stdout) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function showUpgradePreview(namespace, charts, { force = false } = {}) {
+  const deployed = await listNamespaceReleases(namespace);
+  const upgrading = charts.some(({ helmArgs }) => findDeployedChart(deployed, helmArgs[2]));
+  if (!upgrading && !force) {
+    return false;
+  }
+
+  console.log(chalk.bold('\n• Upgrade preview'));
+  for (const { label, component, helmArgs } of charts) {
+    const release = helmArgs[2];
+    const { ref: chart, kind } = session.charts[component];
+    const versionIndex = helmArgs.indexOf('--version');
+    const pinned = versionIndex === -1 ? null : helmArgs[versionIndex + 1];
+    const wanted = kind === 'archive' ? chart : `${chart} ${pinned || 'latest'}`;
+    const target = await runStep(
+      `Resolving ${wanted}`,
+      async () => resolveChartTarget(component, pinned),
+      `Resolved ${wanted}`
+    );
+    if (!target) {
+      throw new Error(
+        pinned
+          ? `Chart ${chart} has no version ${pinned}. Run "clustercost versions" to list them.`
+          : `Chart ${chart} not found. Run "helm repo update" and try again.`
+      );
+    }
+    const current = findDeployedChart(deployed, release);
+
+    console.log(
+      `\n${chalk.cyan(label)} ${chalk.gray(`(${release})`)}: ${describeChartVersion(
+        current
+      )} → ${describeChartVersion(target)}`
+    );
+    if (!current) {
+      console.log(chalk.gray('New install; nothing to compare.'));
+      continue;
+    }
+
+    const [currentManifest, targetManifest] = await runStep(
+      `Rendering ${release} manifests`,
+      async () =>
+        Promise.all([
+          runShellCommand('helm', ['get', 'manifest', release, '-n', namespace]),
+          runShellCommand('helm', toTemplateArgs(helmArgs)),
+        ]),
+      `Rendered ${release} manifests`
+    );
+    printPreviewDiff('Rendered manifests', currentManifest.stdout, targetManifest.stdout, {
+      before: `${release} (deployed)`,
+      after: `${release} (${target.version})`,
+    });
+
+    if (current.version === target.version) {
+      console.log(chalk.gray('Chart default values: same chart version, unchanged.'));
+      continue;
+    }
+    if (kind === 'archive') {
+      console.log(chalk.gray('Chart default values: not compared for a local chart archive.'));
+      continue;
+    }
+    const [currentValues, targetValues] = await runStep(
+      `Reading ${chart} default values`,
+      async () =>
+        Promise.all(
+          [current.version, target.version].map((version) =>
+            runShellCommand('helm', [
+              'show',
+              'values',
+              chart,
+              '--version',
+              version,
+              ...chartSourceOptions(component).sourceArgs,
+            ])
+          )
+        ),
+      `Read ${chart} default values`
+    );
+    printPreviewDiff('Chart default values', currentValues.stdout, targetValues.stdout, {
+      before: `${chart} ${current.version}`,
+      after: `${chart} ${target.version}`,
+    });
   }
+  console.log();
+  return upgrading;
+}
 
-  const namespace = resolveDefaultNamespace();
-  const portForwardLabel = namespace
-    ? `Launch dashboard (port-forward · ns: ${namespace})`
-    : 'Launch dashboard (port-forward)';
-
-  return [
-    { label: portForwardLabel, value: 'port-forward' },
-    { label: 'Upgrade ClusterCost (agent + dashboard)', value: 'install' },
-    { label: 'Uninstall ClusterCost', value: 'uninstall' },
-    { label: 'Show debug info', value: 'debug' },
-    { label: 'What is ClusterCost?', value: 'about' },
-    { label: 'Exit', value: 'exit' },
-  ];
+async function resolveChartTarget(component, version) {
+  const { ref, kind } = session.charts[component];
+  if (kind === 'repo') {
+    const available = await searchChartVersions(ref);
+    return version ? available.find((entry) => entry.version === version) : available[0];
+  }
+  return readChartMetadata(component, version);
 }
 
-function hasExistingInstall(state = installState) {
-  return Boolean(state.agent || state.dashboard);
+async function readChartMetadata(component, version) {
+  const { chart, version: pinned, sourceArgs } = chartSourceOptions(component, version);
+  const result = await runShellCommand('helm', [
+    'show',
+    'chart',
+    chart,
+    ...(pinned ? ['--version', pinned] : []),
+    ...sourceArgs,
+  ]);
+  return parseChartMetadata(result.stdout);
 }
 
-function resolveDefaultNamespace() {
-  return (
-    installState.agent?.namespace ||
-    installState.dashboard?.namespace ||
-    DEFAULT_NAMESPACE
-  );
+function printPreviewDiff(title, before, after, labels) {
+  const ops = diffLines(before, after);
+  const { added, removed } = summarizeDiff(ops);
+  if (added === 0 && removed === 0) {
+    console.log(chalk.gray(`${title}: no changes.`));
+    return;
+  }
+
+  console.log(`${title}: ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)} lines`);
+  const lines = formatUnifiedDiff(ops, labels);
+  lines.slice(0, PREVIEW_DIFF_MAX_LINES).forEach((line) => console.log(line));
+  if (lines.length > PREVIEW_DIFF_MAX_LINES) {
+    console.log(
+      chalk.gray(`… ${lines.length - PREVIEW_DIFF_MAX_LINES} more diff lines not shown.`)
+    );
+  }
 }
 
-async function detectInstallState() {
+async function handleVersionsCommand(options = {}) {
+  const limit = options.limit === undefined ? DEFAULT_VERSIONS_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new UsageError('--limit: use a positive whole number.');
+  }
+
+  await configureChartSources(options, false);
+  await prepareHelmRepository();
+  let deployed = [];
   try {
     const result = await runShellCommand('helm', ['list', '-A', '-o', 'json']);
-    const stdout = (result.stdout || '').trim();
-    const releases = stdout ? JSON.parse(stdout) : [];
-    return {
-      agent: findReleaseInfo(releases, AGENT_RELEASE),
-      dashboard: findReleaseInfo(releases, DASHBOARD_RELEASE),
-    };
+    deployed = result.stdout ? JSON.parse(result.stdout) : [];
   } catch {
-    return installState;
+    deployed = [];
   }
-}
 
-function findReleaseInfo(releases, releaseName) {
-  const match = releases.find((release) => release.name === releaseName);
-  if (!match) {
-    return null;
+  const charts = [
+    ['ClusterCost agent', 'agent', session.profile.agentChartVersion],
+    ['ClusterCost dashboard', 'dashboard', session.profile.dashboardChartVersion],
+  ];
+  for (const [label, component, pinned] of charts) {
+    const { ref: chart, kind } = session.charts[component];
+    const installed = findDeployedChart(deployed, session.releases[component])?.version;
+    if (kind !== 'repo') {
+      const metadata = await runStep(
+        `Reading ${chart}`,
+        async () => readChartMetadata(component, pinned),
+        `Read ${chart}`
+      );
+      console.log(chalk.bold(`\n• ${label}`) + chalk.gray(` (${chart})`));
+      const installedNote = installed ? chalk.gray(` (installed: ${installed})`) : '';
+      console.log(`${describeChartVersion(metadata)}${installedNote}`);
+      console.log(chalk.gray('Only Helm repositories can list every available version.'));
+      continue;
+    }
+    const available = await runStep(
+      `Listing ${chart} versions`,
+      async () => searchChartVersions(chart),
+      `Listed ${chart} versions`
+    );
+    console.log(chalk.bold(`\n• ${label}`) + chalk.gray(` (${chart})`));
+    if (available.length === 0) {
+      console.log(chalk.gray('No versions found.'));
+      continue;
+    }
+    formatVersionTable(available, { installed, pinned, limit }).forEach((line) =>
+      console.log(line)
+    );
   }
-  return {
-    namespace: match.namespace,
-    revision: match.revision,
-    updated: match.updated,
-    status: match.status,
-  };
+  console.log(
+    chalk.gray(
+      '\nPin a version with "install --agent-version <v>" or "config set agentChartVersion <v>".\n'
+    )
+  );
 }
 
-function buildAgentBaseUrl(namespace) {
-  return `http://${AGENT_SERVICE_HOST}.${namespace}.svc.cluster.local:${AGENT_SERVICE_PORT}`;
-}
+async function handlePackageCommand(options = {}) {
+  await configureChartSources(options, false);
+  const versions = resolvePinnedVersions(options);
+  const createdAt = new Date();
+  const outputPath = options.output?.trim() || defaultAirgapFileName(createdAt);
+  const { imageRegistry } = session.chartAccess;
 
-export function buildDashboardHelmArgs(namespace) {
-  const args = [
-    'upgrade',
-    '--install',
-    DASHBOARD_RELEASE,
-    DASHBOARD_CHART,
-    '-n',
-    namespace,
-  ];
+  await prepareHelmRepository();
+  const workDir = await mkdtemp(join(tmpdir(), 'clustercost-airgap-'));
+  const charts = [];
+  const images = new Set();
+  const files = [];
+  try {
+    for (const component of Object.keys(CHART_NAMES)) {
+      const { ref, kind } = session.charts[component];
+      const archivePath =
+        kind === 'archive'
+          ? ref
+          : await runStep(
+              `Pulling ${ref} ${versions[component] || 'latest'}`,
+              async () => pullChartArchive(component, versions[component], workDir),
+              `Pulled ${ref}`
+            );
+      const [metadata, rendered] = await runStep(
+        `Listing images used by ${basename(archivePath)}`,
+        async () =>
+          Promise.all([
+            runShellCommand('helm', ['show', 'chart', archivePath]),
+            runShellCommand('helm', ['template', session.releases[component], archivePath]),
+          ]),
+        `Listed images used by ${basename(archivePath)}`
+      );
 
-  if (namespace !== DEFAULT_NAMESPACE) {
-    args.push(
-      '--set-string',
-      `agents[0].baseUrl=${buildAgentBaseUrl(namespace)}`,
-      '--set-string',
-      `agents[0].name=${DEFAULT_AGENT_NAME}`,
-      '--set-string',
-      `agents[0].type=${DEFAULT_AGENT_TYPE}`
-    );
+      const file = `charts/${basename(archivePath)}`;
+      charts.push({ component, ...parseChartMetadata(metadata.stdout), source: ref, file });
+      extractImages(rendered.stdout).forEach((image) => images.add(image));
+      files.push({ path: file, content: await readFile(archivePath) });
+    }
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
   }
 
-  return args;
-}
-
-function showClusterCostOverview() {
-  console.log(chalk.bold('\n• What is ClusterCost?'));
-  console.log(
-    'ClusterCost is a lightweight Kubernetes add-on composed of two pieces: an agent that scrapes cluster cost signals and a dashboard that presents live spend, efficiency, and savings insights.'
+  const imageList = [...images].sort();
+  const manifest = buildAirgapManifest({
+    createdAt: createdAt.toISOString(),
+    cliVersion: await readCliVersion(),
+    charts,
+    images: imageList,
+    registry: imageRegistry,
+  });
+  const root = basename(outputPath).replace(/\.(tar\.gz|tgz)$/, '');
+  const archive = createTarGz(
+    [
+      { path: AIRGAP_MANIFEST, content: `${JSON.stringify(manifest, null, 2)}\n` },
+      { path: AIRGAP_IMAGE_LIST, content: formatImageList(imageList, { registry: imageRegistry }) },
+      ...files,
+    ],
+    { root, mtime: createdAt }
   );
-  console.log(
-    '\nIn the open-source distribution, all metrics stay inside your cluster. Nothing is shipped to our cloud—you remain in full control of data residency.'
+  await runStep(
+    `Writing ${outputPath}`,
+    async () => writeFile(outputPath, archive),
+    `Air-gap package written to ${outputPath}`
   );
+
+  charts.forEach((chart) => {
+    console.log(`  ${chalk.cyan(chart.name)} ${describeChartVersion(chart)}`);
+  });
+  console.log(chalk.gray(`  ${imageList.length} images listed in ${AIRGAP_IMAGE_LIST}.`));
+  const installArgs = [
+    ...charts.map((chart) => `--${chart.component}-chart ${root}/${chart.file}`),
+    ...(imageRegistry ? [`--image-registry ${imageRegistry}`] : []),
+  ];
   console.log(
-    `\nDocs: ${chalk.cyan('https://clustercost.com/docs/introduction/welcome/')} (installation, architecture, and roadmap).\n`
+    chalk.gray(
+      `\nInside the air gap, extract the archive, push the images from ${AIRGAP_IMAGE_LIST} ` +
+        `to your registry and run:\n  clustercost install ${installArgs.join(' ')}\n`
+    )
   );
 }
 
-async function showDebugInfo() {
-  console.log(chalk.bold('\n• Debug info'));
-
-  const context = await safeCommandOutput('kubectl', [
-    'config',
-    'current-context',
+async function pullChartArchive(component, version, workDir) {
+  const destination = join(workDir, component);
+  const { chart, sourceArgs } = chartSourceOptions(component, version);
+  await runShellCommand('helm', [
+    'pull',
+    chart,
+    ...(version ? ['--version', version] : []),
+    '--destination',
+    destination,
+    ...sourceArgs,
   ]);
-  console.log(`${chalk.cyan('Context:')} ${context || 'n/a'}`);
+  const [archive] = (await readdir(destination)).filter((name) => name.endsWith('.tgz'));
+  if (!archive) {
+    throw new Error(`helm pull did not write a chart archive for ${chart}.`);
+  }
+  return join(destination, archive);
+}
 
-  const namespaces = await safeCommandOutput('kubectl', ['get', 'ns']);
-  console.log(`\n${chalk.cyan('Namespaces:')}\n${namespaces || 'n/a'}`);
+async function deployRelease(label, helmArgs, successLabel) {
+  await runStep(label, async () => runMutatingCommand('helm', helmArgs), successLabel);
 
-  const helmVersion = await safeCommandOutput('helm', ['version']);
-  console.log(`\n${chalk.cyan('Helm version:')} ${helmVersion || 'n/a'}`);
+  if (session.renderManifests) {
+    await showRenderedManifests(helmArgs);
+  }
+}
 
-  const helmList = await safeCommandOutput('helm', ['list', '-n', DEFAULT_NAMESPACE]);
-  console.log(`\n${chalk.cyan(`Helm releases (${DEFAULT_NAMESPACE}):`)}\n${helmList || 'n/a'}\n`);
+async function showRenderedManifests(helmArgs) {
+  const release = helmArgs[2];
+  try {
+    const result = await runStep(
+      `Rendering manifests for ${release}`,
+      async () => runShellCommand('helm', [...helmArgs, '--dry-run', '--debug'])
+    );
+    console.log(chalk.dim(result.stdout));
+  } catch (error) {
+    console.log(
+      chalk.yellow(
+        `• Could not render manifests for ${release}: ${error.commandError?.stderr || error.message}`
+      )
+    );
+  }
 }
 
-async function runShellCommand(command, args = [], options = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      ...options,
-    });
-    let stdout = '';
-    let stderr = '';
+async function verifyInstallReadiness(namespace, timeout) {
+  const deadline = Date.now() + parseDuration(timeout) * 1000;
+  const components = [
+    { component: 'agent', release: session.releases.agent },
+    { component: 'dashboard', release: session.releases.dashboard },
+  ];
 
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+  const rows = [];
+  for (const component of components) {
+    rows.push(...(await waitForComponentRollout(component, namespace, deadline)));
+  }
 
-    child.on('error', (error) => {
-      reject(error);
-    });
+  const dashboardWorkload = rows.find((row) => row.component === 'dashboard' && row.ok)?.target;
+  rows.push(await checkAgentReachability(namespace, dashboardWorkload));
 
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve({ stdout: stdout.trim(), stderr: stderr.trim(), code });
-      } else {
-        const error = new Error(`Command failed: ${command} ${args.join(' ')}`.trim());
-        error.code = code;
-        error.stdout = stdout.trim();
-        error.stderr = stderr.trim();
-        error.command = `${command} ${args.join(' ')}`.trim();
-        reject(error);
-      }
-    });
-  });
+  console.log(chalk.bold('\n• Readiness'));
+  formatReadinessTable(rows).forEach((line) => console.log(line));
+
+  const failing = rows.filter((row) => !row.ok && row.release);
+  for (const release of [...new Set(failing.map((row) => row.release))]) {
+    await showPodDiagnostics(release, namespace);
+  }
+
+  return rows.every((row) => row.ok);
 }
 
-async function commandExists(binary) {
+async function waitForComponentRollout({ component, release }, namespace, deadline) {
+  let workloads;
   try {
-    await runShellCommand('which', [binary]);
-    return true;
-  } catch {
-    return false;
+    const result = await runShellCommand('kubectl', [
+      'get',
+      'deployments,daemonsets,statefulsets',
+      '-n',
+      namespace,
+      '-l',
+      `${INSTANCE_LABEL}=${release}`,
+      '-o',
+      'name',
+    ]);
+    workloads = result.stdout.split('\n').filter(Boolean);
+  } catch (error) {
+    return [
+      { component, release, target: release, ok: false, status: error.stderr || 'lookup failed' },
+    ];
+  }
+
+  if (workloads.length === 0) {
+    return [{ component, release, target: release, ok: false, status: 'no workloads found' }];
   }
+
+  const rows = [];
+  for (const workload of workloads) {
+    const remaining = Math.max(1, Math.round((deadline - Date.now()) / 1000));
+    let ok = true;
+    let status = 'ready';
+    try {
+      await runStep(
+        `Waiting for ${workload} to roll out`,
+        async () =>
+          runShellCommand('kubectl', [
+            'rollout',
+            'status',
+            workload,
+            '-n',
+            namespace,
+            `--timeout=${remaining}s`,
+          ]),
+        `${workload} is ready`
+      );
+    } catch (error) {
+      ok = false;
+      status = /timed out|exceeded/i.test(error.commandError?.stderr || '')
+        ? 'timed out'
+        : 'not ready';
+    }
+
+    rows.push({
+      component,
+      release,
+      target: workload,
+      ready: await readWorkloadReadiness(workload, namespace),
+      ok,
+      status,
+    });
+  }
+  return rows;
 }
 
-async function namespaceExists(namespace) {
+async function readWorkloadReadiness(workload, namespace) {
   try {
-    await runShellCommand('kubectl', ['get', 'namespace', namespace]);
-    return true;
+    const result = await runShellCommand('kubectl', ['get', workload, '-n', namespace, '-o', 'json']);
+    const { ready, desired } = workloadReadiness(JSON.parse(result.stdout));
+    return `${ready}/${desired}`;
   } catch {
-    return false;
+    return undefined;
   }
 }
 
-async function prepareHelmRepository() {
-  const repoExists = await helmRepoExists(HELM_REPO_NAME);
+async function checkAgentReachability(namespace, dashboardWorkload) {
+  const baseUrl = buildAgentBaseUrl(namespace, session.releases.agent);
+  const row = { component: 'agent API', target: baseUrl, ok: false, status: 'unreachable' };
 
-  if (!repoExists) {
-    await runStep(
-      'Adding ClusterCost Helm repository',
-      async () => runShellCommand('helm', ['repo', 'add', HELM_REPO_NAME, HELM_REPO_URL]),
-      'ClusterCost Helm repository added'
-    );
-  } else {
-    console.log(chalk.gray('• Helm repository already configured.'));
+  if (dashboardWorkload) {
+    const probe =
+      'if command -v curl >/dev/null 2>&1; then curl -sS -o /dev/null -m 5 "$0"; ' +
+      'elif command -v wget >/dev/null 2>&1; then wget -S -O /dev/null -T 5 "$0" 2>&1 | grep -q "HTTP/"; ' +
+      'else exit 127; fi';
+    try {
+      await runShellCommand('kubectl', [
+        'exec',
+        '-n',
+        namespace,
+        dashboardWorkload,
+        '--',
+        'sh',
+        '-c',
+        probe,
+        baseUrl,
+      ]);
+      return { ...row, ok: true, status: 'reachable from dashboard' };
+    } catch (error) {
+      const probeUnavailable =
+        error.code === 126 || error.code === 127 || /not found|no such file/i.test(error.stderr || '');
+      if (!probeUnavailable) {
+        return row;
+      }
+    }
   }
 
-  await runStep(
-    'Updating Helm repositories',
-    async () => runShellCommand('helm', ['repo', 'update']),
-    'Helm repositories updated'
-  );
-}
-
-async function helmRepoExists(name) {
   try {
-    const result = await runShellCommand('helm', ['repo', 'list', '-o', 'json']);
-    if (!result.stdout) {
-      return false;
+    const result = await runShellCommand('kubectl', [
+      'get',
+      'endpoints',
+      buildAgentServiceHost(session.releases.agent),
+      '-n',
+      namespace,
+      '-o',
+      'json',
+    ]);
+    const endpoints = JSON.parse(result.stdout);
+    const addresses = (endpoints.subsets || []).flatMap((subset) => subset.addresses || []);
+    if (addresses.length > 0) {
+      return { ...row, ok: true, status: `service has ${addresses.length} ready endpoint(s)` };
     }
-    const repositories = JSON.parse(result.stdout);
-    return Array.isArray(repositories) && repositories.some((repo) => repo.name === name);
+    return { ...row, status: 'service has no ready endpoints' };
   } catch {
-    return false;
+    return { ...row, status: 'agent service not found' };
   }
 }
 
-async function helmReleaseExists(release, namespace) {
+async function showPodDiagnostics(release, namespace) {
+  let pods = [];
+  let events = [];
   try {
-    await runShellCommand('helm', ['status', release, '-n', namespace]);
-    return true;
+    const result = await runShellCommand('kubectl', [
+      'get',
+      'pods',
+      '-n',
+      namespace,
+      '-l',
+      `${INSTANCE_LABEL}=${release}`,
+      '-o',
+      'json',
+    ]);
+    pods = JSON.parse(result.stdout).items || [];
+    const eventsResult = await runShellCommand('kubectl', [
+      'get',
+      'events',
+      '-n',
+      namespace,
+      '-o',
+      'json',
+    ]);
+    events = JSON.parse(eventsResult.stdout).items || [];
   } catch {
-    return false;
+    // Diagnostics are best effort; the readiness table already reports the failure.
   }
-}
-
-async function deployAgent(namespace) {
-  await runStep(
-    'Deploying ClusterCost agent',
-    async () =>
-      runShellCommand('helm', [
-        'upgrade',
-        '--install',
-        AGENT_RELEASE,
-        AGENT_CHART,
-        '-n',
-        namespace,
-        '--create-namespace',
-      ]),
-    'ClusterCost agent deployed'
-  );
-}
 
-async function deployDashboard(namespace) {
-  await runStep(
-    'Deploying ClusterCost dashboard',
-    async () => runShellCommand('helm', buildDashboardHelmArgs(namespace)),
-    'ClusterCost dashboard deployed'
-  );
+  pods
+    .map(diagnosePod)
+    .filter((pod) => !pod.ready)
+    .forEach((pod) => {
+      console.log(chalk.yellow(`\n• Pod ${pod.name} (${pod.phase})`));
+      pod.problems.forEach((problem) => console.log(`  ${problem}`));
+      selectPodEvents(events, pod.name).forEach((event) => console.log(chalk.gray(`  ${event}`)));
+    });
 }
 
-function displayInstallSummary(namespace) {
-  console.log(chalk.greenBright('\n✔ ClusterCost installation complete!'));
-  console.log(`${chalk.gray('Namespace:')} ns: ${chalk.cyan(namespace)}`);
-  console.log(`${chalk.gray('Agent release:')} ${AGENT_RELEASE}`);
-  console.log(`${chalk.gray('Dashboard release:')} ${DASHBOARD_RELEASE}`);
+function displayInstallSummary(namespace, { interactive = true, ready = null } = {}) {
   console.log(
-    chalk.gray('\nNext steps: select "Open dashboard (port-forward)" from the main menu to launch the UI.\n')
+    ready === false
+      ? chalk.yellow('\n⚠ ClusterCost was deployed, but some components are not ready yet.')
+      : chalk.greenBright('\n✔ ClusterCost installation complete!')
   );
+  console.log(`${chalk.gray('Namespace:')} ns: ${chalk.cyan(namespace)}`);
+  console.log(`${chalk.gray('Agent release:')} ${session.releases.agent}`);
+  console.log(`${chalk.gray('Dashboard release:')} ${session.releases.dashboard}`);
+  const nextStep = interactive
+    ? 'select "Open dashboard (port-forward)" from the main menu'
+    : `run "clustercost port-forward -n ${namespace}"`;
+  console.log(chalk.gray(`\nNext steps: ${nextStep} to launch the UI.\n`));
 }
 
-async function establishPortForward(namespace, serviceName, localPort) {
-  const args = [
-    'port-forward',
-    '-n',
-    namespace,
-    `svc/${serviceName}`,
-    `${localPort}:${DASHBOARD_TARGET_PORT}`,
-  ];
+async function establishPortForward(namespace, serviceName, localPort, { openBrowser = false } = {}) {
+  const args = withKubeTarget(
+    'kubectl',
+    [
+      'port-forward',
+      '-n',
+      namespace,
+      `svc/${serviceName}`,
+      `${localPort}:${DASHBOARD_TARGET_PORT}`,
+    ],
+    session.kube
+  );
+  const dashboardUrl = `http://localhost:${localPort}`;
 
-  const forwardSpinner = ora('Establishing port-forward...').start();
+  const forwardSpinner = startSpinner('Establishing port-forward...');
 
-  const child = spawn('kubectl', args, {
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
+  let child = null;
+  let everConnected = false;
+  let stopping = false;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let connectedAt = 0;
+  let healthTimer = null;
 
-  let stdout = '';
-  let stderr = '';
-  let connected = false;
+  await new Promise((resolve, reject) => {
+    const stopHealthProbe = () => {
+      clearInterval(healthTimer);
+      healthTimer = null;
+    };
 
-  child.stdout.on('data', (data) => {
-    const text = data.toString();
-    stdout += text;
-    if (!connected && text.toLowerCase().includes('forwarding from')) {
-      connected = true;
-      forwardSpinner.succeed('Dashboard tunnel established');
-      console.log(chalk.green(`Dashboard available at http://localhost:${localPort}`));
-      console.log(chalk.dim('Press Ctrl+C to stop the port-forward.\n'));
-    }
-    process.stdout.write(text);
-  });
+    const finish = (error) => {
+      stopHealthProbe();
+      clearTimeout(reconnectTimer);
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      process.off('exit', killChild);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
 
-  child.stderr.on('data', (data) => {
-    const text = data.toString();
-    stderr += text;
-    process.stderr.write(text);
-  });
+    const killChild = () => {
+      if (child && child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGTERM');
+      }
+    };
 
-  const exitPromise = new Promise((resolve, reject) => {
-    child.on('error', (error) => {
-      if (!connected) {
-        forwardSpinner.fail('Failed to establish port-forward');
+    const onSignal = () => {
+      stopping = true;
+      console.log(chalk.dim('\nStopping port-forward...'));
+      if (child && child.exitCode === null && child.signalCode === null) {
+        killChild();
+      } else {
+        finish();
       }
-      const wrapped = new StepError('Open dashboard port-forward', error);
-      reject(wrapped);
-    });
+    };
 
-    child.on('close', (code, signal) => {
-      if (!connected) {
-        forwardSpinner.fail('Failed to establish port-forward');
-        const error = new Error('kubectl port-forward exited early');
+    const startHealthProbe = () => {
+      let consecutiveFailures = 0;
+      stopHealthProbe();
+      healthTimer = setInterval(async () => {
+        const healthy = await probeHttp(localPort);
+        consecutiveFailures = healthy ? 0 : consecutiveFailures + 1;
+        if (consecutiveFailures >= PORT_FORWARD_PROBE_FAILURES && !stopping) {
+          console.log(chalk.yellow('Dashboard is not answering through the tunnel; restarting it.'));
+          stopHealthProbe();
+          killChild();
+        }
+      }, PORT_FORWARD_PROBE_INTERVAL_MS);
+    };
+
+    const scheduleReconnect = (stderr) => {
+      if (connectedAt && Date.now() - connectedAt >= PORT_FORWARD_STABLE_MS) {
+        reconnectAttempts = 0;
+      }
+      connectedAt = 0;
+      reconnectAttempts += 1;
+      if (reconnectAttempts > PORT_FORWARD_MAX_RECONNECTS) {
+        const error = new Error(
+          `kubectl port-forward kept failing after ${PORT_FORWARD_MAX_RECONNECTS} reconnect attempts`
+        );
         error.command = `kubectl ${args.join(' ')}`;
-        error.stderr = stderr.trim() || stdout.trim();
-        reject(new StepError('Open dashboard port-forward', error));
+        error.stderr = stderr;
+        finish(new StepError('Open dashboard port-forward', error));
         return;
       }
 
-      if (signal === 'SIGINT' || code === 0) {
-        resolve();
-      } else {
-        const error = new Error('kubectl port-forward exited unexpectedly');
-        error.command = `kubectl ${args.join(' ')}`;
-        error.stderr = stderr.trim() || stdout.trim();
-        reject(new StepError('Open dashboard port-forward', error));
-      }
-    });
+      const delay = nextBackoffDelay(reconnectAttempts);
+      console.log(
+        chalk.yellow(
+          `Tunnel dropped; reconnecting in ${delay / 1000}s (attempt ${reconnectAttempts}/${PORT_FORWARD_MAX_RECONNECTS})...`
+        )
+      );
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const connect = () => {
+      let stdout = '';
+      let stderr = '';
+      let connected = false;
+      const startedAt = new Date();
+
+      child = spawn('kubectl', args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      child.stdout.on('data', (data) => {
+        const text = data.toString();
+        stdout += text;
+        if (!connected && text.toLowerCase().includes('forwarding from')) {
+          connected = true;
+          connectedAt = Date.now();
+          if (!everConnected) {
+            everConnected = true;
+            forwardSpinner.succeed('Dashboard tunnel established');
+            console.log(chalk.green(`Dashboard available at ${dashboardUrl}`));
+            console.log(chalk.dim('Press Ctrl+C to stop the port-forward.\n'));
+            if (openBrowser) {
+              openInBrowser(dashboardUrl);
+            }
+          } else {
+            console.log(chalk.green('Tunnel re-established.'));
+          }
+          startHealthProbe();
+        }
+        process.stdout.write(text);
+      });
+
+      child.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr += text;
+        process.stderr.write(text);
+      });
+
+      child.on('error', (error) => {
+        if (!everConnected) {
+          forwardSpinner.fail('Failed to establish port-forward');
+          finish(new StepError('Open dashboard port-forward', error));
+        }
+      });
+
+      child.on('close', (code, signal) => {
+        recordAudit('kubectl', args, { startedAt, exitCode: code, signal, stderr });
+        stopHealthProbe();
+        if (stopping) {
+          finish();
+          return;
+        }
+
+        if (!everConnected) {
+          forwardSpinner.fail('Failed to establish port-forward');
+          const error = new Error('kubectl port-forward exited early');
+          error.command = `kubectl ${args.join(' ')}`;
+          error.stderr = stderr.trim() || stdout.trim();
+          finish(new StepError('Open dashboard port-forward', error));
+          return;
+        }
+
+        scheduleReconnect(stderr.trim() || stdout.trim());
+      });
+    };
+
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    process.on('exit', killChild);
+    connect();
+  });
+}
+
+async function resolveAvailablePort(localPort, interactive) {
+  if (await isPortAvailable(localPort)) {
+    return localPort;
+  }
+
+  const freePort = await findAvailablePort(localPort + 1);
+  if (!freePort) {
+    throw new UsageError(`Local port ${localPort} is already in use and no free port was found nearby.`);
+  }
+
+  if (!interactive) {
+    console.log(chalk.yellow(`• Local port ${localPort} is in use; using ${freePort} instead.`));
+    return freePort;
+  }
+
+  const useFreePort = await confirmAction({
+    message: `Local port ${localPort} is already in use. Use ${freePort} instead?`,
+    initialValue: true,
   });
+  enforceNotCancelled(useFreePort);
+  if (!useFreePort) {
+    throw new OperationCancelledError();
+  }
+  return freePort;
+}
 
-  await exitPromise;
+function openInBrowser(url) {
+  const { command, args } = browserCommand(url);
+  try {
+    const opener = spawn(command, args, { stdio: 'ignore', detached: true });
+    opener.on('error', () => {
+      console.log(chalk.dim(`Could not open a browser; visit ${url} manually.`));
+    });
+    opener.unref();
+  } catch {
+    console.log(chalk.dim(`Could not open a browser; visit ${url} manually.`));
+  }
 }
 
 async function runStep(label, fn, successLabel) {
-  const spinner = ora(label).start();
+  const spinner = startSpinner(label);
+  const step = { label, status: 'running', durationMs: null };
+  session.steps.push(step);
+  const startedAt = Date.now();
+  const finish = (status) => {
+    step.status = status;
+    step.durationMs = Date.now() - startedAt;
+  };
   try {
     const result = await fn();
-    spinner.succeed(successLabel || label);
+    if (result?.planned) {
+      finish('planned');
+      spinner?.info(`${label} (planned)`);
+    } else {
+      finish('succeeded');
+      spinner?.succeed(successLabel || label);
+    }
     return result;
   } catch (error) {
-    spinner.fail(label);
+    finish('failed');
+    spinner?.fail(label);
     if (error instanceof StepError) {
       throw error;
     }
@@ -741,6 +5156,13 @@ async function runStep(label, fn, successLabel) {
   }
 }
 
+function startSpinner(label) {
+  if (session.output === 'json') {
+    return null;
+  }
+  return session.terminal.plain ? createPlainSpinner(label).start() : ora(label).start();
+}
+
 async function safeCommandOutput(command, args) {
   try {
     const result = await runShellCommand(command, args);
@@ -0,0 +1,92 @@
+import { CHART_NAMES, splitChartVersion } from './charts.mjs';
+
+const COMPONENTS = Object.keys(CHART_NAMES);
+
+// Mirrors Helm's default "fullname" helper: a release name that already contains the
+// chart name is used as-is, otherwise the two are joined. Kubernetes names stop at 63.
+export function chartFullname(release, chart) {
+  const name = release.includes(chart) ? release : `${release}-${chart}`;
+  return name.slice(0, 63).replace(/-+$/, '');
+}
+
+export function releaseComponent(release) {
+  const { name } = splitChartVersion(release?.chart);
+  return COMPONENTS.find((component) => CHART_NAMES[component] === name) || null;
+}
+
+function describeRelease(release) {
+  const chart = splitChartVersion(release.chart);
+  return {
+    release: release.name,
+    namespace: release.namespace,
+    revision: release.revision,
+    updated: release.updated,
+    status: release.status,
+    chartVersion: chart.version,
+    appVersion: release.app_version || '',
+  };
+}
+
+// "staging-agent" and "staging-dashboard" belong together; so do the default
+// "clustercost-agent" and "clustercost-dashboard".
+function releaseStem(name) {
+  return name.replace(/-(agent|dashboard)$/, '');
+}
+
+// Groups the ClusterCost releases from "helm list -A -o json" into installs, matching
+// releases by chart name so custom release names are found too. A namespace holding a
+// single agent and dashboard is one install; otherwise releases are paired by name.
+export function groupInstalls(releases) {
+  const byNamespace = new Map();
+  (releases || []).forEach((release) => {
+    const component = releaseComponent(release);
+    if (component) {
+      const entries = byNamespace.get(release.namespace) || [];
+      entries.push({ component, release });
+      byNamespace.set(release.namespace, entries);
+    }
+  });
+
+  const installs = [];
+  byNamespace.forEach((entries, namespace) => {
+    const paired = COMPONENTS.every(
+      (component) => entries.filter((entry) => entry.component === component).length <= 1
+    );
+    const groups = new Map();
+    entries.forEach(({ component, release }) => {
+      let key = paired ? namespace : `${namespace}/${releaseStem(release.name)}`;
+      if (groups.get(key)?.[component]) {
+        key = `${namespace}/${release.name}`;
+      }
+      const install = groups.get(key) || { namespace, agent: null, dashboard: null };
+      install[component] = describeRelease(release);
+      groups.set(key, install);
+    });
+    installs.push(...groups.values());
+  });
+
+  return installs.sort(
+    (a, b) =>
+      a.namespace.localeCompare(b.namespace) || describeInstall(a).localeCompare(describeInstall(b))
+  );
+}
+
+// Picks the install a command should act on, preferring one in the requested namespace,
+// then one using the requested release names, then the first one found.
+export function selectInstall(installs, { namespace = null, releases = {} } = {}) {
+  const usesReleases = (install) =>
+    COMPONENTS.some(
+      (component) => releases?.[component] && releases[component] === install[component]?.release
+    );
+  const score = (install) =>
+    (namespace && install.namespace === namespace ? 2 : 0) + (usesReleases(install) ? 1 : 0);
+  return (installs || []).reduce(
+    (best, install) => (!best || score(install) > score(best) ? install : best),
+    null
+  );
+}
+
+export function describeInstall(install) {
+  const names = COMPONENTS.map((component) => install[component]?.release).filter(Boolean);
+  return `${install.namespace} (${names.join(', ')})`;
+}
@@ -0,0 +1,27 @@
+// Global flags that point kubectl and helm at the chosen context and kubeconfig. They
+// go before the subcommand so they never end up after a "--" separator, and flags the
+// caller already passed (e.g. a fleet install targeting one context) are left alone.
+const TARGET_FLAGS = {
+  kubectl: { context: '--context', kubeconfig: '--kubeconfig' },
+  helm: { context: '--kube-context', kubeconfig: '--kubeconfig' },
+};
+
+export function withKubeTarget(command, args, { context = null, kubeconfig = null } = {}) {
+  const flags = TARGET_FLAGS[command];
+  if (!flags) {
+    return args;
+  }
+  const has = (flag) => args.some((arg) => arg === flag || arg.startsWith(`${flag}=`));
+  return [
+    ...(kubeconfig && !has(flags.kubeconfig) ? [flags.kubeconfig, kubeconfig] : []),
+    ...(context && !has(flags.context) ? [flags.context, context] : []),
+    ...args,
+  ];
+}
+
+export function parseContextNames(stdout) {
+  return (stdout || '')
+    .split('\n')
+    .map((context) => context.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,165 @@
+import chalk from 'chalk';
+
+export const LOG_COMPONENTS = ['agent', 'dashboard'];
+export const DEFAULT_LOG_TAIL = 100;
+
+const POD_COLORS = [
+  chalk.cyan,
+  chalk.magenta,
+  chalk.yellow,
+  chalk.green,
+  chalk.blue,
+  chalk.cyanBright,
+  chalk.magentaBright,
+  chalk.yellowBright,
+  chalk.greenBright,
+  chalk.blueBright,
+];
+const TIME_KEYS = ['time', 'ts', 'timestamp', '@timestamp'];
+const LEVEL_KEYS = ['level', 'lvl', 'severity'];
+const MESSAGE_KEYS = ['msg', 'message'];
+const LEVEL_COLORS = {
+  debug: chalk.gray,
+  info: chalk.green,
+  warn: chalk.yellow,
+  warning: chalk.yellow,
+  error: chalk.red,
+  fatal: chalk.red,
+};
+
+/**
+ * The pods to stream from, as listed by "kubectl get pods -o json": name, release and
+ * containers, sorted by release so each component's replicas are grouped and keep
+ * their color from one run to the next.
+ */
+export function selectLogPods(items, releases, instanceLabel) {
+  return (items || [])
+    .filter((pod) => releases.includes(pod.metadata?.labels?.[instanceLabel]))
+    .map((pod) => ({
+      name: pod.metadata.name,
+      release: pod.metadata.labels[instanceLabel],
+      containers: (pod.spec?.containers || []).map((container) => container.name),
+    }))
+    .sort((a, b) => a.release.localeCompare(b.release) || a.name.localeCompare(b.name));
+}
+
+// One "kubectl logs" for every selected pod. --prefix tags each line with the pod and
+// container it came from, and --max-log-requests lets it follow all of them at once.
+// kubectl wants a unit on --since, so a bare number of seconds gets one.
+export function buildLogsArgs({ namespace, selector, pods, follow, since, tail, previous }) {
+  const streams = pods.reduce((total, pod) => total + Math.max(pod.containers.length, 1), 0);
+  const sinceValue = since && String(since).trim().replace(/^\d+$/, '$&s');
+  return [
+    'logs',
+    '-n',
+    namespace,
+    '-l',
+    selector,
+    '--prefix',
+    '--all-containers',
+    `--tail=${tail}`,
+    ...(sinceValue ? [`--since=${sinceValue}`] : []),
+    ...(previous ? ['--previous'] : []),
+    ...(follow ? ['--follow', `--max-log-requests=${Math.max(streams, 5)}`] : []),
+  ];
+}
+
+export function parseLogLine(line) {
+  const match = /^\[pod\/([^/\]]+)\/([^\]]+)\] ?(.*)$/.exec(line);
+  if (!match) {
+    return { pod: null, container: null, message: line };
+  }
+  return { pod: match[1], container: match[2], message: match[3] };
+}
+
+/**
+ * Builds the prefix printer: the pod name in its own color, padded so messages line up,
+ * with the container name added only for pods that run more than one.
+ */
+export function createLogPrefixer(pods) {
+  const multi = new Set(pods.filter((pod) => pod.containers.length > 1).map((pod) => pod.name));
+  const label = (pod, container) => (multi.has(pod) ? `${pod}/${container}` : pod);
+  const width = Math.max(
+    0,
+    ...pods.flatMap((pod) => pod.containers.map((container) => label(pod.name, container).length))
+  );
+  const colors = new Map(
+    pods.map((pod, index) => [pod.name, POD_COLORS[index % POD_COLORS.length]])
+  );
+  return (pod, container) => {
+    if (!pod) {
+      return '';
+    }
+    const color = colors.get(pod) || chalk.white;
+    return `${color(label(pod, container).padEnd(width))} ${chalk.gray('|')} `;
+  };
+}
+
+// A grep-style filter over the message; validateLogFilter reports an invalid expression.
+export function buildLogFilter(pattern, { ignoreCase = false } = {}) {
+  if (!pattern) {
+    return { test: () => true };
+  }
+  return new RegExp(pattern, ignoreCase ? 'i' : '');
+}
+
+export function validateLogFilter(pattern) {
+  try {
+    buildLogFilter(pattern);
+    return undefined;
+  } catch (error) {
+    return `Not a valid regular expression: ${error.message}`;
+  }
+}
+
+export function validateTail(value) {
+  return /^\d+$/.test(String(value ?? '').trim()) ? undefined : 'Use a whole number of lines.';
+}
+
+function pickField(entry, keys) {
+  const key = keys.find((name) => entry[name] !== undefined && typeof entry[name] !== 'object');
+  return key ? { key, value: String(entry[key]) } : null;
+}
+
+function formatFieldValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Turns a structured (JSON) log line into "time LEVEL message key=value ...". Lines that
+ * are not a JSON object are returned unchanged.
+ */
+export function prettyPrintJsonLog(message) {
+  const trimmed = message.trim();
+  if (!trimmed.startsWith('{')) {
+    return message;
+  }
+  let entry;
+  try {
+    entry = JSON.parse(trimmed);
+  } catch {
+    return message;
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return message;
+  }
+
+  const time = pickField(entry, TIME_KEYS);
+  const level = pickField(entry, LEVEL_KEYS);
+  const text = pickField(entry, MESSAGE_KEYS);
+  const used = new Set([time?.key, level?.key, text?.key]);
+  const levelName = level?.value.toLowerCase();
+  const fields = Object.entries(entry)
+    .filter(([key]) => !used.has(key))
+    .map(([key, value]) => `${chalk.gray(`${key}=`)}${formatFieldValue(value)}`);
+
+  return [
+    time ? chalk.gray(time.value) : null,
+    level ? (LEVEL_COLORS[levelName] || chalk.white)(level.value.toUpperCase().padEnd(5)) : null,
+    text?.value ?? null,
+    ...fields,
+  ]
+    .filter((part) => part !== null && part !== '')
+    .join(' ');
+}
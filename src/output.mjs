@@ -0,0 +1,60 @@
+export const OUTPUT_FORMATS = ['text', 'json'];
+export const OUTPUT_SCHEMA_VERSION = 1;
+
+export function validateOutputFormat(value) {
+  return OUTPUT_FORMATS.includes(value) ? undefined : `Use one of: ${OUTPUT_FORMATS.join(', ')}.`;
+}
+
+// parseCliArgs can fail before the options are known; this lets a usage error still be
+// reported as JSON when the caller asked for it.
+export function requestsJsonOutput(argv = []) {
+  return argv.some(
+    (arg, index) => arg === '--output=json' || (arg === '--output' && argv[index + 1] === 'json')
+  );
+}
+
+export function serializeError(error) {
+  if (!error) {
+    return null;
+  }
+  const commandError = error.commandError;
+  return {
+    type: error.name || 'Error',
+    message: error.message,
+    ...(error.step ? { step: error.step } : {}),
+    ...(commandError
+      ? {
+          command: commandError.command || null,
+          exitCode: typeof commandError.code === 'number' ? commandError.code : null,
+          stderr: commandError.stderr || '',
+          cause: commandError.message || null,
+        }
+      : {}),
+  };
+}
+
+export function buildOutputDocument({
+  command,
+  exitCode = 0,
+  startedAt,
+  finishedAt = new Date(),
+  state = null,
+  result = {},
+  steps = [],
+  error = null,
+  ...details
+}) {
+  return {
+    schemaVersion: OUTPUT_SCHEMA_VERSION,
+    command,
+    ok: exitCode === 0,
+    exitCode,
+    ...details,
+    startedAt: startedAt.toISOString(),
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    state,
+    result,
+    steps,
+    error: serializeError(error),
+  };
+}
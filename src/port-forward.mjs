@@ -0,0 +1,51 @@
+import { createServer } from 'node:net';
+import { request } from 'node:http';
+
+export function isPortAvailable(port, host = '127.0.0.1') {
+  return new Promise((resolve) => {
+    const server = createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => {
+      server.close(() => resolve(true));
+    });
+    server.listen(port, host);
+  });
+}
+
+export async function findAvailablePort(start, { attempts = 20, host = '127.0.0.1' } = {}) {
+  for (let port = start; port < start + attempts && port <= 65535; port += 1) {
+    if (await isPortAvailable(port, host)) {
+      return port;
+    }
+  }
+  return null;
+}
+
+export function nextBackoffDelay(attempt, { base = 1000, max = 30000 } = {}) {
+  return Math.min(max, base * 2 ** Math.max(0, attempt - 1));
+}
+
+export function browserCommand(url, platform = process.platform) {
+  if (platform === 'darwin') {
+    return { command: 'open', args: [url] };
+  }
+  if (platform === 'win32') {
+    return { command: 'cmd', args: ['/c', 'start', '""', url] };
+  }
+  return { command: 'xdg-open', args: [url] };
+}
+
+export function probeHttp(port, { host = '127.0.0.1', timeout = 3000 } = {}) {
+  return new Promise((resolve) => {
+    const probe = request({ host, port, path: '/', method: 'GET', timeout }, (response) => {
+      response.resume();
+      resolve(true);
+    });
+    probe.on('timeout', () => {
+      probe.destroy();
+      resolve(false);
+    });
+    probe.on('error', () => resolve(false));
+    probe.end();
+  });
+}
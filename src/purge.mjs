@@ -0,0 +1,138 @@
+import chalk from 'chalk';
+import { CHART_NAMES } from './charts.mjs';
+import { chartFullname } from './installs.mjs';
+
+// Set on namespaces the CLI creates, so a purge knows which ones it may remove.
+export const CREATED_BY_LABEL = 'app.kubernetes.io/created-by';
+export const CREATED_BY_VALUE = 'clustercost-cli';
+
+export const CLUSTER_SCOPED_KINDS = [
+  'clusterroles',
+  'clusterrolebindings',
+  'customresourcedefinitions',
+  'mutatingwebhookconfigurations',
+  'validatingwebhookconfigurations',
+];
+
+const PROTECTED_NAMESPACES = ['default', 'kube-system', 'kube-public', 'kube-node-lease'];
+
+// Helm-standard labels that identify ClusterCost objects: the release names, which Helm
+// sets on everything it renders, and the chart names, which are also on the CRDs Helm
+// leaves behind. Chart names are shared by every install on the cluster.
+export function leftoverSelectors(releases) {
+  return {
+    release: `app.kubernetes.io/instance in (${releases.join(',')})`,
+    chart: `app.kubernetes.io/name in (${Object.values(CHART_NAMES).join(',')})`,
+  };
+}
+
+export function parseResourceList(stdout) {
+  const list = stdout && stdout.trim() ? JSON.parse(stdout) : {};
+  return (list.items || []).map((item) => ({
+    kind: item.kind,
+    name: item.metadata?.name,
+    namespace: item.metadata?.namespace || null,
+    labels: item.metadata?.labels || {},
+  }));
+}
+
+export function uniqueResources(resources) {
+  const seen = new Set();
+  return resources.filter((resource) => {
+    const key = `${resource.kind}/${resource.namespace || ''}/${resource.name}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+export function resourceRef(resource) {
+  return `${resource.kind.toLowerCase()}/${resource.name}`;
+}
+
+// Names a release's StatefulSets can have: the release itself, or Helm's fullname.
+function workloadNames(release) {
+  return [release, ...Object.values(CHART_NAMES).map((chart) => chartFullname(release, chart))];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The release a StatefulSet claim ("<template>-<workload>-<ordinal>") was made for. When
+// several release names fit, the longest wins, so "agent" does not claim "agent-staging".
+function claimRelease(name, releases) {
+  const matches = releases.filter((release) =>
+    workloadNames(release).some((workload) =>
+      new RegExp(`^[a-z0-9]([-a-z0-9]*[a-z0-9])?-${escapeRegExp(workload)}-\\d+$`).test(name)
+    )
+  );
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Objects carry the release in their instance label. Only claims without one fall back
+// to the StatefulSet naming scheme; `otherReleases` are the installs that must be kept.
+export function belongsToReleases(resource, releases, otherReleases = []) {
+  const instance = resource.labels?.['app.kubernetes.io/instance'];
+  if (instance) {
+    return releases.includes(instance);
+  }
+  return (
+    resource.kind === 'PersistentVolumeClaim' &&
+    releases.includes(claimRelease(resource.name, [...releases, ...otherReleases]))
+  );
+}
+
+// Decides whether the namespace is safe to delete: only when the CLI created it and
+// nothing but ClusterCost objects are left in it. System namespaces are never deleted.
+export function assessNamespace({ name, labels = {} }, remaining, releases, otherReleases = []) {
+  const foreign = remaining.filter(
+    (resource) => !belongsToReleases(resource, releases, otherReleases)
+  );
+  const createdByCli = labels[CREATED_BY_LABEL] === CREATED_BY_VALUE;
+  const protectedNamespace = PROTECTED_NAMESPACES.includes(name);
+  let reason = null;
+  if (protectedNamespace) {
+    reason = 'system namespace';
+  } else if (!createdByCli) {
+    reason = 'not created by the ClusterCost CLI';
+  } else if (foreign.length > 0) {
+    reason = `${foreign.length} other resource${foreign.length === 1 ? '' : 's'} still in it`;
+  }
+  return { name, foreign, protected: protectedNamespace, safe: reason === null, reason };
+}
+
+export function formatLeftovers({ namespace, pvcs, clusterObjects }) {
+  const lines = [];
+  const section = (title, items) => {
+    lines.push(chalk.cyan(`${title} (${items.length})`));
+    if (items.length === 0) {
+      lines.push(chalk.gray('  none'));
+    }
+    items.forEach((item) => lines.push(`  ${item}`));
+  };
+
+  section(
+    'Namespace',
+    namespace
+      ? [`${namespace.name}${namespace.safe ? '' : chalk.gray(` (${namespace.reason})`)}`]
+      : []
+  );
+  section('PersistentVolumeClaims', pvcs.map(resourceRef));
+  section('Cluster-scoped objects', clusterObjects.map(resourceRef));
+  return lines;
+}
+
+export function formatPurgeSummary(removed, kept) {
+  const lines = [];
+  removed.forEach((entry) => lines.push(`${chalk.green('✔ removed')} ${entry}`));
+  kept.forEach(({ item, reason }) =>
+    lines.push(`${chalk.yellow('• kept')}    ${item}${chalk.gray(` (${reason})`)}`)
+  );
+  if (lines.length === 0) {
+    lines.push(chalk.gray('Nothing was left behind.'));
+  }
+  return lines;
+}
@@ -0,0 +1,104 @@
+import chalk from 'chalk';
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600 };
+
+export function parseDuration(value) {
+  const match = /^(\d+)(s|m|h)?$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+export function validateDuration(value) {
+  return parseDuration(value) === null
+    ? 'Use a positive duration such as 90s, 5m or 1h.'
+    : undefined;
+}
+
+export function workloadReadiness(workload) {
+  const kind = workload?.kind;
+  const status = workload?.status || {};
+
+  if (kind === 'DaemonSet') {
+    return { ready: status.numberReady || 0, desired: status.desiredNumberScheduled || 0 };
+  }
+
+  return {
+    ready: status.readyReplicas || 0,
+    desired: workload?.spec?.replicas ?? 1,
+  };
+}
+
+export function diagnosePod(pod) {
+  const name = pod?.metadata?.name || 'unknown';
+  const phase = pod?.status?.phase || 'Unknown';
+  const problems = [];
+
+  const scheduled = (pod?.status?.conditions || []).find(
+    (condition) => condition.type === 'PodScheduled'
+  );
+  if (phase === 'Pending' && scheduled?.status === 'False') {
+    problems.push(`Pending: ${scheduled.reason || 'Unschedulable'} - ${scheduled.message || 'not scheduled yet'}`);
+  }
+
+  const containers = [
+    ...(pod?.status?.initContainerStatuses || []),
+    ...(pod?.status?.containerStatuses || []),
+  ];
+  containers.forEach((container) => {
+    const waiting = container.state?.waiting;
+    const terminated = container.state?.terminated || container.lastState?.terminated;
+    if (waiting?.reason && waiting.reason !== 'ContainerCreating' && waiting.reason !== 'PodInitializing') {
+      problems.push(
+        `${container.name}: ${waiting.reason}${waiting.message ? ` - ${waiting.message}` : ''}`
+      );
+    } else if (!container.ready && terminated?.reason) {
+      problems.push(
+        `${container.name}: last exit ${terminated.reason} (code ${terminated.exitCode}, ${container.restartCount || 0} restarts)`
+      );
+    }
+  });
+
+  const ready = containers.length > 0 && containers.every((container) => container.ready);
+  return { name, phase, ready, problems };
+}
+
+export function selectPodEvents(events, podName, limit = 5) {
+  return (events || [])
+    .filter(
+      (event) =>
+        event.involvedObject?.kind === 'Pod' &&
+        event.involvedObject?.name === podName &&
+        event.type === 'Warning'
+    )
+    .sort((a, b) => eventTime(a).localeCompare(eventTime(b)))
+    .slice(-limit)
+    .map((event) => `${event.reason}: ${event.message}`.trim());
+}
+
+function eventTime(event) {
+  return event.lastTimestamp || event.eventTime || event.metadata?.creationTimestamp || '';
+}
+
+export function formatReadinessTable(rows) {
+  const header = ['Component', 'Workload', 'Ready', 'Status'];
+  const cells = rows.map((row) => [row.component, row.target, row.ready || '—', row.status]);
+  const widths = header.map((title, index) =>
+    Math.max(title.length, ...cells.map((cell) => cell[index].length))
+  );
+
+  const formatLine = (cell) =>
+    cell
+      .map((value, index) => value.padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+
+  return [
+    chalk.gray(formatLine(header)),
+    ...cells.map((cell, index) => {
+      const line = formatLine(cell);
+      return rows[index].ok ? line : chalk.red(line);
+    }),
+  ];
+}
@@ -0,0 +1,98 @@
+import { toTemplateArgs } from './charts.mjs';
+import { buildKustomization, namespaceManifest } from './gitops.mjs';
+import { toYaml } from './yaml.mjs';
+
+// "helm upgrade --install" also applies the chart's CRDs and never its test hooks, so the
+// rendered manifests include the former and leave out the latter.
+export function toRenderArgs(upgradeArgs) {
+  return [...toTemplateArgs(upgradeArgs), '--include-crds', '--skip-tests'];
+}
+
+function readMetadataName(lines) {
+  const start = lines.findIndex((line) => /^metadata:\s*$/.test(line));
+  if (start === -1) {
+    return null;
+  }
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) {
+      return null;
+    }
+    const match = /^ {2}name:\s*["']?([^"'\s#]+)/.exec(line);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits "helm template" output into its documents, keeping the "# Source:" comments.
+ * Each entry has the resource kind and name when they can be read from the document.
+ */
+export function splitManifestDocuments(text) {
+  return text
+    .split(/^---[ \t]*$/m)
+    .map((chunk) => chunk.trim())
+    .filter((chunk) => chunk.split('\n').some((line) => line.trim() && !line.startsWith('#')))
+    .map((chunk) => {
+      const lines = chunk.split('\n');
+      return {
+        kind: /^kind:\s*["']?([\w.-]+)/m.exec(chunk)?.[1] || null,
+        name: readMetadataName(lines),
+        content: `${chunk}\n`,
+      };
+    });
+}
+
+function resourceFileName(document, index) {
+  const stem = [document.kind, document.name]
+    .filter(Boolean)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9.-]+/g, '-');
+  return stem || `resource-${index + 1}`;
+}
+
+/**
+ * Lays out rendered manifests as files: the Namespace, then one file per release or, with
+ * `split`, one file per resource under a directory per release. `releases` are
+ * { release, manifest } in install order (agent first).
+ */
+export function planRenderFiles({ namespace, releases, split = false, kustomization = false }) {
+  const files = [{ path: 'namespace.yaml', content: toYaml(namespaceManifest(namespace)) }];
+  releases.forEach(({ release, manifest }) => {
+    const documents = splitManifestDocuments(manifest);
+    if (!split) {
+      files.push({
+        path: `${release}.yaml`,
+        content: documents.map((document) => document.content).join('---\n'),
+      });
+      return;
+    }
+    const used = new Set();
+    documents.forEach((document, index) => {
+      const stem = resourceFileName(document, index);
+      let path = `${release}/${stem}.yaml`;
+      for (let copy = 2; used.has(path); copy += 1) {
+        path = `${release}/${stem}-${copy}.yaml`;
+      }
+      used.add(path);
+      files.push({ path, content: document.content });
+    });
+  });
+
+  if (kustomization) {
+    // Most chart templates leave metadata.namespace out and rely on "helm -n".
+    const resources = files.map((file) => file.path);
+    files.push({
+      path: 'kustomization.yaml',
+      content: toYaml(buildKustomization(resources, { namespace })),
+    });
+  }
+  return files;
+}
+
+// The whole render as one YAML stream, for stdout.
+export function joinRenderedFiles(files) {
+  return files.map((file) => file.content).join('---\n');
+}
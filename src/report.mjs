@@ -0,0 +1,86 @@
+import chalk from 'chalk';
+
+export const REPORT_SORT_KEYS = ['cost', 'name'];
+
+export function sortCostItems(items, sortBy = 'cost') {
+  const sorted = [...items];
+  if (sortBy === 'name') {
+    sorted.sort((a, b) => a.name.localeCompare(b.name));
+  } else {
+    sorted.sort((a, b) => b.cost - a.cost || a.name.localeCompare(b.name));
+  }
+  return sorted;
+}
+
+export function formatCurrency(value, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+export function formatCostTable(breakdown, { sortBy = 'cost', top = null } = {}) {
+  if (breakdown.items.length === 0) {
+    return [chalk.gray(`No cost data by ${breakdown.groupBy} for this window.`)];
+  }
+
+  const total = breakdown.items.reduce((sum, item) => sum + item.cost, 0);
+  const sorted = sortCostItems(breakdown.items, sortBy);
+  const shown = top ? sorted.slice(0, top) : sorted;
+  const hidden = sorted.slice(shown.length);
+
+  const label = breakdown.groupBy.charAt(0).toUpperCase() + breakdown.groupBy.slice(1);
+  const rows = shown.map((item) => [
+    item.namespace && breakdown.groupBy === 'workload'
+      ? `${item.namespace}/${item.name}`
+      : item.name,
+    formatCurrency(item.cpuCost, breakdown.currency),
+    formatCurrency(item.memoryCost, breakdown.currency),
+    formatCurrency(item.cost, breakdown.currency),
+    formatShare(item.cost, total),
+  ]);
+
+  if (hidden.length > 0) {
+    const rest = hidden.reduce((sum, item) => sum + item.cost, 0);
+    rows.push([
+      `(${hidden.length} more)`,
+      '',
+      '',
+      formatCurrency(rest, breakdown.currency),
+      formatShare(rest, total),
+    ]);
+  }
+
+  const header = [label, 'CPU', 'Memory', 'Total', 'Share'];
+  const footer = [
+    'Total',
+    '',
+    '',
+    formatCurrency(total, breakdown.currency),
+    total > 0 ? '100%' : '—',
+  ];
+  const widths = header.map((title, index) =>
+    Math.max(title.length, footer[index].length, ...rows.map((row) => row[index].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, index) =>
+        index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])
+      )
+      .join('  ');
+
+  return [chalk.gray(formatRow(header)), ...rows.map(formatRow), chalk.bold(formatRow(footer))];
+}
+
+function formatShare(value, total) {
+  if (total <= 0) {
+    return '—';
+  }
+  return `${((value / total) * 100).toFixed(1)}%`;
+}
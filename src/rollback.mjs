@@ -0,0 +1,98 @@
+import chalk from 'chalk';
+import { UsageError } from './args.mjs';
+import { splitChartVersion } from './charts.mjs';
+
+export const ROLLBACK_COMPONENTS = ['agent', 'dashboard'];
+
+export function parseHelmHistory(stdout) {
+  const entries = stdout && stdout.trim() ? JSON.parse(stdout) : [];
+  return entries
+    .map((entry) => {
+      const chart = splitChartVersion(entry.chart);
+      return {
+        revision: Number(entry.revision),
+        updated: entry.updated || '',
+        status: entry.status || 'unknown',
+        chart: chart.name,
+        chartVersion: chart.version,
+        appVersion: entry.app_version || '',
+        description: entry.description || '',
+      };
+    })
+    .sort((a, b) => b.revision - a.revision);
+}
+
+export function rollbackCandidates(history) {
+  const current = currentRevision(history);
+  return history.filter((entry) => entry.revision !== current);
+}
+
+export function currentRevision(history) {
+  return (history.find((entry) => entry.status === 'deployed') || history[0])?.revision ?? null;
+}
+
+export function parseRevisionTargets(values = [], components = ROLLBACK_COMPONENTS) {
+  const targets = {};
+  values.forEach((value) => {
+    const separator = value.indexOf('=');
+    const component = separator === -1 ? null : value.slice(0, separator).trim();
+    const revision = Number(separator === -1 ? value.trim() : value.slice(separator + 1).trim());
+
+    if (!Number.isInteger(revision) || revision <= 0) {
+      throw new UsageError(
+        `--revision ${value}: use a revision number, or <component>=<revision> (e.g. agent=3).`
+      );
+    }
+    if (component === null) {
+      if (components.length > 1) {
+        throw new UsageError(
+          '--revision: revisions differ per release; pass agent=<n> and dashboard=<n>, ' +
+            'or pick one release with --component.'
+        );
+      }
+      targets[components[0]] = revision;
+      return;
+    }
+    if (!components.includes(component)) {
+      throw new UsageError(
+        `--revision ${value}: component must be one of ${components.join(', ')}.`
+      );
+    }
+    targets[component] = revision;
+  });
+  return targets;
+}
+
+export function formatHistoryTable(history, { current = currentRevision(history) } = {}) {
+  const header = ['Revision', 'Chart', 'App', 'Status', 'Updated', 'Description'];
+  const cells = history.map((entry) => [
+    `${entry.revision}${entry.revision === current ? '*' : ''}`,
+    entry.chartVersion || entry.chart || '—',
+    entry.appVersion || '—',
+    entry.status,
+    formatUpdated(entry.updated),
+    entry.description,
+  ]);
+  const widths = header.map((title, index) =>
+    Math.max(title.length, ...cells.map((cell) => cell[index].length))
+  );
+  const formatLine = (cell) =>
+    cell
+      .map((value, index) => value.padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+
+  return [
+    chalk.gray(formatLine(header)),
+    ...cells.map((cell, index) => {
+      const line = formatLine(cell);
+      return history[index].revision === current ? chalk.cyan(line) : line;
+    }),
+  ];
+}
+
+export function formatUpdated(value) {
+  // Helm prints Go timestamps such as "2024-05-01 10:12:03.123456 +0000 UTC".
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/.exec(value || '');
+  return match ? `${match[1]} ${match[2]}` : value || '—';
+}
@@ -0,0 +1,65 @@
+// CI=false and CI=0 are common ways to switch CI detection off again.
+export function isTruthyEnv(value) {
+  return Boolean(value) && !['0', 'false'].includes(String(value).toLowerCase());
+}
+
+// Plain mode drops colors, the splash animation and spinners. It is used when asked for,
+// when stdout is not a terminal (pipes, CI logs), under CI and when NO_COLOR is set
+// (https://no-color.org). Prompts additionally need a terminal on both ends.
+export function detectTerminalMode({
+  plain = false,
+  env = process.env,
+  stdout = process.stdout,
+  stdin = process.stdin,
+} = {}) {
+  const reasons = [];
+  if (plain) {
+    reasons.push('--plain');
+  }
+  if (!stdout?.isTTY) {
+    reasons.push('stdout is not a terminal');
+  }
+  if (isTruthyEnv(env.CI)) {
+    reasons.push('CI');
+  }
+  if (env.NO_COLOR) {
+    reasons.push('NO_COLOR');
+  }
+  return {
+    plain: reasons.length > 0,
+    reasons,
+    canPrompt: Boolean(stdin?.isTTY && stdout?.isTTY) && !isTruthyEnv(env.CI),
+  };
+}
+
+function formatElapsed(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+// Stands in for an ora spinner with one log line per state change, which reads well in
+// CI logs and screen readers.
+export function createPlainSpinner(label, { write = console.log, now = Date.now } = {}) {
+  const startedAt = now();
+  const elapsed = () => formatElapsed(now() - startedAt);
+  return {
+    start() {
+      write(`start: ${label}`);
+      return this;
+    },
+    succeed(text = label) {
+      write(`done: ${text} (${elapsed()})`);
+      return this;
+    },
+    fail(text = label) {
+      write(`fail: ${text} (${elapsed()})`);
+      return this;
+    },
+    info(text = label) {
+      write(`info: ${text}`);
+      return this;
+    },
+    stop() {
+      return this;
+    },
+  };
+}
@@ -0,0 +1,127 @@
+export function validateNamespace(value) {
+  if (value === undefined || value === null) {
+    return 'Namespace cannot be empty.';
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return 'Namespace cannot be empty.';
+  }
+  if (/\s/.test(trimmed)) {
+    return 'Namespace cannot contain spaces.';
+  }
+  return undefined;
+}
+
+export function validateServiceName(value) {
+  if (value === undefined || value === null) {
+    return 'Service name is required.';
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return 'Service name is required.';
+  }
+  if (/\s/.test(trimmed)) {
+    return 'Service name cannot contain spaces.';
+  }
+  return undefined;
+}
+
+export function validatePort(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : value;
+  const numeric = Number(trimmed);
+  if (Number.isNaN(numeric) || numeric <= 0 || numeric > 65535) {
+    return 'Enter a valid TCP port (1-65535).';
+  }
+  return undefined;
+}
+
+export function validateReleaseName(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Release name is required.';
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > 53 || !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(trimmed)) {
+    return 'Release names use lowercase letters, digits and "-" (max 53 characters).';
+  }
+  return undefined;
+}
+
+export function validateChartVersion(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Chart version is required.';
+  }
+  if (/\s/.test(value.trim())) {
+    return 'Chart version cannot contain spaces.';
+  }
+  return undefined;
+}
+
+export function validateChartReference(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Chart reference is required.';
+  }
+  if (/\s/.test(value.trim())) {
+    return 'Chart reference cannot contain spaces.';
+  }
+  return undefined;
+}
+
+export function validateRepositoryUrl(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Repository URL is required.';
+  }
+  if (!/^(https?|oci):\/\/[^\s/]+/.test(value.trim())) {
+    return 'Use an http(s):// or oci:// URL.';
+  }
+  return undefined;
+}
+
+export function validateImageRegistry(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Image registry is required.';
+  }
+  if (!/^[a-z0-9]([a-z0-9.-]*[a-z0-9])?(:\d+)?(\/[a-z0-9._-]+)*$/i.test(value.trim())) {
+    return 'Use a registry host with an optional path, e.g. registry.internal:5000/mirror.';
+  }
+  return undefined;
+}
+
+export function validateHostname(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Hostname is required.';
+  }
+  const trimmed = value.trim().toLowerCase();
+  if (
+    trimmed.length > 253 ||
+    !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)+$/.test(trimmed)
+  ) {
+    return 'Use a fully qualified DNS name without a scheme, e.g. clustercost.example.com.';
+  }
+  return undefined;
+}
+
+export function validateResourceName(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Name is required.';
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > 253 || !/^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/.test(trimmed)) {
+    return 'Kubernetes names use lowercase letters, digits, "-" and "." (max 253 characters).';
+  }
+  return undefined;
+}
+
+export function validateSourceRanges(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return undefined;
+  }
+  const cidr = /^(\d{1,3}(\.\d{1,3}){3}\/\d{1,2}|[0-9a-f:]*:[0-9a-f:]*\/\d{1,3})$/i;
+  const invalid = value
+    .split(',')
+    .map((range) => range.trim())
+    .find((range) => !cidr.test(range));
+  if (invalid !== undefined) {
+    return `"${invalid}" is not a CIDR range, e.g. 203.0.113.0/24.`;
+  }
+  return undefined;
+}
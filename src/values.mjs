@@ -0,0 +1,72 @@
+export function createChartValues({ files = [], set = [], previous = null } = {}) {
+  return { files: [...files], set: [...set], previous };
+}
+
+export function validateSetOverride(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Override cannot be empty.';
+  }
+  const separator = value.indexOf('=');
+  if (separator <= 0) {
+    return 'Use the form key=value (e.g. resources.limits.cpu=500m).';
+  }
+  if (/\s/.test(value.slice(0, separator))) {
+    return 'Override keys cannot contain spaces.';
+  }
+  return undefined;
+}
+
+export function validateValuesFilePath(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return 'Values file path cannot be empty.';
+  }
+  return undefined;
+}
+
+export function buildValuesArgs({ files = [], set = [] } = {}) {
+  return [
+    ...files.flatMap((file) => ['-f', file]),
+    ...set.flatMap((override) => ['--set', override]),
+  ];
+}
+
+export function hasPreviousValues(chartValues) {
+  return Boolean(chartValues?.previous && Object.keys(chartValues.previous).length > 0);
+}
+
+export function describeChartValues(chartValues) {
+  const lines = [];
+
+  if (hasPreviousValues(chartValues)) {
+    lines.push('Kept from the current release:');
+    lines.push(...JSON.stringify(chartValues.previous, null, 2).split('\n').map((line) => `  ${line}`));
+  } else {
+    lines.push('Current release values: none (chart defaults)');
+  }
+
+  lines.push(
+    chartValues.files.length
+      ? `Values files: ${chartValues.files.join(', ')}`
+      : 'Values files: none'
+  );
+  lines.push(
+    chartValues.set.length ? `Overrides: ${chartValues.set.join(', ')}` : 'Overrides: none'
+  );
+
+  return lines.join('\n');
+}
+
+export function buildAgentListArgs(agents = []) {
+  return agents.flatMap((agent, index) => [
+    '--set-string',
+    `agents[${index}].baseUrl=${escapeSetValue(agent.baseUrl)}`,
+    '--set-string',
+    `agents[${index}].name=${escapeSetValue(agent.name)}`,
+    '--set-string',
+    `agents[${index}].type=${escapeSetValue(agent.type)}`,
+  ]);
+}
+
+function escapeSetValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/,/g, '\\,');
+}
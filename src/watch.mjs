@@ -0,0 +1,169 @@
+import chalk from 'chalk';
+
+export const DEFAULT_WATCH_INTERVAL = '5s';
+
+// The STATUS column of "kubectl get pods": a waiting or terminated reason wins over the
+// phase, so CrashLoopBackOff and ImagePullBackOff show up as such.
+export function podStatus(pod) {
+  if (pod?.metadata?.deletionTimestamp) {
+    return 'Terminating';
+  }
+  const containers = pod?.status?.containerStatuses || [];
+  const waiting = containers.find((container) => container.state?.waiting?.reason);
+  if (waiting) {
+    return waiting.state.waiting.reason;
+  }
+  const terminated = containers.find((container) => container.state?.terminated?.reason);
+  if (terminated) {
+    return terminated.state.terminated.reason;
+  }
+  return pod?.status?.phase || 'Unknown';
+}
+
+export function imageTag(image) {
+  if (!image) {
+    return '—';
+  }
+  const digest = image.indexOf('@');
+  if (digest !== -1) {
+    return image.slice(digest + 1, digest + 20);
+  }
+  const name = image.slice(image.lastIndexOf('/') + 1);
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : 'latest';
+}
+
+// Ages the way kubectl prints them: the largest unit, plus minutes below ten hours.
+export function formatAge(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 120) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 10) {
+    return minutes % 60 ? `${hours}h${minutes % 60}m` : `${hours}h`;
+  }
+  if (hours < 48) {
+    return `${hours}h`;
+  }
+  return `${Math.floor(hours / 24)}d`;
+}
+
+export function summarizePod(pod, instanceLabel, now = Date.now()) {
+  const containers = pod?.status?.containerStatuses || [];
+  const created = Date.parse(pod?.metadata?.creationTimestamp || '');
+  const ready = containers.filter((container) => container.ready).length;
+  const status = podStatus(pod);
+  return {
+    name: pod?.metadata?.name || 'unknown',
+    release: pod?.metadata?.labels?.[instanceLabel] || '—',
+    status,
+    ready: `${ready}/${(pod?.spec?.containers || []).length || containers.length}`,
+    healthy: status === 'Running' && containers.length > 0 && ready === containers.length,
+    restarts: containers.reduce((total, container) => total + (container.restartCount || 0), 0),
+    age: Number.isNaN(created) ? '—' : formatAge(now - created),
+    images: [...new Set((pod?.spec?.containers || []).map((c) => imageTag(c.image)))].join(','),
+  };
+}
+
+// Parses "kubectl top pods --no-headers": name, CPU and memory per line.
+export function parsePodMetrics(stdout) {
+  const metrics = {};
+  (stdout || '').split('\n').forEach((line) => {
+    const [name, cpu, memory] = line.trim().split(/\s+/);
+    if (name && cpu && memory) {
+      metrics[name] = { cpu, memory };
+    }
+  });
+  return metrics;
+}
+
+// Healthy means both releases are deployed and every pod is running with all containers
+// ready; "watch --once" exits with 1 otherwise.
+export function isSnapshotHealthy({ releases, pods }) {
+  return (
+    Object.values(releases).every((release) => release?.status === 'deployed') &&
+    pods.length > 0 &&
+    pods.every((pod) => pod.healthy)
+  );
+}
+
+function formatTable(header, cells, colorRow = () => (line) => line) {
+  const widths = header.map((title, index) =>
+    Math.max(title.length, ...cells.map((cell) => String(cell[index]).length))
+  );
+  const formatLine = (cell) =>
+    cell
+      .map((value, index) => String(value).padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+  return [
+    chalk.gray(formatLine(header)),
+    ...cells.map((cell, index) => colorRow(index)(formatLine(cell))),
+  ];
+}
+
+/**
+ * Lays out one refresh of the status screen: a title line, the Helm releases and a table
+ * of pods. `metrics` is null when metrics-server is not available.
+ */
+export function formatWatchScreen({
+  namespace,
+  context,
+  releases,
+  pods,
+  metrics,
+  takenAt,
+  footer,
+}) {
+  const releaseRows = Object.entries(releases).map(([component, release]) =>
+    release
+      ? [
+          component,
+          release.release,
+          release.revision ?? '—',
+          release.status || '—',
+          release.chartVersion || '—',
+          release.appVersion || '—',
+        ]
+      : [component, '—', '—', 'not installed', '—', '—']
+  );
+  const releaseEntries = Object.values(releases);
+  const podRows = pods.map((pod) => [
+    pod.name,
+    pod.release,
+    pod.status,
+    pod.ready,
+    pod.restarts,
+    pod.age,
+    pod.images || '—',
+    metrics?.[pod.name]?.cpu || '—',
+    metrics?.[pod.name]?.memory || '—',
+  ]);
+
+  const time = takenAt.toISOString().slice(11, 19);
+  return [
+    `${chalk.bold('ClusterCost status')} ${chalk.gray(
+      `· ns ${namespace}${context ? ` · ${context}` : ''} · ${time} UTC`
+    )}`,
+    '',
+    ...formatTable(
+      ['Component', 'Release', 'Revision', 'Status', 'Chart', 'App'],
+      releaseRows,
+      (index) => (releaseEntries[index]?.status === 'deployed' ? (line) => line : chalk.yellow)
+    ),
+    '',
+    ...(pods.length > 0
+      ? formatTable(
+          ['Pod', 'Release', 'Status', 'Ready', 'Restarts', 'Age', 'Image', 'CPU', 'Memory'],
+          podRows,
+          (index) => (pods[index].healthy ? (line) => line : chalk.red)
+        )
+      : [chalk.gray('No ClusterCost pods found.')]),
+    ...(metrics ? [] : [chalk.gray('CPU and memory need metrics-server; it did not answer.')]),
+    ...(footer ? ['', chalk.gray(footer)] : []),
+  ];
+}
@@ -0,0 +1,92 @@
+// A small YAML writer for the manifests the CLI generates: plain objects, arrays, strings,
+// numbers, booleans and null. Strings that YAML could read as something else are quoted.
+// "@", "%" and "`" are reserved as a first character, and "- " starts a list item.
+const PLAIN_STRING = /^([A-Za-z0-9_./+$]|-(?=[^ ]))[A-Za-z0-9_ ./:@%+=$()-]*$/;
+// Includes the YAML 1.1 forms: binary and base-60 numbers, and timestamps such as
+// "2024-01-01".
+const AMBIGUOUS_STRING =
+  /^(true|false|yes|no|on|off|y|n|null|~|[-+]?(\d[\d_]*(\.[\d_]*)?|\.[\d_]+)([eE][-+]?\d+)?|[-+]?\d+(:[0-5]?\d)+(\.\d*)?|[-+]?(0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+)|[-+]?\.inf|\.nan|\d{4}-\d\d?-\d\d?([Tt ].*)?)$/i;
+
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  const text = String(value);
+  if (PLAIN_STRING.test(text) && !AMBIGUOUS_STRING.test(text) && !/(\s$|: | #|:$)/.test(text)) {
+    return text;
+  }
+  return JSON.stringify(text);
+}
+
+function formatKey(key) {
+  return formatScalar(String(key));
+}
+
+// Block scalars take their indentation from the first line, so text that starts with
+// whitespace is written as a quoted string instead.
+function isMultiline(value) {
+  return typeof value === 'string' && value.includes('\n') && !/^\s/.test(value);
+}
+
+function formatBlock(value, indent) {
+  const chomp = value.endsWith('\n') ? '' : '-';
+  const body = value.replace(/\n$/, '');
+  const lines = body.split('\n').map((line) => (line ? `${indent}${line}` : ''));
+  return [`|${chomp}`, ...lines];
+}
+
+function isEmptyCollection(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0)
+  );
+}
+
+function renderValue(value, indent) {
+  if (isEmptyCollection(value)) {
+    return [Array.isArray(value) ? '[]' : '{}'];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      const lines = renderNested(item, `${indent}  `);
+      if (lines.inline) {
+        return [`${indent}- ${lines.text}`];
+      }
+      return [`${indent}- ${lines.lines[0].trimStart()}`, ...lines.lines.slice(1)];
+    });
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .flatMap(([key, entry]) => {
+        const nested = renderNested(entry, `${indent}  `);
+        return nested.inline
+          ? [`${indent}${formatKey(key)}: ${nested.text}`]
+          : [`${indent}${formatKey(key)}:`, ...nested.lines];
+      });
+  }
+  return [formatScalar(value)];
+}
+
+function renderNested(value, indent) {
+  if (isMultiline(value)) {
+    const [header, ...lines] = formatBlock(value, indent);
+    return { inline: true, text: [header, ...lines].join('\n') };
+  }
+  if (value === null || typeof value !== 'object' || isEmptyCollection(value)) {
+    return { inline: true, text: renderValue(value, indent)[0] };
+  }
+  return { inline: false, lines: renderValue(value, indent) };
+}
+
+export function toYaml(value) {
+  return `${renderValue(value, '').join('\n')}\n`;
+}
+
+export function toYamlDocuments(documents) {
+  return documents.map(toYaml).join('---\n');
+}